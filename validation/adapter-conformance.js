@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * AI Context Schema Adapter Conformance CLI
+ * Runs the conformance suite against an adapter plugin
+ */
+
+const { builtinPlugin } = require('./adapters');
+const { checkAdapterConformance, formatConformance } = require('./adapters/conformance');
+const { loadAdapterPlugin } = require('./adapters/plugins');
+const { getOption, getOptions, getPositionals } = require('./cli-options');
+
+/**
+ * CLI interface
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const [moduleName] = getPositionals(args, ['--platform', '--examples']);
+
+  if (!moduleName) {
+    console.log('Usage: node adapter-conformance.js <plugin-module|builtin> [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --platform=<name>  Platform to check (repeatable, default: all supported)');
+    console.log('  --examples=<dir>   Schemas to run through the adapter');
+    process.exit(1);
+  }
+
+  const plugin = moduleName === 'builtin' ? builtinPlugin : loadAdapterPlugin(moduleName);
+  const platforms = getOptions(args, '--platform');
+  const conformance = await checkAdapterConformance(plugin, {
+    platforms: platforms.length > 0 ? platforms : undefined,
+    examplesDir: getOption(args, '--examples')
+  });
+
+  console.log(formatConformance(conformance, plugin.name));
+  process.exit(conformance.valid ? 0 : 1);
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Conformance check failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,190 @@
+/**
+ * AI Context Schema Claude Code Adapter
+ * Exports CLAUDE.md memory sections and `.claude/commands` slash commands
+ */
+
+const {
+  createImportedSchema,
+  parseFrontmatter,
+  reportDroppedFields,
+  splitDocument,
+  splitList
+} = require('./importing');
+const { GENERATED_NOTICE, renderSection, sortByPriority } = require('./markdown');
+const { PlatformAdapter } = require('./platform-adapter');
+
+const MEMORY_FILE = 'CLAUDE.md';
+const COMMANDS_DIR = '.claude/commands/';
+const NAMESPACES = ['project', 'user'];
+
+// Command frontmatter read back into the schema; other fields are reported
+const COMMAND_FIELDS = ['description', 'allowed-tools'];
+
+/**
+ * Claude Code adapter
+ *
+ * Schemas with `memory: true` become sections of CLAUDE.md, highest
+ * `priority` first. Schemas with `command: true` become slash commands under
+ * `.claude/commands/<namespace>/<id>.md`.
+ *
+ * Importing splits CLAUDE.md (or `.claude/CLAUDE.md`) into one schema per
+ * top-level section and reads every command file back into a schema.
+ */
+class ClaudeCodeAdapter extends PlatformAdapter {
+  /**
+   * Create a Claude Code adapter
+   */
+  constructor() {
+    super('claude-code');
+    this.reviews = [];
+  }
+
+  /**
+   * Generate CLAUDE.md and slash command files
+   * @param {object[]} schemas - Parsed schema objects
+   * @returns {Promise<object>} File contents keyed by path relative to the project root
+   */
+  async generate(schemas) {
+    const files = {};
+    const compatible = this.getCompatibleSchemas(schemas);
+    const memorySchemas = compatible.filter((schema) => this.getPlatformConfig(schema).memory);
+
+    if (memorySchemas.length > 0) {
+      files[MEMORY_FILE] = this.renderMemory(memorySchemas);
+    }
+
+    for (const schema of compatible) {
+      const config = this.getPlatformConfig(schema);
+      if (config.command) {
+        files[this.getOutputPath(schema, config)] = this.transformSchema(schema, config);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Render the CLAUDE.md memory file
+   * @param {object[]} schemas - Schemas with memory enabled
+   * @returns {string} CLAUDE.md content
+   */
+  renderMemory(schemas) {
+    const sections = sortByPriority(schemas, (schema) => this.getPlatformConfig(schema).priority)
+      .map((schema) => renderSection(schema, 2))
+      .join('\n\n');
+
+    return `# CLAUDE.md\n\n<!-- ${GENERATED_NOTICE} -->\n\n${sections}\n`;
+  }
+
+  /**
+   * Render a slash command file
+   * @param {object} schema - Parsed schema object
+   * @param {object} config - Claude Code platform configuration
+   * @returns {string} Command markdown with frontmatter
+   */
+  transformSchema(schema, config) {
+    const frontmatter = [`description: ${JSON.stringify(schema.description)}`];
+
+    if (config.allowedTools?.length > 0) {
+      frontmatter.push(`allowed-tools: ${config.allowedTools.join(', ')}`);
+    }
+
+    return `---\n${frontmatter.join('\n')}\n---\n\n${(schema._content || '').trim()}\n`;
+  }
+
+  /**
+   * Get the glob patterns of memory and command files
+   * @returns {string[]} Patterns relative to the project root
+   */
+  getImportPatterns() {
+    return [MEMORY_FILE, `.claude/${MEMORY_FILE}`, `${COMMANDS_DIR}**/*.md`];
+  }
+
+  /**
+   * Import memory sections and slash commands as schemas
+   * @param {object} files - File contents keyed by path relative to the project root
+   * @returns {Promise<object[]>} Parsed schema objects
+   */
+  async parse(files) {
+    this.reviews = [];
+
+    return this.selectImportFiles(files).flatMap(([filePath, content]) =>
+      filePath.startsWith(COMMANDS_DIR)
+        ? [this.parseCommand(filePath, content)]
+        : this.parseMemory(filePath, content)
+    );
+  }
+
+  /**
+   * Split a memory file into one schema per top-level section (see `splitDocument`)
+   * @param {string} filePath - Path relative to the project root
+   * @param {string} content - Memory file content
+   * @returns {object[]} Parsed schema objects
+   */
+  parseMemory(filePath, content) {
+    return splitDocument(content, 'project-context', MEMORY_FILE).map(
+      ({ name, title, content: section }) =>
+        createImportedSchema(
+          {
+            name,
+            title,
+            filePath,
+            content: section,
+            platform: this.platformName,
+            config: { memory: true }
+          },
+          this.reviews
+        )
+    );
+  }
+
+  /**
+   * Read a slash command file back into a schema
+   *
+   * The first folder below `.claude/commands` is the namespace when it is
+   * `project` or `user`; other folders are project commands and become part
+   * of the ID.
+   * @param {string} filePath - Path relative to the project root
+   * @param {string} content - Command file content
+   * @returns {object} Parsed schema object
+   */
+  parseCommand(filePath, content) {
+    const { fields, body } = parseFrontmatter(content);
+    const [folder, ...rest] = filePath.slice(COMMANDS_DIR.length).replace(/\.md$/, '').split('/');
+    const namespace = NAMESPACES.includes(folder) && rest.length > 0 ? folder : 'project';
+    const name = namespace === folder ? rest.join('-') : [folder, ...rest].join('-');
+    const allowedTools = splitList(fields['allowed-tools']);
+    const config = { command: true, namespace };
+
+    if (allowedTools.length > 0) {
+      config.allowedTools = allowedTools;
+    }
+
+    const schema = createImportedSchema(
+      {
+        name,
+        filePath,
+        content: body,
+        platform: this.platformName,
+        config,
+        description: fields.description
+      },
+      this.reviews
+    );
+
+    reportDroppedFields(this.reviews, schema, fields, COMMAND_FIELDS);
+    return schema;
+  }
+
+  /**
+   * Get the slash command path of a schema
+   * @param {object} schema - Parsed schema object
+   * @param {object} config - Claude Code platform configuration
+   * @returns {string} Path relative to the project root
+   */
+  getOutputPath(schema, config) {
+    return `.claude/commands/${config.namespace || 'project'}/${schema.id}.md`;
+  }
+}
+
+module.exports = { ClaudeCodeAdapter, MEMORY_FILE };
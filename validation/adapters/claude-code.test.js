@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { ClaudeCodeAdapter } = require('./claude-code');
+const { generatePlatformFiles, writeGeneratedFiles } = require('./index');
+
+describe('ClaudeCodeAdapter', () => {
+  const PLATFORM = 'claude-code';
+  const schemas = [
+    global.createTestSchema({
+      id: 'testing',
+      title: 'Testing',
+      description: 'How we write tests',
+      platforms: { 'claude-code': { compatible: true, memory: true, priority: 3 } },
+      _content: '# Testing\n\n## Rules\n\nWrite tests first.\n\n```sh\n# not a heading\n```'
+    }),
+    global.createTestSchema({
+      id: 'react',
+      title: 'React',
+      description: 'React "component" patterns',
+      platforms: {
+        'claude-code': {
+          compatible: true,
+          memory: true,
+          command: true,
+          namespace: 'user',
+          allowedTools: ['Read', 'Edit', 'Bash(npm test:*)'],
+          priority: 9
+        }
+      },
+      _content: 'Prefer function components.'
+    }),
+    global.createTestSchema({
+      id: 'review',
+      platforms: { 'claude-code': { compatible: true, command: true } },
+      _content: '# Review\n\nReview the diff.'
+    }),
+    global.createTestSchema({
+      id: 'cursor-only',
+      platforms: { 'claude-code': { compatible: false, memory: true } }
+    })
+  ];
+
+  test('should write memory sections ordered by priority', async () => {
+    const files = await generatePlatformFiles(PLATFORM, schemas);
+
+    expect(Object.keys(files).sort()).toEqual([
+      '.claude/commands/project/review.md',
+      '.claude/commands/user/react.md',
+      'CLAUDE.md'
+    ]);
+    expect(files['CLAUDE.md']).toBe(
+      [
+        '# CLAUDE.md',
+        '',
+        '<!-- Generated by ai-context-schema. Edit the source schemas instead of this file. -->',
+        '',
+        '## React',
+        '',
+        'Prefer function components.',
+        '',
+        '## Testing',
+        '',
+        '### Rules',
+        '',
+        'Write tests first.',
+        '',
+        '```sh',
+        '# not a heading',
+        '```',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('should write slash commands with allowed-tools frontmatter', async () => {
+    const files = await generatePlatformFiles(PLATFORM, schemas);
+
+    expect(files['.claude/commands/user/react.md']).toBe(
+      '---\ndescription: "React \\"component\\" patterns"\nallowed-tools: Read, Edit, Bash(npm test:*)\n---\n\nPrefer function components.\n'
+    );
+    expect(files['.claude/commands/project/review.md']).not.toContain('allowed-tools');
+  });
+
+  test('should write generated files below the output directory', async () => {
+    const outDir = global.createTempDir();
+
+    try {
+      const written = writeGeneratedFiles(await generatePlatformFiles(PLATFORM, schemas), outDir);
+
+      expect(written).toContain(path.join(outDir, '.claude/commands/user/react.md'));
+      expect(fs.readFileSync(path.join(outDir, 'CLAUDE.md'), 'utf8')).toContain('## React');
+    } finally {
+      global.cleanupTempDir(outDir);
+    }
+  });
+
+  test('should refuse to write files outside the output directory', () => {
+    const outDir = global.createTempDir();
+
+    try {
+      expect(() => writeGeneratedFiles({ 'CLAUDE.md': '', '../escape.md': '' }, outDir)).toThrow(
+        'Output path resolves outside'
+      );
+      expect(fs.readdirSync(outDir)).toEqual([]);
+    } finally {
+      global.cleanupTempDir(outDir);
+    }
+  });
+
+  test('should reject unknown platforms', () => {
+    expect(() => generatePlatformFiles('notepad', schemas)).toThrow('Unknown platform: notepad');
+  });
+
+  describe('parse', () => {
+    test('should read generated memory sections and commands back', async () => {
+      const imported = await new ClaudeCodeAdapter().parse(
+        await generatePlatformFiles(PLATFORM, schemas)
+      );
+
+      expect(imported.map((schema) => [schema.id, schema.platforms[PLATFORM]])).toEqual([
+        ['review', { compatible: true, command: true, namespace: 'project' }],
+        [
+          'react',
+          {
+            compatible: true,
+            command: true,
+            namespace: 'user',
+            allowedTools: ['Read', 'Edit', 'Bash(npm test:*)']
+          }
+        ],
+        ['react', { compatible: true, memory: true }],
+        ['testing', { compatible: true, memory: true }]
+      ]);
+      expect(imported[1].description).toBe('React "component" patterns');
+      expect(imported[3]._content).toBe(
+        '# Testing\n\n## Rules\n\nWrite tests first.\n\n```sh\n# not a heading\n```'
+      );
+    });
+
+    test('should propose one schema per top-level section of CLAUDE.md', async () => {
+      const adapter = new ClaudeCodeAdapter();
+      const imported = await adapter.parse({
+        'CLAUDE.md': [
+          '# Acme Store',
+          'Notes for everyone working on the store.',
+          '## Project Context',
+          'This is a React TypeScript project using Next.js.',
+          '## Coding Guidelines',
+          '- Use functional components',
+          '### Errors',
+          'Implement proper error boundaries.'
+        ].join('\n\n')
+      });
+
+      expect(imported.map(({ id, title, category }) => [id, title, category])).toEqual([
+        ['acme-store', 'Acme Store', 'project'],
+        ['project-context', 'Project Context', 'project'],
+        ['coding-guidelines', 'Coding Guidelines', 'project']
+      ]);
+      expect(imported[2]).toMatchObject({
+        description: 'Implement proper error boundaries.',
+        _content:
+          '# Coding Guidelines\n\n- Use functional components\n\n## Errors\n\nImplement proper error boundaries.'
+      });
+      expect(adapter.reviews.filter(({ field }) => field === 'category')).toHaveLength(3);
+    });
+
+    test('should map command folders to namespaces and report unsupported fields', async () => {
+      const adapter = new ClaudeCodeAdapter();
+      const imported = await adapter.parse({
+        '.claude/commands/frontend/component.md':
+          '---\ndescription: Create a React component\nallowed-tools: Bash(git add:*), Read\n' +
+          'argument-hint: [name]\n---\n\nCreate the component $ARGUMENTS.\n',
+        '.claude/commands/user/review.md': '# Review\n\nReview the staged changes for bugs.\n'
+      });
+
+      expect(imported.map((schema) => [schema.id, schema.platforms[PLATFORM]])).toEqual([
+        [
+          'frontend-component',
+          {
+            compatible: true,
+            command: true,
+            namespace: 'project',
+            allowedTools: ['Bash(git add:*)', 'Read']
+          }
+        ],
+        ['review', { compatible: true, command: true, namespace: 'user' }]
+      ]);
+      expect(adapter.reviews).toContainEqual({
+        id: 'frontend-component',
+        path: '.claude/commands/frontend/component.md',
+        field: 'argument-hint',
+        message: 'Dropped; context schemas have no matching field'
+      });
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * AI Context Schema Adapter Conformance
+ * Reusable checks that an adapter plugin follows the contract and the adapter guidelines
+ */
+
+const path = require('path');
+const { findImported } = require('../fidelity');
+const { loadSchemaLibrary } = require('../resolver');
+const { getLatestSpecVersion, SCHEMAS_DIR } = require('../spec-versions');
+const { EXPORT_ONLY } = require('./platform-adapter');
+const { validateAdapterPlugin } = require('./plugins');
+
+const UNSUPPORTED_PLATFORM = 'ai-context-conformance-unsupported';
+
+/**
+ * Run a check and turn its outcome into a result
+ * @param {object[]} results - Results to append to
+ * @param {string} check - Check name
+ * @param {string|null} platform - Platform the check ran for
+ * @param {Function} run - Resolves to a failure message, `{ skipped }` or nothing when passed
+ */
+async function record(results, check, platform, run) {
+  try {
+    const outcome = await run();
+    if (outcome?.skipped) {
+      results.push({ check, platform, status: 'skipped', message: outcome.skipped });
+    } else {
+      results.push({ check, platform, status: outcome ? 'failed' : 'passed', message: outcome });
+    }
+  } catch (error) {
+    results.push({ check, platform, status: 'failed', message: error.message });
+  }
+}
+
+/**
+ * Describe why generated files break the output contract
+ * @param {object} files - Generated files
+ * @returns {string|undefined} Failure message
+ */
+function checkFiles(files) {
+  if (!files || typeof files !== 'object' || Array.isArray(files)) {
+    return 'generate must resolve to an object of file contents keyed by path';
+  }
+
+  for (const [filePath, content] of Object.entries(files)) {
+    if (
+      path.isAbsolute(filePath) ||
+      path.posix.normalize(filePath) !== filePath ||
+      filePath.startsWith('..')
+    ) {
+      return `Output path must be a normalized path inside the project: ${filePath}`;
+    }
+    if (typeof content !== 'string') {
+      return `Output content must be a string: ${filePath}`;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Expect a call to reject with an Error that has a message
+ * @param {Function} call - Call that should fail
+ * @param {string} description - What the call did, for the failure message
+ * @returns {Promise<string|undefined>} Failure message
+ */
+async function expectError(call, description) {
+  try {
+    await call();
+  } catch (error) {
+    return error instanceof Error && error.message
+      ? undefined
+      : `${description} must reject with an Error`;
+  }
+  return `${description} must report an error`;
+}
+
+/**
+ * Check an adapter plugin against the contract using the example schemas
+ *
+ * For every platform the plugin supports (or the given `platforms`) the
+ * examples are generated twice; outputs must be relative file paths with
+ * string contents, identical across runs, and must leave the schemas
+ * unchanged. `parse` must read generated files back into schemas with IDs,
+ * finding each compatible example by ID, or by title or sections for platforms
+ * that merge schemas into one file (see `findImported` in `../fidelity`). Only
+ * an Error with the `EXPORT_ONLY` code skips the check. Invalid input and
+ * unsupported platforms must be reported as Errors.
+ * @param {object} plugin - Adapter plugin
+ * @param {object} [options] - Conformance options
+ * @param {string[]} [options.platforms] - Platforms to check (default: supported example platforms)
+ * @param {string} [options.examplesDir] - Schemas to run through the adapter
+ * @returns {Promise<object>} `valid` and the `results` with `check`, `platform`,
+ *   `status` (passed, failed or skipped) and `message`
+ */
+async function checkAdapterConformance(plugin, options = {}) {
+  const results = [];
+
+  try {
+    validateAdapterPlugin(plugin, plugin?.name || 'under test');
+  } catch (error) {
+    return {
+      valid: false,
+      results: [{ check: 'contract', platform: null, status: 'failed', message: error.message }]
+    };
+  }
+
+  const examplesDir =
+    options.examplesDir || path.join(SCHEMAS_DIR, `v${getLatestSpecVersion()}`, 'examples');
+  const load = () =>
+    [...loadSchemaLibrary(examplesDir).schemas.values()].map(({ schema }) => schema);
+  const examplePlatforms = [...new Set(load().flatMap((schema) => Object.keys(schema.platforms)))];
+  const platforms =
+    options.platforms || examplePlatforms.filter((platform) => plugin.supports(platform)).sort();
+
+  if (platforms.length === 0) {
+    results.push({
+      check: 'platforms',
+      platform: null,
+      status: 'failed',
+      message: 'The adapter supports none of the example platforms; pass the platforms to check'
+    });
+  }
+
+  for (const platform of platforms) {
+    let files;
+
+    await record(results, 'generate', platform, async () => {
+      files = await plugin.generate(load(), { platform });
+      return checkFiles(files);
+    });
+
+    await record(results, 'idempotent', platform, async () => {
+      const schemas = load();
+      const before = JSON.stringify(schemas);
+      const first = await plugin.generate(schemas, { platform });
+      const second = await plugin.generate(schemas, { platform });
+
+      if (JSON.stringify(schemas) !== before) {
+        return 'generate must not modify the schemas it is given';
+      }
+      if (JSON.stringify(first) !== JSON.stringify(second)) {
+        return 'generate must produce the same files for the same schemas';
+      }
+      return undefined;
+    });
+
+    await record(results, 'parse', platform, async () => {
+      let parsed;
+      try {
+        parsed = await plugin.parse(files || {}, { platform });
+      } catch (error) {
+        if (error instanceof Error && error.code === EXPORT_ONLY) {
+          return { skipped: error.message };
+        }
+        return `parse failed: ${error instanceof Error ? error.message : error}`;
+      }
+      const valid =
+        Array.isArray(parsed) && parsed.every((schema) => typeof schema?.id === 'string');
+      if (!valid) {
+        return 'parse must resolve to an array of schemas with an id';
+      }
+
+      const missing = load()
+        .filter((schema) => schema.platforms[platform]?.compatible)
+        .filter((schema) => !findImported(schema, parsed))
+        .map(({ id }) => id);
+      return missing.length > 0 ? `parse did not read back ${missing.join(', ')}` : undefined;
+    });
+  }
+
+  await record(results, 'invalid-input', platforms[0] || null, () =>
+    expectError(() => plugin.generate(null, { platform: platforms[0] }), 'generate(null)')
+  );
+
+  if (!plugin.supports(UNSUPPORTED_PLATFORM)) {
+    await record(results, 'unsupported-platform', UNSUPPORTED_PLATFORM, () =>
+      expectError(
+        () => plugin.generate(load(), { platform: UNSUPPORTED_PLATFORM }),
+        'generate for an unsupported platform'
+      )
+    );
+  }
+
+  return { valid: results.every(({ status }) => status !== 'failed'), results };
+}
+
+/**
+ * Format conformance results as human-readable text
+ * @param {object} conformance - Result of checkAdapterConformance
+ * @param {string} name - Plugin name
+ * @returns {string} Formatted results
+ */
+function formatConformance(conformance, name) {
+  const icons = { passed: '✅', failed: '❌', skipped: '➖' };
+  const lines = [`\n=== Adapter conformance: ${name} ===`];
+
+  for (const { check, platform, status, message } of conformance.results) {
+    const target = platform ? ` [${platform}]` : '';
+    lines.push(`${icons[status]} ${check}${target}${message ? `: ${message}` : ''}`);
+  }
+
+  lines.push(conformance.valid ? '\nThe adapter conforms' : '\nThe adapter does not conform');
+  return lines.join('\n');
+}
+
+module.exports = { checkAdapterConformance, formatConformance };
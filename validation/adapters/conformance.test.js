@@ -0,0 +1,117 @@
+const { checkAdapterConformance, formatConformance } = require('./conformance');
+const { builtinPlugin, EXPORT_ONLY } = require('./index');
+
+describe('checkAdapterConformance', () => {
+  const failures = (conformance) =>
+    conformance.results
+      .filter(({ status }) => status === 'failed')
+      .map(({ check, message }) => `${check}: ${message}`);
+
+  const pluginWith = (overrides) => ({
+    name: 'test-plugin',
+    supports: (platform) => platform === 'cursor',
+    async generate(schemas, options) {
+      if (!Array.isArray(schemas) || !this.supports(options.platform)) {
+        throw new Error('Cannot generate');
+      }
+      return { 'rules.md': schemas.map((schema) => schema.id).join('\n') };
+    },
+    async parse(files) {
+      return files['rules.md'].split('\n').map((id) => ({ id }));
+    },
+    ...overrides
+  });
+
+  test('should pass the built-in adapters for every example platform', async () => {
+    const conformance = await checkAdapterConformance(builtinPlugin);
+
+    expect(failures(conformance)).toEqual([]);
+    expect(conformance.valid).toBe(true);
+    expect(conformance.results).toContainEqual(
+      expect.objectContaining({ check: 'idempotent', platform: 'cursor', status: 'passed' })
+    );
+  });
+
+  test('should pass a conforming plugin, including parsing', async () => {
+    const conformance = await checkAdapterConformance(pluginWith({}));
+
+    expect(conformance.valid).toBe(true);
+    expect(conformance.results.map(({ check, status }) => `${check} ${status}`)).toEqual([
+      'generate passed',
+      'idempotent passed',
+      'parse passed',
+      'invalid-input passed',
+      'unsupported-platform passed'
+    ]);
+  });
+
+  test('should fail plugins that break the contract', async () => {
+    const conformance = await checkAdapterConformance({ name: 'broken' });
+
+    expect(conformance.valid).toBe(false);
+    expect(failures(conformance)).toEqual([
+      'contract: Invalid adapter plugin broken: missing supports, generate, parse'
+    ]);
+  });
+
+  test('should fail plugins that are not idempotent or hide errors', async () => {
+    let runs = 0;
+    const conformance = await checkAdapterConformance(
+      pluginWith({
+        async generate(schemas) {
+          runs++;
+          return { '/abs/rules.md': `${(schemas || []).length} ${runs}` };
+        }
+      })
+    );
+
+    expect(failures(conformance)).toEqual([
+      'generate: Output path must be a normalized path inside the project: /abs/rules.md',
+      'idempotent: generate must produce the same files for the same schemas',
+      expect.stringMatching(/^parse: parse failed: Cannot read properties of undefined/),
+      'invalid-input: generate(null) must report an error',
+      'unsupported-platform: generate for an unsupported platform must report an error'
+    ]);
+  });
+
+  test('should skip parsing only for export-only platforms', async () => {
+    const exportOnly = pluginWith({
+      async parse() {
+        throw Object.assign(new Error('Cannot import'), { code: EXPORT_ONLY });
+      }
+    });
+    const partial = pluginWith({
+      async parse(files) {
+        return files['rules.md']
+          .split('\n')
+          .slice(1)
+          .map((id) => ({ id }));
+      }
+    });
+    const parseResult = async (plugin) =>
+      (await checkAdapterConformance(plugin)).results.find(({ check }) => check === 'parse');
+
+    expect(await parseResult(exportOnly)).toMatchObject({ status: 'skipped' });
+    expect(await parseResult(partial)).toMatchObject({
+      status: 'failed',
+      message: expect.stringMatching(/^parse did not read back \S+$/)
+    });
+  });
+
+  test('should fail plugins that modify their input', async () => {
+    const plugin = pluginWith({
+      async generate(schemas) {
+        schemas[0].title = `${schemas[0].title} (generated)`;
+        return {};
+      }
+    });
+    const conformance = await checkAdapterConformance(plugin, { platforms: ['cursor'] });
+
+    expect(failures(conformance)).toContain(
+      'idempotent: generate must not modify the schemas it is given'
+    );
+    expect(formatConformance(conformance, 'test-plugin')).toContain(
+      '❌ idempotent [cursor]: generate must not modify the schemas it is given'
+    );
+  });
+});
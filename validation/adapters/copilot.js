@@ -0,0 +1,210 @@
+/**
+ * AI Context Schema GitHub Copilot Adapter
+ * Exports `.github/copilot-instructions.md` and path-specific instruction files
+ */
+
+const {
+  createImportedSchema,
+  parseFrontmatter,
+  reportDroppedFields,
+  splitDocument,
+  splitList
+} = require('./importing');
+const { GENERATED_NOTICE, renderSection, sortByPriority } = require('./markdown');
+const { PlatformAdapter } = require('./platform-adapter');
+
+const INSTRUCTIONS_FILE = '.github/copilot-instructions.md';
+const INSTRUCTIONS_DIR = '.github/instructions/';
+const INSTRUCTIONS_TITLE = 'Copilot Instructions';
+
+// Review focus groups in the order they appear, with their headings
+const REVIEW_GROUPS = {
+  security: 'Security Review',
+  performance: 'Performance Review',
+  'code-quality': 'Code Quality Review',
+  style: 'Style Review'
+};
+
+/**
+ * GitHub Copilot adapter
+ *
+ * Every compatible schema is merged into the repository instructions, highest
+ * `priority` first. Schemas with a review focus other than `general` are
+ * grouped under a heading per `reviewType` after the general guidance.
+ * Schemas whose Cursor configuration declares globs also get a
+ * `.github/instructions/<id>.instructions.md` file applied to those paths.
+ *
+ * Importing reads every top-level section of the repository instructions as a
+ * schema, with the `reviewType` of its review group, and every path-specific
+ * file as a schema whose `applyTo` globs are kept in `platforms.cursor.globs`.
+ */
+class CopilotAdapter extends PlatformAdapter {
+  /**
+   * Create a GitHub Copilot adapter
+   */
+  constructor() {
+    super('github-copilot');
+    this.reviews = [];
+  }
+
+  /**
+   * Generate the repository and path-specific instruction files
+   * @param {object[]} schemas - Parsed schema objects
+   * @returns {Promise<object>} File contents keyed by path relative to the project root
+   */
+  async generate(schemas) {
+    const files = {};
+    const compatible = this.getCompatibleSchemas(schemas);
+
+    if (compatible.length > 0) {
+      files[INSTRUCTIONS_FILE] = this.renderInstructions(compatible);
+    }
+
+    for (const schema of compatible) {
+      if (this.getGlobs(schema).length > 0) {
+        files[this.getOutputPath(schema)] = this.transformSchema(schema);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Get the path globs a schema applies to, taken from its Cursor configuration
+   * @param {object} schema - Parsed schema object
+   * @returns {string[]} Glob patterns
+   */
+  getGlobs(schema) {
+    return schema.platforms?.cursor?.globs || [];
+  }
+
+  /**
+   * Render the repository-wide instructions file
+   * @param {object[]} schemas - Compatible schemas
+   * @returns {string} copilot-instructions.md content
+   */
+  renderInstructions(schemas) {
+    const sorted = sortByPriority(schemas, (schema) => this.getPlatformConfig(schema).priority);
+    const reviewTypeOf = (schema) => this.getPlatformConfig(schema).reviewType;
+    const sections = sorted
+      .filter((schema) => !REVIEW_GROUPS[reviewTypeOf(schema)])
+      .map((schema) => renderSection(schema, 2));
+
+    for (const [reviewType, heading] of Object.entries(REVIEW_GROUPS)) {
+      const group = sorted.filter((schema) => reviewTypeOf(schema) === reviewType);
+      if (group.length > 0) {
+        sections.push(`## ${heading}`, ...group.map((schema) => renderSection(schema, 3)));
+      }
+    }
+
+    return `# Copilot Instructions\n\n<!-- ${GENERATED_NOTICE} -->\n\n${sections.join('\n\n')}\n`;
+  }
+
+  /**
+   * Render a path-specific instructions file
+   * @param {object} schema - Parsed schema object
+   * @returns {string} Instructions with an `applyTo` header
+   */
+  transformSchema(schema) {
+    const applyTo = JSON.stringify(this.getGlobs(schema).join(','));
+    return `---\napplyTo: ${applyTo}\n---\n\n${(schema._content || '').trim()}\n`;
+  }
+
+  /**
+   * Get the glob patterns of repository and path-specific instructions
+   * @returns {string[]} Patterns relative to the project root
+   */
+  getImportPatterns() {
+    return [INSTRUCTIONS_FILE, `${INSTRUCTIONS_DIR}**/*.instructions.md`];
+  }
+
+  /**
+   * Import instruction files as schemas
+   * @param {object} files - File contents keyed by path relative to the project root
+   * @returns {Promise<object[]>} Parsed schema objects
+   */
+  async parse(files) {
+    this.reviews = [];
+
+    return this.selectImportFiles(files).flatMap(([filePath, content]) =>
+      filePath === INSTRUCTIONS_FILE
+        ? this.parseInstructions(filePath, content)
+        : [this.parsePathInstructions(filePath, content)]
+    );
+  }
+
+  /**
+   * Split the repository instructions into schemas, reading review groups
+   * back into the `reviewType` of their subsections
+   * @param {string} filePath - Path relative to the project root
+   * @param {string} content - copilot-instructions.md content
+   * @returns {object[]} Parsed schema objects
+   */
+  parseInstructions(filePath, content) {
+    const reviewTypes = Object.fromEntries(
+      Object.entries(REVIEW_GROUPS).map(([reviewType, heading]) => [heading, reviewType])
+    );
+
+    return splitDocument(content, 'repository-instructions', INSTRUCTIONS_TITLE).flatMap((part) => {
+      const reviewType = reviewTypes[part.title];
+      const sections = reviewType ? splitDocument(part.content, part.name, part.title) : [part];
+
+      return sections.map(({ name, title, content: section }) =>
+        createImportedSchema(
+          {
+            name,
+            title,
+            filePath,
+            content: section,
+            platform: this.platformName,
+            config: reviewType ? { reviewType } : {}
+          },
+          this.reviews
+        )
+      );
+    });
+  }
+
+  /**
+   * Read a path-specific instructions file back into a schema
+   *
+   * Copilot takes the paths of a schema from its Cursor globs, so `applyTo`
+   * is stored there without making the schema Cursor compatible. Files that
+   * apply to every path (`**`) have no globs.
+   * @param {string} filePath - Path relative to the project root
+   * @param {string} content - Instructions file content
+   * @returns {object} Parsed schema object
+   */
+  parsePathInstructions(filePath, content) {
+    const { fields, body } = parseFrontmatter(content);
+    const globs = splitList(fields.applyTo).filter((glob) => glob !== '**');
+    const schema = createImportedSchema(
+      {
+        name: filePath.slice(INSTRUCTIONS_DIR.length).replace(/\.instructions\.md$/, ''),
+        filePath,
+        content: body,
+        platform: this.platformName,
+        config: {},
+        description: fields.description
+      },
+      this.reviews
+    );
+
+    if (globs.length > 0) {
+      schema.platforms.cursor = { compatible: false, globs };
+    }
+    reportDroppedFields(this.reviews, schema, fields, ['applyTo', 'description']);
+    return schema;
+  }
+
+  /**
+   * Get the path-specific instructions path of a schema
+   * @param {object} schema - Parsed schema object
+   * @returns {string} Path relative to the project root
+   */
+  getOutputPath(schema) {
+    return `.github/instructions/${schema.id}.instructions.md`;
+  }
+}
+
+module.exports = { CopilotAdapter, INSTRUCTIONS_FILE };
@@ -0,0 +1,122 @@
+const { createAdapter, generatePlatformFiles } = require('./index');
+
+describe('CopilotAdapter', () => {
+  const PLATFORM = 'github-copilot';
+  const schemaFor = (id, copilot, extra = {}) =>
+    global.createTestSchema({
+      id,
+      title: id.toUpperCase(),
+      platforms: { [PLATFORM]: { compatible: true, ...copilot }, ...extra },
+      _content: `Guidance for ${id}.`
+    });
+
+  const schemas = [
+    schemaFor('style', { priority: 2 }),
+    schemaFor('owasp', { priority: 10, reviewType: 'security' }),
+    schemaFor(
+      'react',
+      { priority: 9, reviewType: 'general' },
+      {
+        cursor: { compatible: true, globs: ['**/*.tsx', '**/*.jsx'] }
+      }
+    ),
+    schemaFor('secrets', { priority: 5, reviewType: 'security' }),
+    schemaFor('lint', { reviewType: 'code-quality' }),
+    schemaFor('off', { compatible: false })
+  ];
+
+  test('should merge schemas in priority order with review groups', async () => {
+    const files = await generatePlatformFiles(PLATFORM, schemas);
+
+    expect(files['.github/copilot-instructions.md']).toBe(
+      [
+        '# Copilot Instructions',
+        '',
+        '<!-- Generated by ai-context-schema. Edit the source schemas instead of this file. -->',
+        '',
+        '## REACT',
+        '',
+        'Guidance for react.',
+        '',
+        '## STYLE',
+        '',
+        'Guidance for style.',
+        '',
+        '## Security Review',
+        '',
+        '### OWASP',
+        '',
+        'Guidance for owasp.',
+        '',
+        '### SECRETS',
+        '',
+        'Guidance for secrets.',
+        '',
+        '## Code Quality Review',
+        '',
+        '### LINT',
+        '',
+        'Guidance for lint.',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('should write path-specific instructions for schemas with globs', async () => {
+    const files = await generatePlatformFiles(PLATFORM, schemas);
+
+    expect(Object.keys(files).sort()).toEqual([
+      '.github/copilot-instructions.md',
+      '.github/instructions/react.instructions.md'
+    ]);
+    expect(files['.github/instructions/react.instructions.md']).toBe(
+      '---\napplyTo: "**/*.tsx,**/*.jsx"\n---\n\nGuidance for react.\n'
+    );
+  });
+
+  test('should write nothing without compatible schemas', async () => {
+    expect(await generatePlatformFiles(PLATFORM, [schemas[5]])).toEqual({});
+  });
+
+  describe('parse', () => {
+    test('should read review groups and path-specific globs back', async () => {
+      const adapter = createAdapter(PLATFORM);
+      const imported = await adapter.parse(await generatePlatformFiles(PLATFORM, schemas));
+
+      expect(imported.map((schema) => [schema.id, schema.platforms])).toEqual([
+        ['react', { [PLATFORM]: { compatible: true } }],
+        ['style', { [PLATFORM]: { compatible: true } }],
+        ['owasp', { [PLATFORM]: { compatible: true, reviewType: 'security' } }],
+        ['secrets', { [PLATFORM]: { compatible: true, reviewType: 'security' } }],
+        ['lint', { [PLATFORM]: { compatible: true, reviewType: 'code-quality' } }],
+        [
+          'react',
+          {
+            [PLATFORM]: { compatible: true },
+            cursor: { compatible: false, globs: ['**/*.tsx', '**/*.jsx'] }
+          }
+        ]
+      ]);
+      expect(imported[2]).toMatchObject({
+        title: 'OWASP',
+        _content: '# OWASP\n\nGuidance for owasp.'
+      });
+    });
+
+    test('should treat instructions for all files as unscoped and report other fields', async () => {
+      const adapter = createAdapter(PLATFORM);
+      const [schema] = await adapter.parse({
+        '.github/instructions/docs.instructions.md':
+          '---\napplyTo: "**"\nexcludeAgent: code-review\n---\n\nWrite docs in plain English.\n'
+      });
+
+      expect(schema.platforms).toEqual({ [PLATFORM]: { compatible: true } });
+      expect(adapter.reviews.map(({ field }) => field)).toEqual([
+        'title',
+        'description',
+        'category',
+        'excludeAgent'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * AI Context Schema Cursor Adapter
+ * Exports `.cursor/rules/<id>.mdc` project rules
+ */
+
+const { createImportedSchema, parseFrontmatter, splitList } = require('./importing');
+const { PlatformAdapter } = require('./platform-adapter');
+
+const RULES_DIR = '.cursor/rules/';
+const ALWAYS = 'always';
+const AUTO_ATTACHED = 'auto-attached';
+const AGENT_REQUESTED = 'agent-requested';
+const ACTIVATIONS = [ALWAYS, AUTO_ATTACHED, AGENT_REQUESTED, 'manual'];
+const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Cursor adapter
+ *
+ * The `activation` mode decides which frontmatter fields Cursor sees:
+ * - `always`: `alwaysApply: true`
+ * - `auto-attached`: `globs`, attached when a matching file is in context
+ * - `agent-requested`: `description`, which the agent uses to decide relevance
+ * - `manual`: no trigger, the rule is only included when mentioned
+ *
+ * Importing reverses the mapping: the fields set in an `.mdc` file decide the
+ * activation, in the order above.
+ */
+class CursorAdapter extends PlatformAdapter {
+  /**
+   * Create a Cursor adapter
+   */
+  constructor() {
+    super('cursor');
+    this.reviews = [];
+  }
+
+  /**
+   * Get the activation mode of a schema
+   *
+   * Schemas without an explicit mode are auto-attached when they declare
+   * globs and agent-requested otherwise.
+   * @param {object} config - Cursor platform configuration
+   * @returns {string} Activation mode
+   */
+  getActivation(config) {
+    if (config.activation) {
+      return config.activation;
+    }
+    return config.globs?.length > 0 ? AUTO_ATTACHED : AGENT_REQUESTED;
+  }
+
+  /**
+   * Render an `.mdc` rule
+   * @param {object} schema - Parsed schema object
+   * @param {object} config - Cursor platform configuration
+   * @returns {string} Rule content with frontmatter
+   */
+  transformSchema(schema, config) {
+    const activation = this.getActivation(config);
+    const description =
+      activation === AGENT_REQUESTED ? schema.description.replace(/\s+/g, ' ') : '';
+    const globs = activation === AUTO_ATTACHED ? (config.globs || []).join(',') : '';
+
+    // Cursor expects every key, so empty values are written as a bare `key:`
+    const frontmatter = [
+      `description:${description ? ` ${description}` : ''}`,
+      `globs:${globs ? ` ${globs}` : ''}`,
+      `alwaysApply: ${activation === ALWAYS}`
+    ];
+
+    return `---\n${frontmatter.join('\n')}\n---\n\n${(schema._content || '').trim()}\n`;
+  }
+
+  /**
+   * Get the glob patterns of Cursor rules
+   * @returns {string[]} Patterns relative to the project root
+   */
+  getImportPatterns() {
+    return [`${RULES_DIR}**/*.mdc`];
+  }
+
+  /**
+   * Import `.mdc` rules as schemas
+   *
+   * The ID comes from the path below `.cursor/rules`. Frontmatter from older
+   * rule formats (`title`, `activation`, `priority`) is kept when valid.
+   * @param {object} files - File contents keyed by path relative to the project root
+   * @returns {Promise<object[]>} Parsed schema objects
+   */
+  async parse(files) {
+    this.reviews = [];
+
+    return this.selectImportFiles(files).map(([filePath, content]) => {
+      const { fields, body } = parseFrontmatter(content);
+      const config = this.parseRuleConfig(fields);
+      const schema = createImportedSchema(
+        {
+          name: filePath.slice(RULES_DIR.length).replace(/\.mdc$/, ''),
+          filePath,
+          content: body,
+          platform: this.platformName,
+          config,
+          title: fields.title,
+          description: fields.description
+        },
+        this.reviews
+      );
+
+      if (fields.alwaysApply === true && config.globs === undefined && fields.globs) {
+        this.reviews.push({
+          id: schema.id,
+          path: filePath,
+          field: 'platforms.cursor.globs',
+          message: 'Dropped because the rule always applies'
+        });
+      }
+      return schema;
+    });
+  }
+
+  /**
+   * Map rule frontmatter to a Cursor platform configuration
+   * @param {object} fields - Frontmatter fields
+   * @returns {object} Platform configuration without `compatible`
+   */
+  parseRuleConfig(fields) {
+    const globs = splitList(fields.globs);
+    const config = {};
+
+    if (ACTIVATIONS.includes(fields.activation)) {
+      config.activation = fields.activation;
+    } else if (fields.alwaysApply === true) {
+      config.activation = ALWAYS;
+    } else if (globs.length > 0) {
+      config.activation = AUTO_ATTACHED;
+    } else if (fields.description) {
+      config.activation = AGENT_REQUESTED;
+    } else {
+      config.activation = 'manual';
+    }
+
+    if (globs.length > 0 && config.activation !== ALWAYS) {
+      config.globs = globs;
+    }
+    if (PRIORITIES.includes(fields.priority)) {
+      config.priority = fields.priority;
+    }
+    return config;
+  }
+
+  /**
+   * Get the rule path of a schema
+   * @param {object} schema - Parsed schema object
+   * @returns {string} Path relative to the project root
+   */
+  getOutputPath(schema) {
+    return `.cursor/rules/${schema.id}.mdc`;
+  }
+}
+
+module.exports = { CursorAdapter };
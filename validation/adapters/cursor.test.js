@@ -0,0 +1,112 @@
+const { CursorAdapter } = require('./cursor');
+const { generatePlatformFiles } = require('./index');
+
+describe('CursorAdapter', () => {
+  const AUTO_ATTACHED = 'auto-attached';
+  const schemaFor = (id, cursor) =>
+    global.createTestSchema({
+      id,
+      description: 'Use when editing\nReact components',
+      platforms: { cursor: { compatible: true, ...cursor } },
+      _content: `# ${id}\n\nBody for ${id}.\n`
+    });
+  const activationSchemas = [
+    schemaFor('always', { activation: 'always', globs: ['**/*'] }),
+    schemaFor('attached', { activation: AUTO_ATTACHED, globs: ['**/*.tsx', '**/*.jsx'] }),
+    schemaFor('requested', { activation: 'agent-requested' }),
+    schemaFor('manual', { activation: 'manual' })
+  ];
+
+  test('should map activation modes to mdc frontmatter', async () => {
+    const files = await generatePlatformFiles('cursor', activationSchemas);
+
+    expect(files['.cursor/rules/always.mdc']).toBe(
+      '---\ndescription:\nglobs:\nalwaysApply: true\n---\n\n# always\n\nBody for always.\n'
+    );
+    expect(files['.cursor/rules/attached.mdc']).toContain(
+      '---\ndescription:\nglobs: **/*.tsx,**/*.jsx\nalwaysApply: false\n---'
+    );
+    expect(files['.cursor/rules/requested.mdc']).toContain(
+      '---\ndescription: Use when editing React components\nglobs:\nalwaysApply: false\n---'
+    );
+    expect(files['.cursor/rules/manual.mdc']).toContain(
+      '---\ndescription:\nglobs:\nalwaysApply: false\n---'
+    );
+  });
+
+  test('should infer the activation mode when none is set', async () => {
+    const files = await generatePlatformFiles('cursor', [
+      schemaFor('with-globs', { globs: ['src/**'] }),
+      schemaFor('without-globs', {})
+    ]);
+
+    expect(files['.cursor/rules/with-globs.mdc']).toContain('globs: src/**\n');
+    expect(files['.cursor/rules/without-globs.mdc']).toContain('description: Use when editing');
+  });
+
+  test('should skip schemas that are not Cursor compatible', async () => {
+    const files = await generatePlatformFiles('cursor', [
+      schemaFor('off', { compatible: false }),
+      global.createTestSchema({ id: 'no-cursor', platforms: { zed: { compatible: true } } })
+    ]);
+
+    expect(files).toEqual({});
+  });
+
+  describe('parse', () => {
+    test('should map mdc frontmatter back to activation modes', async () => {
+      const files = await generatePlatformFiles('cursor', activationSchemas);
+      const schemas = await new CursorAdapter().parse(files);
+
+      expect(schemas.map((schema) => [schema.id, schema.platforms.cursor])).toEqual([
+        ['always', { compatible: true, activation: 'always' }],
+        [
+          'attached',
+          { compatible: true, activation: AUTO_ATTACHED, globs: ['**/*.tsx', '**/*.jsx'] }
+        ],
+        ['manual', { compatible: true, activation: 'manual' }],
+        ['requested', { compatible: true, activation: 'agent-requested' }]
+      ]);
+      expect(schemas[3]).toMatchObject({
+        title: 'requested',
+        description: 'Use when editing React components',
+        _content: '# requested\n\nBody for requested.'
+      });
+    });
+
+    test('should derive metadata and list the values that need review', async () => {
+      const adapter = new CursorAdapter();
+      const [legacy, nested] = await adapter.parse({
+        '.cursor/rules/legacy.mdc':
+          '---\ntitle: "React Patterns"\nactivation: "auto-attached"\nglobs: ["**/*.tsx"]\n' +
+          'priority: high\n---\n# Guidelines\n\nUse functional components with hooks.\n',
+        '.cursor/rules/team/OnCall.mdc': '---\nalwaysApply: true\nglobs: src/**\n---\n\nPage.\n',
+        'README.md': '# Not a rule\n'
+      });
+
+      expect(legacy).toMatchObject({
+        id: 'legacy',
+        title: 'React Patterns',
+        description: 'Use functional components with hooks.',
+        category: 'technology',
+        platforms: {
+          cursor: { activation: AUTO_ATTACHED, globs: ['**/*.tsx'], priority: 'high' }
+        }
+      });
+      expect(nested).toMatchObject({
+        id: 'team-on-call',
+        title: 'Team on call',
+        description: 'Team on call guidance imported from .cursor/rules/team/OnCall.mdc',
+        category: 'project',
+        platforms: { cursor: { compatible: true, activation: 'always' } }
+      });
+      expect(adapter.reviews.map(({ id, field }) => `${id} ${field}`)).toEqual([
+        'legacy description',
+        'team-on-call title',
+        'team-on-call description',
+        'team-on-call category',
+        'team-on-call platforms.cursor.globs'
+      ]);
+    });
+  });
+});
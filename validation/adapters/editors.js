@@ -0,0 +1,279 @@
+/**
+ * AI Context Schema Editor Adapters
+ * Exports AI rule folders for VS Code, VS Code Insiders, VSCodium and Zed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatSettings } = require('./markdown');
+const { PlatformAdapter } = require('./platform-adapter');
+
+const EXTENSIONS_FILE = 'extensions.json';
+
+// Editor fields folded into the guidance, with their labels
+const FIELD_LABELS = {
+  extension: 'Recommended extension',
+  commands: 'Commands',
+  mcpIntegration: 'Uses MCP servers',
+  mode: 'Configuration scope',
+  aiFeatures: 'Uses Zed AI features',
+  collaborative: 'Collaborative features',
+  performance: 'Performance level',
+  notes: 'Notes'
+};
+
+/**
+ * Parse JSON with comments, as VS Code writes its configuration files
+ *
+ * Line and block comments outside strings are removed, as are trailing commas
+ * before a closing bracket or brace.
+ * @param {string} text - JSONC text
+ * @returns {*} Parsed value
+ */
+function parseJsonc(text) {
+  let json = '';
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+    const pair = text.slice(index, index + 2);
+
+    if (char === '"') {
+      const end = /"(?:[^"\\]|\\.)*"/y;
+      end.lastIndex = index;
+      const match = end.exec(text);
+      const literal = match ? match[0] : text.slice(index);
+      json += literal;
+      index += literal.length;
+    } else if (pair === '//') {
+      const newline = text.indexOf('\n', index);
+      index = newline === -1 ? text.length : newline;
+    } else if (pair === '/*') {
+      const close = text.indexOf('*/', index + 2);
+      index = close === -1 ? text.length : close + 2;
+    } else {
+      json = char === '}' || char === ']' ? json.replace(/,(\s*)$/, '$1') : json;
+      json += char;
+      index++;
+    }
+  }
+
+  return JSON.parse(json);
+}
+
+/**
+ * Editor adapter
+ *
+ * Each schema becomes `<configPath>/ai-rules/<id>.md`, where `configPath`
+ * defaults to the editor's folder and can be overridden per schema. Editors
+ * with extension recommendations also get `<configPath>/extensions.json`;
+ * when `projectDir` is given, the recommendations are merged into the file
+ * already there, keeping its entries and other properties. That file may hold
+ * comments, which do not survive the merge.
+ */
+class EditorAdapter extends PlatformAdapter {
+  /**
+   * Create an editor adapter
+   * @param {object} options - Adapter options
+   * @param {string} [options.projectDir] - Project directory holding existing editor files
+   * @param {object} editor - Editor description
+   * @param {string} editor.platformName - Platform key
+   * @param {string} editor.name - Display name
+   * @param {string} editor.configPath - Default configuration folder
+   * @param {boolean} [editor.extensions] - Whether the editor reads `extensions.json`
+   */
+  constructor(options, { platformName, name, configPath, extensions = false }) {
+    super(platformName);
+    this.projectDir = options.projectDir;
+    this.editorName = name;
+    this.defaultConfigPath = configPath;
+    this.supportsExtensions = extensions;
+  }
+
+  /**
+   * Generate rule files and extension recommendations
+   * @param {object[]} schemas - Parsed schema objects
+   * @returns {Promise<object>} File contents keyed by path relative to the project root
+   */
+  async generate(schemas) {
+    const files = await super.generate(schemas);
+
+    if (this.supportsExtensions) {
+      for (const [configPath, extensions] of this.collectRecommendations(schemas)) {
+        const filePath = path.posix.join(configPath, EXTENSIONS_FILE);
+        files[filePath] = this.mergeRecommendations(filePath, extensions);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Get the configuration folder of a schema
+   * @param {object} config - Editor platform configuration
+   * @returns {string} Folder relative to the project root, without trailing slash
+   */
+  getConfigPath(config) {
+    return path.posix.normalize(config.configPath || this.defaultConfigPath).replace(/\/+$/, '');
+  }
+
+  /**
+   * Collect recommended extension IDs per configuration folder
+   * @param {object[]} schemas - Parsed schema objects
+   * @returns {Map<string, string[]>} Extension IDs keyed by configuration folder
+   */
+  collectRecommendations(schemas) {
+    const recommendations = new Map();
+
+    for (const schema of this.getCompatibleSchemas(schemas)) {
+      const config = this.getPlatformConfig(schema);
+      const configPath = this.getConfigPath(config);
+      if (!recommendations.has(configPath)) {
+        recommendations.set(configPath, []);
+      }
+      if (config.extension && !recommendations.get(configPath).includes(config.extension)) {
+        recommendations.get(configPath).push(config.extension);
+      }
+    }
+
+    return new Map([...recommendations].filter(([, extensions]) => extensions.length > 0));
+  }
+
+  /**
+   * Merge recommendations into the existing extensions.json of the project
+   * @param {string} filePath - extensions.json path relative to the project root
+   * @param {string[]} extensions - Recommended extension IDs
+   * @returns {string} extensions.json content
+   */
+  mergeRecommendations(filePath, extensions) {
+    const existingPath = this.projectDir && path.join(this.projectDir, filePath);
+    let existing = {};
+
+    if (existingPath && fs.existsSync(existingPath)) {
+      try {
+        existing = parseJsonc(fs.readFileSync(existingPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot merge into ${existingPath}: ${error.message}`);
+      }
+    }
+
+    const recommendations = [...(existing.recommendations || [])];
+    for (const extension of extensions) {
+      if (!recommendations.includes(extension)) {
+        recommendations.push(extension);
+      }
+    }
+
+    return `${JSON.stringify({ ...existing, recommendations }, null, 2)}\n`;
+  }
+
+  /**
+   * Check whether an output is merged into the existing file
+   * @param {string} filePath - Output path relative to the project root
+   * @returns {boolean} True for extensions.json
+   */
+  isMergedOutput(filePath) {
+    return this.supportsExtensions && path.posix.basename(filePath) === EXTENSIONS_FILE;
+  }
+
+  /**
+   * Render a rule with the editor integration appended
+   * @param {object} schema - Parsed schema object
+   * @param {object} config - Editor platform configuration
+   * @returns {string} Rule markdown
+   */
+  transformSchema(schema, config) {
+    const content = (schema._content || '').trim();
+    const settings = formatSettings(config, FIELD_LABELS);
+
+    if (settings.length === 0) {
+      return `${content}\n`;
+    }
+    return `${content}\n\n## ${this.editorName} Integration\n\n${settings.join('\n')}\n`;
+  }
+
+  /**
+   * Get the rule path of a schema
+   * @param {object} schema - Parsed schema object
+   * @param {object} config - Editor platform configuration
+   * @returns {string} Path relative to the project root
+   */
+  getOutputPath(schema, config) {
+    return `${this.getConfigPath(config)}/ai-rules/${schema.id}.md`;
+  }
+}
+
+/**
+ * VS Code adapter, writing to `.vscode`
+ */
+class VSCodeAdapter extends EditorAdapter {
+  /**
+   * Create a VS Code adapter
+   * @param {object} options - Adapter options, see `EditorAdapter`
+   */
+  constructor(options = {}) {
+    super(options, {
+      platformName: 'vscode',
+      name: 'VS Code',
+      configPath: '.vscode',
+      extensions: true
+    });
+  }
+}
+
+/**
+ * VS Code Insiders adapter, writing to `.vscode-insiders`
+ */
+class VSCodeInsidersAdapter extends EditorAdapter {
+  /**
+   * Create a VS Code Insiders adapter
+   * @param {object} options - Adapter options, see `EditorAdapter`
+   */
+  constructor(options = {}) {
+    super(options, {
+      platformName: 'vscode-insiders',
+      name: 'VS Code Insiders',
+      configPath: '.vscode-insiders',
+      extensions: true
+    });
+  }
+}
+
+/**
+ * VSCodium adapter, writing to `.vscode-oss`
+ */
+class VSCodiumAdapter extends EditorAdapter {
+  /**
+   * Create a VSCodium adapter
+   * @param {object} options - Adapter options, see `EditorAdapter`
+   */
+  constructor(options = {}) {
+    super(options, {
+      platformName: 'vscodium',
+      name: 'VSCodium',
+      configPath: '.vscode-oss',
+      extensions: true
+    });
+  }
+}
+
+/**
+ * Zed adapter, writing to `.zed`
+ */
+class ZedAdapter extends EditorAdapter {
+  /**
+   * Create a Zed adapter
+   * @param {object} options - Adapter options, see `EditorAdapter`
+   */
+  constructor(options = {}) {
+    super(options, { platformName: 'zed', name: 'Zed', configPath: '.zed' });
+  }
+}
+
+module.exports = {
+  EditorAdapter,
+  VSCodeAdapter,
+  VSCodeInsidersAdapter,
+  VSCodiumAdapter,
+  ZedAdapter
+};
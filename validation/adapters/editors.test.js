@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { generatePlatformFiles } = require('./index');
+
+describe('EditorAdapter', () => {
+  const ESLINT_EXTENSION = 'dbaeumer.vscode-eslint';
+  const EXTENSIONS_FILE = '.vscode/extensions.json';
+  const schemaFor = (id, platforms) =>
+    global.createTestSchema({ id, platforms, _content: `# ${id}\n\nEditor rules.` });
+
+  const schemas = [
+    schemaFor('react', {
+      vscode: {
+        compatible: true,
+        extension: ESLINT_EXTENSION,
+        commands: ['React: Create Component']
+      },
+      vscodium: { compatible: true, configPath: './.config/codium/', extension: 'typescript-hero' },
+      zed: { compatible: true, mode: 'project', aiFeatures: true }
+    }),
+    schemaFor('testing', {
+      vscode: { compatible: true, extension: ESLINT_EXTENSION },
+      'vscode-insiders': { compatible: true, mcpIntegration: true }
+    })
+  ];
+
+  test('should write rules with the editor integration to the editor folder', async () => {
+    const files = await generatePlatformFiles('vscode', schemas);
+
+    expect(Object.keys(files).sort()).toEqual([
+      '.vscode/ai-rules/react.md',
+      '.vscode/ai-rules/testing.md',
+      EXTENSIONS_FILE
+    ]);
+    expect(files['.vscode/ai-rules/react.md']).toBe(
+      [
+        '# react',
+        '',
+        'Editor rules.',
+        '',
+        '## VS Code Integration',
+        '',
+        `- Recommended extension: ${ESLINT_EXTENSION}`,
+        '- Commands: React: Create Component',
+        ''
+      ].join('\n')
+    );
+    expect(JSON.parse(files[EXTENSIONS_FILE])).toEqual({
+      recommendations: [ESLINT_EXTENSION]
+    });
+  });
+
+  test('should write each editor to its own folder', async () => {
+    const insiders = await generatePlatformFiles('vscode-insiders', schemas);
+    const zed = await generatePlatformFiles('zed', schemas);
+
+    expect(Object.keys(insiders)).toEqual(['.vscode-insiders/ai-rules/testing.md']);
+    expect(Object.keys(zed)).toEqual(['.zed/ai-rules/react.md']);
+    expect(zed['.zed/ai-rules/react.md']).toContain(
+      '## Zed Integration\n\n- Configuration scope: project\n- Uses Zed AI features: yes\n'
+    );
+  });
+
+  test('should honour a custom configPath', async () => {
+    const files = await generatePlatformFiles('vscodium', schemas);
+
+    expect(Object.keys(files).sort()).toEqual([
+      '.config/codium/ai-rules/react.md',
+      '.config/codium/extensions.json'
+    ]);
+  });
+
+  test('should merge recommendations into an existing extensions.json', async () => {
+    const projectDir = global.createTempDir();
+
+    try {
+      fs.mkdirSync(path.join(projectDir, '.vscode'));
+      global.createTestFile(
+        path.join(projectDir, '.vscode'),
+        'extensions.json',
+        JSON.stringify({
+          recommendations: ['esbenp.prettier-vscode'],
+          unwantedRecommendations: ['ms-vscode.vscode-typescript-tslint-plugin']
+        })
+      );
+
+      const files = await generatePlatformFiles('vscode', schemas, { projectDir });
+
+      expect(JSON.parse(files[EXTENSIONS_FILE])).toEqual({
+        recommendations: ['esbenp.prettier-vscode', ESLINT_EXTENSION],
+        unwantedRecommendations: ['ms-vscode.vscode-typescript-tslint-plugin']
+      });
+    } finally {
+      global.cleanupTempDir(projectDir);
+    }
+  });
+
+  test('should merge into an extensions.json with comments and trailing commas', async () => {
+    const projectDir = global.createTempDir();
+
+    try {
+      fs.mkdirSync(path.join(projectDir, '.vscode'));
+      global.createTestFile(
+        path.join(projectDir, '.vscode'),
+        'extensions.json',
+        [
+          '{',
+          '  // See https://go.microsoft.com/fwlink/?LinkId=827846',
+          '  "recommendations": [',
+          '    /* formatter */ "esbenp.prettier-vscode",',
+          '  ],',
+          '}'
+        ].join('\n')
+      );
+
+      const files = await generatePlatformFiles('vscode', schemas, { projectDir });
+
+      expect(JSON.parse(files[EXTENSIONS_FILE])).toEqual({
+        recommendations: ['esbenp.prettier-vscode', ESLINT_EXTENSION]
+      });
+    } finally {
+      global.cleanupTempDir(projectDir);
+    }
+  });
+
+  test('should refuse to overwrite an extensions.json it cannot parse', async () => {
+    const projectDir = global.createTempDir();
+
+    try {
+      fs.mkdirSync(path.join(projectDir, '.vscode'));
+      global.createTestFile(path.join(projectDir, '.vscode'), 'extensions.json', '{ oops');
+
+      await expect(generatePlatformFiles('vscode', schemas, { projectDir })).rejects.toThrow(
+        'Cannot merge into'
+      );
+    } finally {
+      global.cleanupTempDir(projectDir);
+    }
+  });
+});
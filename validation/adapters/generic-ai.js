@@ -0,0 +1,418 @@
+/**
+ * AI Context Schema Generic AI Adapter
+ * Flattens a schema library into one AGENTS.md, or an `.ai/rules/` directory
+ */
+
+const { DependencyResolver } = require('../resolver');
+const { createImportedSchema, splitDocument } = require('./importing');
+const {
+  describeDropped,
+  fitToLimit,
+  GENERATED_NOTICE,
+  getSectionValue,
+  shiftHeadings,
+  sortByPriority,
+  splitSections
+} = require('./markdown');
+const { PlatformAdapter } = require('./platform-adapter');
+
+const AGENTS_FILE = 'AGENTS.md';
+const RULES_DIR = '.ai/rules';
+const LAYOUTS = ['file', 'directory'];
+const CONTENTS_HEADING = 'Contents';
+
+/**
+ * Get the GitHub-style anchors of all headings outside fenced code blocks
+ * @param {string} markdown - Markdown content
+ * @returns {object[]} Headings with `level`, `text` and `anchor`, in document order
+ */
+function getHeadingAnchors(markdown) {
+  const seen = new Map();
+  const headings = [];
+  let inFence = false;
+
+  for (const line of markdown.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    const match = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*$/);
+    if (match) {
+      const slug = match[2]
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replace(/\s/g, '-');
+      const count = seen.get(slug) || 0;
+      seen.set(slug, count + 1);
+      headings.push({
+        level: match[1].length,
+        text: match[2],
+        anchor: count > 0 ? `${slug}-${count}` : slug
+      });
+    }
+  }
+
+  return headings;
+}
+
+/**
+ * Split schema content into its title, introduction and level-two sections
+ * @param {object} schema - Parsed schema object
+ * @returns {object} `title`, `preamble` and `sections` with `heading` and `body`
+ */
+function parseContent(schema) {
+  let content = (schema._content || '').trim();
+  let title = schema.title;
+  const titleMatch = content.match(/^#\s+(.+)\n?/);
+
+  if (titleMatch) {
+    title = titleMatch[1].trim();
+    content = content.slice(titleMatch[0].length);
+  }
+
+  const [preamble, ...sections] = splitSections(content);
+  return {
+    title,
+    preamble: preamble.content.trim(),
+    sections: sections.map(({ heading, content: section }) => ({
+      heading,
+      body: section.replace(/^.*\n?/, '').trim()
+    }))
+  };
+}
+
+/**
+ * Generic AI adapter
+ *
+ * Compatible schemas are resolved with their requirements and supersessions,
+ * then ordered by `priority`. The default `file` layout writes one AGENTS.md
+ * with a section per schema and a table of contents; headings that several
+ * schemas share (Purpose, Anti-Patterns, ...) are merged into one section with
+ * a subsection per schema. The `directory` layout writes one file per schema
+ * plus an `index.md` to `.ai/rules/`. With a `budget`, the least valuable
+ * content is dropped until the output fits, and recorded in `truncations`.
+ *
+ * Importing reads both layouts back. Shared heading blocks of AGENTS.md are
+ * returned to the schemas named by their subsections.
+ */
+class GenericAiAdapter extends PlatformAdapter {
+  /**
+   * Create a generic AI adapter
+   * @param {object} options - Adapter options
+   * @param {number} [options.budget] - Maximum total size in characters
+   * @param {string} [options.layout] - `file` (AGENTS.md) or `directory` (.ai/rules/)
+   */
+  constructor(options = {}) {
+    super('generic-ai');
+    this.budget = options.budget;
+    this.layout = options.layout || 'file';
+    this.truncations = [];
+    this.reviews = [];
+
+    if (!LAYOUTS.includes(this.layout)) {
+      throw new Error(`Unknown layout: ${this.layout} (expected one of ${LAYOUTS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Generate AGENTS.md or the rules directory
+   * @param {object[]} schemas - Parsed schema objects
+   * @returns {Promise<object>} File contents keyed by path relative to the project root
+   */
+  async generate(schemas) {
+    const resolved = this.resolveSchemas(schemas);
+
+    if (resolved.length === 0) {
+      return {};
+    }
+    if (this.layout === 'directory') {
+      return this.renderDirectory(resolved);
+    }
+    return { [AGENTS_FILE]: this.renderAgents(resolved) };
+  }
+
+  /**
+   * Resolve the compatible schemas, dropping superseded ones
+   * @param {object[]} schemas - Parsed schema objects
+   * @returns {object[]} Compatible schemas of the resolution, highest priority first
+   */
+  resolveSchemas(schemas) {
+    const library = new Map(schemas.map((schema) => [schema.id, { schema }]));
+    const rootIds = this.getCompatibleSchemas(schemas).map((schema) => schema.id);
+    const resolved = new DependencyResolver(library)
+      .resolve(rootIds)
+      .order.map((id) => library.get(id).schema)
+      .filter((schema) => this.getPlatformConfig(schema));
+
+    return sortByPriority(resolved, (schema) => this.getPlatformConfig(schema).priority);
+  }
+
+  /**
+   * Arrange the schemas into the level-two blocks of AGENTS.md
+   *
+   * Each schema gets a block with its introduction and the sections only it
+   * has. Headings that several schemas share become one block each, after the
+   * schema blocks, with a subsection per schema.
+   * @param {object[]} schemas - Resolved schemas, highest priority first
+   * @returns {object[]} Blocks with a `heading` and `parts`; parts taken from
+   *   a schema section carry the `section` heading, `schema` ID and `rank`
+   */
+  buildBlocks(schemas) {
+    const parsed = schemas.map((schema) => ({ schema, ...parseContent(schema) }));
+    const counts = new Map();
+
+    for (const { sections } of parsed) {
+      for (const key of new Set(sections.map(({ heading }) => heading.toLowerCase()))) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+
+    const shared = new Map();
+    const blocks = parsed.map(({ schema, title, preamble, sections }, schemaIndex) => {
+      const parts = preamble ? [{ text: shiftHeadings(preamble, 1) }] : [];
+
+      sections.forEach(({ heading, body }, sectionIndex) => {
+        const key = heading.toLowerCase();
+        const part = { section: heading, schema: schema.id, rank: [schemaIndex, sectionIndex] };
+
+        if (counts.get(key) === 1) {
+          parts.push({ ...part, text: `### ${heading}\n\n${shiftHeadings(body, 1)}` });
+          return;
+        }
+        if (!shared.has(key)) {
+          shared.set(key, { heading, parts: [] });
+        }
+        shared.get(key).parts.push({ ...part, text: `### ${title}\n\n${shiftHeadings(body, 1)}` });
+      });
+
+      return { heading: title, parts };
+    });
+
+    return [...blocks, ...shared.values()];
+  }
+
+  /**
+   * Render blocks as level-two sections, leaving out blocks without parts
+   * @param {object[]} blocks - Blocks from `buildBlocks`
+   * @returns {string} Markdown sections
+   */
+  renderBlocks(blocks) {
+    return blocks
+      .filter(({ parts }) => parts.length > 0)
+      .map(({ heading, parts }) => [`## ${heading}`, ...parts.map(({ text }) => text)].join('\n\n'))
+      .join('\n\n');
+  }
+
+  /**
+   * Drop schema sections until the blocks fit a length
+   *
+   * Sections are dropped lowest value first (see `fitToLimit`), and for equal
+   * values from the lowest priority schema and its last section first. Dropped
+   * sections that fit in the space left are then added back in their place.
+   * @param {object[]} blocks - Blocks from `buildBlocks`, changed in place
+   * @param {number} limit - Maximum length of the rendered blocks
+   * @returns {object[]} Dropped sections with `heading`, `schema` and `characters`
+   */
+  dropSections(blocks, limit) {
+    const byRank = (a, b) =>
+      getSectionValue(a.section) - getSectionValue(b.section) ||
+      b.rank[0] - a.rank[0] ||
+      b.rank[1] - a.rank[1];
+    const candidates = blocks
+      .flatMap((block) => block.parts.map((part) => ({ block, part })))
+      .filter(({ part }) => part.section)
+      .sort((a, b) => byRank(a.part, b.part));
+    const original = new Map(blocks.map((block) => [block, [...block.parts]]));
+    const dropped = [];
+
+    for (const candidate of candidates) {
+      if (this.renderBlocks(blocks).length <= limit) {
+        break;
+      }
+      candidate.block.parts.splice(candidate.block.parts.indexOf(candidate.part), 1);
+      dropped.push(candidate);
+    }
+
+    for (const candidate of [...dropped].reverse()) {
+      const { block, part } = candidate;
+      const kept = block.parts;
+      block.parts = original.get(block).filter((entry) => entry === part || kept.includes(entry));
+      if (this.renderBlocks(blocks).length <= limit) {
+        dropped.splice(dropped.indexOf(candidate), 1);
+      } else {
+        block.parts = kept;
+      }
+    }
+
+    return dropped.map(({ part }) => ({
+      heading: part.section,
+      schema: part.schema,
+      characters: part.text.length
+    }));
+  }
+
+  /**
+   * Render AGENTS.md with a table of contents, within the budget
+   * @param {object[]} schemas - Resolved schemas
+   * @returns {string} AGENTS.md content
+   */
+  renderAgents(schemas) {
+    const renderHeader = (sections) => {
+      const contents = getHeadingAnchors(`# ${AGENTS_FILE}\n## Contents\n${sections}`)
+        .filter(({ level }) => level === 2)
+        .slice(1)
+        .map(({ text, anchor }) => `- [${text}](#${anchor})`);
+      return `# ${AGENTS_FILE}\n\n<!-- ${GENERATED_NOTICE} -->\n\n## Contents\n\n${contents.join('\n')}\n\n`;
+    };
+    const blocks = this.buildBlocks(schemas);
+    let sections = this.renderBlocks(blocks);
+
+    if (this.budget !== undefined) {
+      // The header only shrinks as sections are dropped, so reserve its full size
+      const limit = this.budget - renderHeader(sections).length - 1;
+      const dropped = this.dropSections(blocks, limit);
+      const fitted = fitToLimit(this.renderBlocks(blocks), limit);
+
+      dropped.push(...fitted.dropped);
+      sections = fitted.content;
+
+      if (dropped.length > 0) {
+        const list = dropped.map((entry) =>
+          entry.schema
+            ? `section "${entry.heading}" of ${entry.schema} (${entry.characters} chars)`
+            : describeDropped([entry])
+        );
+        this.truncations.push({
+          path: AGENTS_FILE,
+          limit: this.budget,
+          dropped,
+          message: `Dropped ${list.join(', ')} to fit ${this.budget} characters`
+        });
+      }
+    }
+
+    return `${renderHeader(sections)}${sections}\n`;
+  }
+
+  /**
+   * Render one file per schema with an index, dropping the lowest priority
+   * schemas when the files exceed the budget
+   * @param {object[]} schemas - Resolved schemas
+   * @returns {object} File contents keyed by path relative to the project root
+   */
+  renderDirectory(schemas) {
+    const entries = schemas.map((schema) => ({
+      schema,
+      content: `${(schema._content || '').trim()}\n`
+    }));
+    const dropped = [];
+    const total = () => entries.reduce((sum, { content }) => sum + content.length, 0);
+
+    while (this.budget !== undefined && entries.length > 0 && total() > this.budget) {
+      const { schema, content } = entries.pop();
+      dropped.push({ id: schema.id, characters: content.length });
+    }
+
+    if (dropped.length > 0) {
+      const list = dropped.map(({ id, characters }) => `"${id}" (${characters} chars)`);
+      this.truncations.push({
+        path: RULES_DIR,
+        limit: this.budget,
+        dropped,
+        message: `Dropped schema ${list.join(', ')} to fit ${this.budget} characters`
+      });
+    }
+
+    const files = {};
+    const index = [];
+    for (const { schema, content } of entries) {
+      files[this.getOutputPath(schema)] = content;
+      index.push(`- [${schema.title}](${schema.id}.md)`);
+    }
+    files[`${RULES_DIR}/index.md`] =
+      `# AI Rules\n\n<!-- ${GENERATED_NOTICE} -->\n\n${index.join('\n')}\n`;
+
+    return files;
+  }
+
+  /**
+   * Get the glob patterns of AGENTS.md and the rules directory
+   * @returns {string[]} Patterns relative to the project root
+   */
+  getImportPatterns() {
+    return [AGENTS_FILE, `${RULES_DIR}/**/*.md`];
+  }
+
+  /**
+   * Import AGENTS.md and rule files as schemas, skipping the generated index
+   * @param {object} files - File contents keyed by path relative to the project root
+   * @returns {Promise<object[]>} Parsed schema objects
+   */
+  async parse(files) {
+    this.reviews = [];
+
+    return this.selectImportFiles(files)
+      .filter(([filePath]) => filePath !== `${RULES_DIR}/index.md`)
+      .flatMap(([filePath, content]) => {
+        const parts =
+          filePath === AGENTS_FILE
+            ? this.mergeSharedBlocks(splitDocument(content, 'agents', AGENTS_FILE))
+            : [{ name: filePath.slice(RULES_DIR.length + 1, -3), title: null, content }];
+
+        return parts.map(({ name, title, content: part }) =>
+          createImportedSchema(
+            { name, title, filePath, content: part, platform: this.platformName, config: {} },
+            this.reviews
+          )
+        );
+      });
+  }
+
+  /**
+   * Drop the table of contents and return the subsections of shared heading
+   * blocks (see `buildBlocks`) to their schemas
+   *
+   * A block is shared when it has no introduction and a subsection titled
+   * after another part. Its subsections are appended to the part of that
+   * title under the block heading; schemas that only had shared sections get
+   * a new part.
+   * @param {object[]} parts - Parts of AGENTS.md from `splitDocument`
+   * @returns {object[]} Parts, one per schema
+   */
+  mergeSharedBlocks(parts) {
+    const byTitle = new Map(parts.map((part) => [part.title, part]));
+    const isShared = ({ title, content }) => {
+      const [intro, ...sections] = splitSections(content);
+      return (
+        intro.content.replace(/^#\s.*$/m, '').trim() === '' &&
+        sections.some(({ heading }) => heading !== title && byTitle.has(heading))
+      );
+    };
+    const shared = parts.filter(isShared);
+    const kept = parts.filter((part) => part.title !== CONTENTS_HEADING && !shared.includes(part));
+
+    for (const block of shared) {
+      for (const { heading, content } of splitSections(block.content).slice(1)) {
+        if (!byTitle.has(heading) || shared.includes(byTitle.get(heading))) {
+          const part = { name: heading, title: heading, content: `# ${heading}` };
+          byTitle.set(heading, part);
+          kept.push(part);
+        }
+        const body = content.replace(/^.*\n?/, '').trim();
+        byTitle.get(heading).content += `\n\n## ${block.title}\n\n${body}`;
+      }
+    }
+
+    return kept;
+  }
+
+  /**
+   * Get the rule path of a schema in the directory layout
+   * @param {object} schema - Parsed schema object
+   * @returns {string} Path relative to the project root
+   */
+  getOutputPath(schema) {
+    return `${RULES_DIR}/${schema.id}.md`;
+  }
+}
+
+module.exports = { AGENTS_FILE, GenericAiAdapter };
@@ -0,0 +1,159 @@
+const { AGENTS_FILE } = require('./generic-ai');
+const { createAdapter, generatePlatformFiles } = require('./index');
+
+describe('GenericAiAdapter', () => {
+  const PLATFORM = 'generic-ai';
+  const schemaFor = (id, title, content, overrides = {}) =>
+    global.createTestSchema({
+      id,
+      title,
+      platforms: { [PLATFORM]: { compatible: true, priority: overrides.priority } },
+      _content: content,
+      ...overrides
+    });
+
+  const schemas = [
+    schemaFor(
+      'react',
+      'React',
+      '# React\n\nComponents.\n\n## Hooks\n\n### Rules\n\nTop level only.\n\n## Anti-Patterns\n\nNo class components.',
+      { priority: 9 }
+    ),
+    schemaFor('testing', 'Testing', '## Mocking\n\nMock IO.\n\n## Anti-Patterns\n\nNo sleeps.', {
+      priority: 5
+    }),
+    schemaFor('old-testing', 'Old Testing', '## Legacy\n\nOld.'),
+    schemaFor('testing-next', 'Testing Next', '## Hooks\n\nTest hooks.', {
+      priority: 1,
+      supersedes: ['old-testing']
+    }),
+    global.createTestSchema({ id: 'other', platforms: { cursor: { compatible: true } } })
+  ];
+
+  test('should flatten the resolved schemas into AGENTS.md', async () => {
+    const files = await generatePlatformFiles(PLATFORM, schemas);
+
+    expect(Object.keys(files)).toEqual([AGENTS_FILE]);
+    expect(files[AGENTS_FILE]).toBe(
+      [
+        '# AGENTS.md',
+        '',
+        '<!-- Generated by ai-context-schema. Edit the source schemas instead of this file. -->',
+        '',
+        '## Contents',
+        '',
+        '- [React](#react)',
+        '- [Testing](#testing)',
+        '- [Hooks](#hooks)',
+        '- [Anti-Patterns](#anti-patterns)',
+        '',
+        '## React',
+        '',
+        'Components.',
+        '',
+        '## Testing',
+        '',
+        '### Mocking',
+        '',
+        'Mock IO.',
+        '',
+        '## Hooks',
+        '',
+        '### React',
+        '',
+        '#### Rules',
+        '',
+        'Top level only.',
+        '',
+        '### Testing Next',
+        '',
+        'Test hooks.',
+        '',
+        '## Anti-Patterns',
+        '',
+        '### React',
+        '',
+        'No class components.',
+        '',
+        '### Testing',
+        '',
+        'No sleeps.',
+        ''
+      ].join('\n')
+    );
+  });
+
+  test('should suffix anchors of repeated headings', async () => {
+    const files = await generatePlatformFiles(PLATFORM, [
+      schemaFor('a', 'Setup', 'A.', { priority: 2 }),
+      schemaFor('b', 'Setup', 'B.', { priority: 1 })
+    ]);
+
+    expect(files[AGENTS_FILE]).toContain('- [Setup](#setup)\n- [Setup](#setup-1)\n');
+  });
+
+  test('should drop the least valuable sections to fit the budget', async () => {
+    const adapter = createAdapter(PLATFORM, { budget: 330 });
+    const files = await adapter.generate(schemas);
+
+    expect(files[AGENTS_FILE].length).toBeLessThanOrEqual(330);
+    expect(files[AGENTS_FILE]).not.toContain('Anti-Patterns');
+    expect(files[AGENTS_FILE]).toContain('### React\n\n#### Rules');
+    expect(adapter.truncations).toEqual([
+      expect.objectContaining({
+        path: AGENTS_FILE,
+        limit: 330,
+        dropped: [
+          { heading: 'Anti-Patterns', schema: 'testing', characters: 23 },
+          { heading: 'Anti-Patterns', schema: 'react', characters: 31 },
+          { heading: 'Hooks', schema: 'testing-next', characters: 29 }
+        ],
+        message: expect.stringContaining('section "Hooks" of testing-next (29 chars)')
+      })
+    ]);
+  });
+
+  test('should write one file per schema in the directory layout', async () => {
+    const adapter = createAdapter(PLATFORM, { layout: 'directory', budget: 150 });
+    const files = await adapter.generate(schemas);
+
+    expect(Object.keys(files)).toEqual([
+      '.ai/rules/react.md',
+      '.ai/rules/testing.md',
+      '.ai/rules/index.md'
+    ]);
+    expect(files['.ai/rules/index.md']).toContain('- [React](react.md)\n- [Testing](testing.md)\n');
+    expect(adapter.truncations[0].dropped).toEqual([{ id: 'testing-next', characters: 22 }]);
+  });
+
+  test('should reject unknown layouts', () => {
+    expect(() => createAdapter(PLATFORM, { layout: 'zip' })).toThrow('Unknown layout: zip');
+  });
+
+  describe('parse', () => {
+    test('should return shared sections of AGENTS.md to their schemas', async () => {
+      const files = await generatePlatformFiles(PLATFORM, schemas);
+      const imported = await createAdapter(PLATFORM).parse(files);
+
+      expect(imported.map(({ id, title }) => [id, title])).toEqual(
+        [schemas[0], schemas[1], schemas[3]].map(({ id, title }) => [id, title])
+      );
+      expect(imported[0]._content).toBe(
+        '# React\n\nComponents.\n\n## Hooks\n\n### Rules\n\nTop level only.\n\n' +
+          '## Anti-Patterns\n\nNo class components.'
+      );
+      expect(imported[2]._content).toBe('# Testing Next\n\n## Hooks\n\nTest hooks.');
+    });
+
+    test('should read rule files of the directory layout without the index', async () => {
+      const adapter = createAdapter(PLATFORM, { layout: 'directory' });
+      const imported = await adapter.parse(await adapter.generate(schemas));
+
+      expect(imported.map(({ id, _source }) => [id, _source])).toEqual([
+        ['react', '.ai/rules/react.md'],
+        [schemas[3].id, '.ai/rules/testing-next.md'],
+        ['testing', '.ai/rules/testing.md']
+      ]);
+    });
+  });
+});
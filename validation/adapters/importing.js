@@ -0,0 +1,325 @@
+/**
+ * AI Context Schema Importing
+ * Shared helpers for adapters that read platform files back into context schemas
+ */
+
+const { toKebabCase } = require('../fixer');
+const { shiftHeadings, splitSections } = require('./markdown');
+
+const IMPORTED_VERSION = '1.0.0';
+const DEFAULT_CATEGORY = 'project';
+const MIN_DESCRIPTION_LENGTH = 10;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TITLE_LENGTH = 100;
+
+// Words in an ID or title that decide the category, checked in this order
+const CATEGORY_KEYWORDS = {
+  technology: [
+    'angular',
+    'api',
+    'django',
+    'docker',
+    'express',
+    'fastapi',
+    'flask',
+    'graphql',
+    'kubernetes',
+    'laravel',
+    'nestjs',
+    'next',
+    'nextjs',
+    'node',
+    'nuxt',
+    'prisma',
+    'rails',
+    'react',
+    'rest',
+    'spring',
+    'svelte',
+    'tailwind',
+    'terraform',
+    'vue'
+  ],
+  language: [
+    'csharp',
+    'go',
+    'golang',
+    'java',
+    'javascript',
+    'kotlin',
+    'php',
+    'python',
+    'ruby',
+    'rust',
+    'scala',
+    'swift',
+    'typescript'
+  ],
+  task: [
+    'debug',
+    'debugging',
+    'deploy',
+    'deployment',
+    'documentation',
+    'migration',
+    'performance',
+    'refactor',
+    'refactoring',
+    'review',
+    'test',
+    'testing',
+    'tests'
+  ],
+  core: ['conventions', 'naming', 'principles', 'security', 'style']
+};
+
+/**
+ * Split simple `key: value` frontmatter from a platform file
+ *
+ * Platform frontmatter is not always valid YAML (Cursor writes unquoted globs
+ * starting with `*`), so values are read line by line. Quotes are removed,
+ * `true`/`false` become booleans and `[a, b]` lists become arrays.
+ * @param {string} content - File content
+ * @returns {object} Frontmatter `fields` and the markdown `body`
+ */
+function parseFrontmatter(content) {
+  const match = content.match(/^---\s*\n([\s\S]*?)\n?---\s*\n?([\s\S]*)$/);
+
+  if (!match) {
+    return { fields: {}, body: content };
+  }
+
+  const fields = {};
+  for (const line of match[1].split('\n')) {
+    const field = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (field) {
+      fields[field[1]] = parseValue(field[2].trim());
+    }
+  }
+
+  return { fields, body: match[2] };
+}
+
+/**
+ * Parse one frontmatter value
+ * @param {string} value - Raw value
+ * @returns {*} String, boolean or array of strings
+ */
+function parseValue(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitList(value.slice(1, -1));
+  }
+  return unquote(value);
+}
+
+/**
+ * Split a comma-separated list, removing quotes and empty entries
+ *
+ * Commas inside parentheses, as in `Bash(git add:*)` tool rules, or braces, as
+ * in `{ts,tsx}` glob patterns, do not split.
+ * @param {string|string[]} value - List value
+ * @returns {string[]} Entries
+ */
+function splitList(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(/,(?![^({]*[)}])/);
+  return entries.map((entry) => unquote(entry.trim())).filter(Boolean);
+}
+
+/**
+ * Remove matching single or double quotes around a value, resolving the
+ * escapes of double-quoted values
+ * @param {string} value - Value
+ * @returns {string} Unquoted value
+ */
+function unquote(value) {
+  const quoted = value.match(/^(['"])([\s\S]*)\1$/);
+
+  if (!quoted) {
+    return value;
+  }
+  try {
+    return quoted[1] === '"' ? JSON.parse(value) : quoted[2];
+  } catch {
+    return quoted[2];
+  }
+}
+
+/**
+ * Get the text of the first `#` heading of markdown
+ * @param {string} body - Markdown content
+ * @returns {string|null} Heading text
+ */
+function getFirstHeading(body) {
+  const heading = body.match(/^#\s+(.+?)\s*#*\s*$/m);
+  return heading ? heading[1] : null;
+}
+
+/**
+ * Get the first prose paragraph of markdown, skipping headings, lists and code
+ * @param {string} body - Markdown content
+ * @returns {string|null} Paragraph text on one line
+ */
+function getFirstParagraph(body) {
+  const paragraph = body
+    .replace(/```[\s\S]*?```/g, '')
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .find((block) => block && !/^(#|[-*+>|]|\d+\.|<)/.test(block));
+  return paragraph ? paragraph.replace(/\s+/g, ' ') : null;
+}
+
+/**
+ * Derive a category from the words of an ID and title
+ * @param {string} text - ID and title
+ * @returns {string|null} Category, or null when no keyword matches
+ */
+function deriveCategory(text) {
+  const words = toKebabCase(text).split('-');
+  const match = Object.entries(CATEGORY_KEYWORDS).find(([, keywords]) =>
+    keywords.some((keyword) => words.includes(keyword))
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Shorten text to a maximum length at a word boundary
+ * @param {string} text - Text
+ * @param {number} limit - Maximum length
+ * @returns {string} Text of at most `limit` characters
+ */
+function shorten(text, limit) {
+  if (text.length <= limit) {
+    return text;
+  }
+  const cut = text.slice(0, limit - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+/**
+ * Create a context schema from an imported platform file
+ *
+ * Metadata the file does not provide is derived: the ID from the source name,
+ * the title from the first heading, the description from the first paragraph
+ * and the category from keywords in the ID and title. Every value that needed
+ * a guess is added to `reviews` so a human can confirm it.
+ * @param {object} source - Imported rule
+ * @param {string} source.name - Source name to derive the ID from, such as the file name
+ * @param {string} source.filePath - Path of the file relative to the project root
+ * @param {string} source.content - Markdown content
+ * @param {string} source.platform - Platform key
+ * @param {object} source.config - Platform configuration, without `compatible`
+ * @param {string} [source.title] - Title given by the file
+ * @param {string} [source.description] - Description given by the file
+ * @param {object[]} reviews - Review notes to append to
+ * @returns {object} Parsed schema object
+ */
+function createImportedSchema(source, reviews) {
+  const content = source.content.trim();
+  const id = toKebabCase(source.name) || 'imported-rule';
+  const review = (field, message) => reviews.push({ id, path: source.filePath, field, message });
+
+  let title = source.title || getFirstHeading(content);
+  if (!title) {
+    title = id.replace(/-/g, ' ').replace(/^\w/, (letter) => letter.toUpperCase());
+    review('title', `Derived "${title}" from the file name`);
+  }
+  title = shorten(title, MAX_TITLE_LENGTH);
+
+  let description = (source.description || '').replace(/\s+/g, ' ').trim();
+  if (!description) {
+    description = getFirstParagraph(content) || '';
+    if (description.length >= MIN_DESCRIPTION_LENGTH) {
+      review('description', 'Taken from the first paragraph; write a summary of the rule');
+    }
+  }
+  if (description.length < MIN_DESCRIPTION_LENGTH) {
+    description = `${title} guidance imported from ${source.filePath}`;
+    review('description', 'The file has no usable description; write a summary of the rule');
+  }
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    description = shorten(description, MAX_DESCRIPTION_LENGTH);
+    review('description', `Shortened to ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  let category = deriveCategory(`${id} ${title}`);
+  if (!category) {
+    category = DEFAULT_CATEGORY;
+    review('category', `No keyword matched; defaulted to "${DEFAULT_CATEGORY}"`);
+  }
+
+  return {
+    id,
+    title,
+    description,
+    version: IMPORTED_VERSION,
+    category,
+    platforms: { [source.platform]: { compatible: true, ...source.config } },
+    _content: content,
+    _source: source.filePath
+  };
+}
+
+/**
+ * Split a markdown document into one part per top-level section
+ *
+ * Sections are the `#` headings when there are several, and otherwise the
+ * `##` headings below the document title; each part's headings are shifted so
+ * the section heading becomes its title. Content before the first section
+ * becomes a part named after the document title, or `defaultName` when the
+ * title is the `fileTitle` every such document has. HTML comments are removed.
+ * @param {string} content - Markdown document
+ * @param {string} defaultName - Name of the introduction when the title is generic
+ * @param {string} fileTitle - Generic document title, such as `CLAUDE.md`
+ * @returns {object[]} Parts with `name`, `title` (null when generic) and `content`
+ */
+function splitDocument(content, defaultName, fileTitle) {
+  const markdown = content.replace(/<!--[\s\S]*?-->\n*/g, '');
+  const shifted = splitSections(shiftHeadings(markdown, 1));
+  const topLevel = shifted.length > 2;
+  const [preamble, ...sections] = topLevel ? shifted : splitSections(markdown);
+  const documentTitle = topLevel ? null : getFirstHeading(preamble.content);
+  const preambleBody = preamble.content.replace(/^#\s.*$/m, '').trim();
+  const parts = sections.map(({ heading, content: section }) => ({
+    name: heading,
+    title: heading,
+    content: shiftHeadings(section, -1).trim()
+  }));
+
+  if (preambleBody) {
+    const title = documentTitle === fileTitle ? null : documentTitle;
+    parts.unshift({ name: title || defaultName, title, content: preambleBody });
+  }
+  return parts;
+}
+
+/**
+ * Report frontmatter fields an importer cannot represent in a schema
+ * @param {object[]} reviews - Review notes to append to
+ * @param {object} schema - Imported schema
+ * @param {object} fields - Frontmatter fields of the file
+ * @param {string[]} known - Fields the importer reads
+ */
+function reportDroppedFields(reviews, schema, fields, known) {
+  for (const field of Object.keys(fields).filter((key) => !known.includes(key))) {
+    reviews.push({
+      id: schema.id,
+      path: schema._source,
+      field,
+      message: 'Dropped; context schemas have no matching field'
+    });
+  }
+}
+
+module.exports = {
+  createImportedSchema,
+  deriveCategory,
+  getFirstHeading,
+  getFirstParagraph,
+  parseFrontmatter,
+  reportDroppedFields,
+  splitDocument,
+  splitList
+};
@@ -0,0 +1,139 @@
+/**
+ * AI Context Schema Adapters
+ * Registry of platform adapters and helpers to generate and write their files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ClaudeCodeAdapter } = require('./claude-code');
+const { CopilotAdapter } = require('./copilot');
+const { CursorAdapter } = require('./cursor');
+const { VSCodeAdapter, VSCodeInsidersAdapter, VSCodiumAdapter, ZedAdapter } = require('./editors');
+const { GenericAiAdapter } = require('./generic-ai');
+const { JetBrainsAdapter } = require('./jetbrains');
+const { EXPORT_ONLY, PlatformAdapter } = require('./platform-adapter');
+const { PluginAdapter } = require('./plugins');
+const { WindsurfAdapter, WindsurfNextAdapter } = require('./windsurf');
+
+const adapters = {
+  'claude-code': ClaudeCodeAdapter,
+  cursor: CursorAdapter,
+  'generic-ai': GenericAiAdapter,
+  'github-copilot': CopilotAdapter,
+  jetbrains: JetBrainsAdapter,
+  vscode: VSCodeAdapter,
+  'vscode-insiders': VSCodeInsidersAdapter,
+  vscodium: VSCodiumAdapter,
+  windsurf: WindsurfAdapter,
+  'windsurf-next': WindsurfNextAdapter,
+  zed: ZedAdapter
+};
+
+/**
+ * Create the adapter for a platform
+ *
+ * Built-in adapters take precedence; other platforms are handled by the first
+ * plugin in `options.plugins` that supports them.
+ * @param {string} platform - Platform name
+ * @param {object} [options] - Adapter options, such as the configured `limits`, the
+ *   `projectDir` holding existing files to merge with, or loaded adapter `plugins`
+ * @returns {PlatformAdapter} Adapter instance
+ */
+function createAdapter(platform, options = {}) {
+  const Adapter = adapters[platform];
+
+  if (Adapter) {
+    return new Adapter(options);
+  }
+
+  const plugin = (options.plugins || []).find((candidate) => candidate.supports(platform));
+  if (plugin) {
+    return new PluginAdapter(plugin, platform, options);
+  }
+
+  throw new Error(
+    `Unknown platform: ${platform} (expected one of ${Object.keys(adapters).join(', ')})`
+  );
+}
+
+/**
+ * The built-in adapters behind the adapter plugin contract (see `./plugins`)
+ */
+const builtinPlugin = {
+  name: 'ai-context-schema',
+  supports: (platform) => Object.hasOwn(adapters, platform),
+  async generate(schemas, options = {}) {
+    if (!Array.isArray(schemas)) {
+      throw new TypeError('Expected an array of schemas');
+    }
+    return createAdapter(options.platform, options).generate(schemas);
+  },
+  async parse(files, options = {}) {
+    return createAdapter(options.platform, options).parse(files);
+  }
+};
+
+/**
+ * Generate the files of a platform for a set of schemas
+ * @param {string} platform - Platform name
+ * @param {object[]} schemas - Parsed schema objects
+ * @param {object} [options] - Adapter options
+ * @returns {Promise<object>} File contents keyed by path relative to the project root
+ */
+function generatePlatformFiles(platform, schemas, options = {}) {
+  return createAdapter(platform, options).generate(schemas);
+}
+
+/**
+ * Resolve a generated file path below an output directory
+ * @param {string} outDir - Output directory
+ * @param {string} relativePath - Path relative to the output directory
+ * @returns {string} Resolved file path
+ * @throws {Error} When the path resolves outside the output directory
+ */
+function resolveOutputPath(outDir, relativePath) {
+  const root = path.resolve(outDir);
+  const filePath = path.resolve(root, relativePath);
+  const relative = path.relative(root, filePath);
+
+  if (
+    relative === '' ||
+    relative === '..' ||
+    relative.startsWith(`..${path.sep}`) ||
+    path.isAbsolute(relative)
+  ) {
+    throw new Error(`Output path resolves outside ${outDir}: ${relativePath}`);
+  }
+  return filePath;
+}
+
+/**
+ * Write generated files below an output directory
+ * @param {object} files - File contents keyed by relative path
+ * @param {string} outDir - Output directory
+ * @returns {string[]} Written file paths
+ * @throws {Error} When a path resolves outside the output directory; nothing is written then
+ */
+function writeGeneratedFiles(files, outDir) {
+  const entries = Object.entries(files).map(([relativePath, content]) => [
+    resolveOutputPath(outDir, relativePath),
+    content
+  ]);
+
+  return entries.map(([filePath, content]) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf8');
+    return filePath;
+  });
+}
+
+module.exports = {
+  adapters,
+  builtinPlugin,
+  createAdapter,
+  EXPORT_ONLY,
+  generatePlatformFiles,
+  PlatformAdapter,
+  resolveOutputPath,
+  writeGeneratedFiles
+};
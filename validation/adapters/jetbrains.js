@@ -0,0 +1,154 @@
+/**
+ * AI Context Schema JetBrains Adapter
+ * Exports `.idea/ai-rules/<ide>/` rule bundles for the JetBrains IDE family
+ */
+
+const { formatSettings } = require('./markdown');
+const { PlatformAdapter } = require('./platform-adapter');
+
+// IDE platform keys with their display names
+const IDES = {
+  intellij: 'IntelliJ IDEA',
+  webstorm: 'WebStorm',
+  pycharm: 'PyCharm',
+  phpstorm: 'PhpStorm',
+  rubymine: 'RubyMine',
+  clion: 'CLion',
+  datagrip: 'DataGrip',
+  goland: 'GoLand',
+  rider: 'Rider',
+  'android-studio': 'Android Studio'
+};
+
+// Bundle used when schemas only target the family as a whole
+const FAMILY_BUNDLE = 'jetbrains';
+
+// IDE-specific fields folded into the guidance, with their labels
+const FIELD_LABELS = {
+  plugin: 'Required plugin',
+  inspections: 'Inspections to enable',
+  fileTemplates: 'Uses file templates',
+  mcpIntegration: 'Uses MCP servers',
+  nodeIntegration: 'Node.js integration',
+  typescript: 'TypeScript support',
+  pythonInterpreter: 'Python interpreter configuration',
+  virtualEnv: 'Virtual environment',
+  phpVersion: 'PHP version',
+  composer: 'Composer integration',
+  rubyVersion: 'Ruby version',
+  rails: 'Ruby on Rails',
+  cmake: 'CMake integration',
+  debugger: 'Debugger configuration',
+  databases: 'Databases',
+  sqlDialect: 'SQL dialect',
+  goVersion: 'Go version',
+  modules: 'Go modules',
+  dotnetVersion: '.NET version',
+  unity: 'Unity integration',
+  androidSdk: 'Android SDK',
+  gradleVersion: 'Gradle version',
+  notes: 'Notes'
+};
+
+/**
+ * JetBrains adapter
+ *
+ * IDEs are detected from compatible IDE blocks (`pycharm`, `goland`, ...) and
+ * from `jetbrains.ide`. Every detected IDE gets a bundle with all schemas that
+ * are compatible with it, either through its own block or through the
+ * `jetbrains` family block, so each IDE sees the same shared rules. A family
+ * block applies to every IDE unless it names a specific `ide`; IDE block
+ * fields override its fields. Without any detected IDE, family schemas are
+ * written to a single `jetbrains` bundle.
+ */
+class JetBrainsAdapter extends PlatformAdapter {
+  /**
+   * Create a JetBrains adapter
+   */
+  constructor() {
+    super('jetbrains');
+  }
+
+  /**
+   * Generate one rule bundle per detected IDE
+   * @param {object[]} schemas - Parsed schema objects
+   * @returns {Promise<object>} File contents keyed by path relative to the project root
+   */
+  async generate(schemas) {
+    const files = {};
+    const ides = this.detectIdes(schemas);
+
+    for (const ide of ides.length > 0 ? ides : [FAMILY_BUNDLE]) {
+      for (const schema of schemas) {
+        const config = this.getIdeConfig(schema, ide);
+        if (config) {
+          files[this.getOutputPath(schema, config)] = this.transformSchema(schema, config);
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Detect the IDEs targeted by a set of schemas
+   * @param {object[]} schemas - Parsed schema objects
+   * @returns {string[]} IDE platform keys in family order
+   */
+  detectIdes(schemas) {
+    return Object.keys(IDES).filter((ide) =>
+      schemas.some(
+        (schema) =>
+          schema.platforms?.[ide]?.compatible || this.getPlatformConfig(schema)?.ide === ide
+      )
+    );
+  }
+
+  /**
+   * Get the merged configuration of a schema for one IDE bundle
+   * @param {object} schema - Parsed schema object
+   * @param {string} ide - IDE platform key, or `jetbrains` for the family bundle
+   * @returns {object|null} Configuration with the `ide` it applies to, or null
+   *   when the schema is not compatible with the IDE
+   */
+  getIdeConfig(schema, ide) {
+    const family = this.getPlatformConfig(schema);
+    const appliesToFamily = family && (!family.ide || family.ide === ide);
+    const ideConfig = ide === FAMILY_BUNDLE ? undefined : schema.platforms?.[ide];
+
+    if (ideConfig ? !ideConfig.compatible : !appliesToFamily) {
+      return null;
+    }
+    return { ...(appliesToFamily ? family : {}), ...ideConfig, ide };
+  }
+
+  /**
+   * Render a rule with the IDE-specific settings appended
+   * @param {object} schema - Parsed schema object
+   * @param {object} config - Merged IDE configuration
+   * @returns {string} Rule markdown
+   */
+  transformSchema(schema, config) {
+    const content = (schema._content || '').trim();
+    const settings = formatSettings(config, FIELD_LABELS);
+
+    if (settings.length === 0) {
+      return `${content}\n`;
+    }
+
+    const ideName = IDES[config.ide] || 'JetBrains IDEs';
+    return `${content}\n\n## ${ideName} Settings\n\n${settings.join('\n')}\n`;
+  }
+
+  /**
+   * Get the rule path of a schema within its IDE bundle
+   * @param {object} schema - Parsed schema object
+   * @param {object} config - Merged IDE configuration
+   * @returns {string} Path relative to the project root
+   */
+  getOutputPath(schema, config) {
+    return `.idea/ai-rules/${config.ide}/${schema.id}.md`;
+  }
+}
+
+module.exports = { IDES, JetBrainsAdapter };
@@ -0,0 +1,70 @@
+const { generatePlatformFiles } = require('./index');
+
+describe('JetBrainsAdapter', () => {
+  const schemaFor = (id, platforms) =>
+    global.createTestSchema({ id, platforms, _content: `# ${id}\n\nShared rules.` });
+
+  const schemas = [
+    schemaFor('shared', {
+      jetbrains: { compatible: true, inspections: ['UnusedDeclaration', 'SpellCheckingInspection'] }
+    }),
+    schemaFor('python', {
+      jetbrains: { compatible: true, ide: 'pycharm', mcpIntegration: true },
+      pycharm: { compatible: true, pythonInterpreter: true, virtualEnv: true }
+    }),
+    schemaFor('go', { goland: { compatible: true, goVersion: '1.22', modules: true } }),
+    schemaFor('no-java', {
+      jetbrains: { compatible: true },
+      intellij: { compatible: false },
+      datagrip: { compatible: true, sqlDialect: 'PostgreSQL', databases: ['postgresql'] }
+    })
+  ];
+
+  test('should write one bundle per detected IDE', async () => {
+    const files = await generatePlatformFiles('jetbrains', schemas);
+
+    expect(Object.keys(files).sort()).toEqual([
+      '.idea/ai-rules/datagrip/no-java.md',
+      '.idea/ai-rules/datagrip/shared.md',
+      '.idea/ai-rules/goland/go.md',
+      '.idea/ai-rules/goland/no-java.md',
+      '.idea/ai-rules/goland/shared.md',
+      '.idea/ai-rules/pycharm/no-java.md',
+      '.idea/ai-rules/pycharm/python.md',
+      '.idea/ai-rules/pycharm/shared.md'
+    ]);
+  });
+
+  test('should fold IDE-specific fields into the guidance', async () => {
+    const files = await generatePlatformFiles('jetbrains', schemas);
+
+    expect(files['.idea/ai-rules/pycharm/python.md']).toBe(
+      [
+        '# python',
+        '',
+        'Shared rules.',
+        '',
+        '## PyCharm Settings',
+        '',
+        '- Uses MCP servers: yes',
+        '- Python interpreter configuration: yes',
+        '- Virtual environment: yes',
+        ''
+      ].join('\n')
+    );
+    expect(files['.idea/ai-rules/goland/shared.md']).toContain(
+      '## GoLand Settings\n\n- Inspections to enable: UnusedDeclaration, SpellCheckingInspection\n'
+    );
+    expect(files['.idea/ai-rules/datagrip/no-java.md']).toContain(
+      '- Databases: postgresql\n- SQL dialect: PostgreSQL\n'
+    );
+    expect(files['.idea/ai-rules/goland/no-java.md']).toBe('# no-java\n\nShared rules.\n');
+  });
+
+  test('should write a family bundle when no IDE is detected', async () => {
+    const files = await generatePlatformFiles('jetbrains', [schemas[0], schemaFor('off', {})]);
+
+    expect(Object.keys(files)).toEqual(['.idea/ai-rules/jetbrains/shared.md']);
+    expect(files['.idea/ai-rules/jetbrains/shared.md']).toContain('## JetBrains IDEs Settings');
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * AI Context Schema Markdown Helpers
+ * Small transformations shared by the platform adapters
+ */
+
+const GENERATED_NOTICE =
+  'Generated by ai-context-schema. Edit the source schemas instead of this file.';
+
+// How much a section is worth keeping, by heading (see SPECIFICATION.md 5.2).
+// Lower values are dropped first; unknown headings rank as DEFAULT_SECTION_VALUE.
+const SECTION_VALUES = {
+  purpose: 5,
+  'behavioral guidelines': 4,
+  'code patterns': 3,
+  'anti-patterns': 1,
+  'platform notes': 0
+};
+const DEFAULT_SECTION_VALUE = 2;
+
+/**
+ * Shift ATX headings outside fenced code blocks by a number of levels
+ * @param {string} markdown - Markdown content
+ * @param {number} levels - Levels to add (headings are capped at level 6)
+ * @returns {string} Markdown with shifted headings
+ */
+function shiftHeadings(markdown, levels) {
+  let inFence = false;
+
+  return markdown
+    .split('\n')
+    .map((line) => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+      if (inFence) {
+        return line;
+      }
+      return line.replace(/^(#{1,6})(\s)/, (match, hashes, space) => {
+        return '#'.repeat(Math.min(6, hashes.length + levels)) + space;
+      });
+    })
+    .join('\n');
+}
+
+/**
+ * Split markdown into level-two sections outside fenced code blocks
+ *
+ * The first entry holds the content before the first `##` heading and has a
+ * null heading. Joining the `content` of all entries with a newline restores
+ * the input.
+ * @param {string} markdown - Markdown content
+ * @returns {object[]} Sections with `heading` and `content`
+ */
+function splitSections(markdown) {
+  const sections = [{ heading: null, lines: [] }];
+  let inFence = false;
+
+  for (const line of markdown.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence && /^##\s/.test(line)) {
+      sections.push({ heading: line.replace(/^##\s+/, '').trim(), lines: [] });
+    }
+    sections[sections.length - 1].lines.push(line);
+  }
+
+  return sections.map(({ heading, lines }) => ({ heading, content: lines.join('\n') }));
+}
+
+/**
+ * Split markdown into blocks separated by blank lines, keeping each fenced
+ * code block in one piece
+ * @param {string} markdown - Markdown content
+ * @returns {string[]} Blocks without surrounding blank lines
+ */
+function splitBlocks(markdown) {
+  const blocks = [];
+  let current = [];
+  let inFence = false;
+
+  for (const line of markdown.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    if (!inFence && line.trim() === '') {
+      if (current.length > 0) {
+        blocks.push(current.join('\n'));
+        current = [];
+      }
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) {
+    blocks.push(current.join('\n'));
+  }
+
+  return blocks;
+}
+
+/**
+ * Get the value of a markdown section
+ * @param {string} heading - Section heading
+ * @returns {number} Section value
+ */
+function getSectionValue(heading) {
+  return SECTION_VALUES[heading.toLowerCase()] ?? DEFAULT_SECTION_VALUE;
+}
+
+/**
+ * Trim trailing blocks of markdown until it fits a length
+ * @param {string} markdown - Markdown content
+ * @param {number} limit - Maximum length
+ * @returns {string} Trimmed markdown
+ */
+function trimBlocks(markdown, limit) {
+  const blocks = splitBlocks(markdown);
+
+  while (blocks.length > 0 && blocks.join('\n\n').length > limit) {
+    blocks.pop();
+  }
+  return blocks.join('\n\n');
+}
+
+/**
+ * Fit markdown into a character limit, dropping the least valuable sections first
+ *
+ * Whole `##` sections are dropped lowest value first, later sections before
+ * earlier ones of equal value, until the content fits. Dropped sections are
+ * then added back, most valuable first, when they fit in the space left, so
+ * one oversized section does not take smaller ones with it. Only when no
+ * section is left is the remaining content trimmed, block by block from the
+ * end. Code fences are never split.
+ * @param {string} markdown - Markdown content
+ * @param {number} limit - Maximum length
+ * @returns {object} `content` and the `dropped` sections with their `heading`
+ *   and `characters`; trimmed content is reported as a `partial` entry
+ */
+function fitToLimit(markdown, limit) {
+  const sections = splitSections(markdown.trim()).map((section, index) => ({ ...section, index }));
+  const render = () =>
+    sections
+      .map((section) => section.content)
+      .join('\n')
+      .trim();
+  const candidates = sections
+    .filter((section) => section.heading !== null)
+    .sort((a, b) => getSectionValue(a.heading) - getSectionValue(b.heading) || b.index - a.index);
+  const dropped = [];
+
+  for (const candidate of candidates) {
+    if (render().length <= limit) {
+      break;
+    }
+    sections.splice(sections.indexOf(candidate), 1);
+    dropped.push(candidate);
+  }
+
+  // Add dropped sections back, most valuable first, wherever they still fit
+  for (const candidate of [...dropped].reverse()) {
+    sections.push(candidate);
+    sections.sort((a, b) => a.index - b.index);
+    if (render().length <= limit) {
+      dropped.splice(dropped.indexOf(candidate), 1);
+    } else {
+      sections.splice(sections.indexOf(candidate), 1);
+    }
+  }
+
+  const report = dropped.map((section) => ({
+    heading: section.heading,
+    characters: section.content.length
+  }));
+  let content = render();
+  if (content.length > limit) {
+    const trimmed = trimBlocks(content, limit);
+    report.push({
+      heading: null,
+      characters: content.length - trimmed.length,
+      partial: true
+    });
+    content = trimmed;
+  }
+
+  return { content, dropped: report };
+}
+
+/**
+ * Describe dropped sections for a report
+ * @param {object[]} dropped - Dropped sections from `fitToLimit`
+ * @returns {string} Human-readable list
+ */
+function describeDropped(dropped) {
+  return dropped
+    .map(({ heading, characters, partial }) =>
+      partial
+        ? `the end of the remaining content (${characters} chars)`
+        : `section "${heading}" (${characters} chars)`
+    )
+    .join(', ');
+}
+
+/**
+ * Render a schema as a markdown section under a heading of the given level
+ *
+ * Content that starts with a top-level heading keeps it as the section
+ * heading; otherwise the schema title is used.
+ * @param {object} schema - Parsed schema object
+ * @param {number} level - Heading level of the section
+ * @returns {string} Markdown section
+ */
+function renderSection(schema, level) {
+  const content = (schema._content || '').trim();
+
+  if (/^#\s/.test(content)) {
+    return shiftHeadings(content, level - 1);
+  }
+  return `${'#'.repeat(level)} ${schema.title}\n\n${shiftHeadings(content, level)}`.trim();
+}
+
+/**
+ * Render labelled platform fields as a markdown list
+ * @param {object} config - Platform configuration
+ * @param {object} labels - Labels keyed by field, in display order
+ * @returns {string[]} List items for the fields that are set
+ */
+function formatSettings(config, labels) {
+  return Object.entries(labels)
+    .filter(([field]) => config[field] !== undefined)
+    .map(([field, label]) => {
+      const value = config[field];
+      if (typeof value === 'boolean') {
+        return `- ${label}: ${value ? 'yes' : 'no'}`;
+      }
+      return `- ${label}: ${Array.isArray(value) ? value.join(', ') : value}`;
+    });
+}
+
+/**
+ * Sort schemas by descending priority, then by ID
+ * @param {object[]} schemas - Parsed schema objects
+ * @param {Function} getPriority - Returns the numeric priority of a schema
+ * @returns {object[]} Sorted copy
+ */
+function sortByPriority(schemas, getPriority) {
+  return [...schemas].sort(
+    (a, b) => (getPriority(b) ?? 0) - (getPriority(a) ?? 0) || a.id.localeCompare(b.id)
+  );
+}
+
+module.exports = {
+  describeDropped,
+  fitToLimit,
+  formatSettings,
+  GENERATED_NOTICE,
+  getSectionValue,
+  renderSection,
+  shiftHeadings,
+  sortByPriority,
+  splitBlocks,
+  splitSections
+};
@@ -0,0 +1,35 @@
+const { fitToLimit } = require('./markdown');
+
+describe('fitToLimit', () => {
+  test('should keep content that already fits', () => {
+    expect(fitToLimit('# Title\n\n## Purpose\n\nText.\n', 100)).toEqual({
+      content: '# Title\n\n## Purpose\n\nText.',
+      dropped: []
+    });
+  });
+
+  test('should keep smaller sections when one oversized section is dropped', () => {
+    const markdown = [
+      '# Title',
+      '## Rules\n\nKeep it small.',
+      `## Examples\n\n${'x'.repeat(200)}`,
+      '## Notes\n\nShort.'
+    ].join('\n\n');
+    const { content, dropped } = fitToLimit(markdown, 80);
+
+    expect(content).toBe('# Title\n\n## Rules\n\nKeep it small.\n\n## Notes\n\nShort.');
+    expect(dropped).toEqual([{ heading: 'Examples', characters: 214 }]);
+  });
+
+  test('should trim whole blocks once no section is left', () => {
+    const markdown =
+      'Intro.\n\n```js\nconst a = 1;\n```\n\nMore text.\n\n## Platform Notes\n\nNotes.';
+    const { content, dropped } = fitToLimit(markdown, 30);
+
+    expect(content).toBe('Intro.\n\n```js\nconst a = 1;\n```');
+    expect(dropped).toEqual([
+      { heading: 'Platform Notes', characters: 25 },
+      { heading: null, characters: 12, partial: true }
+    ]);
+  });
+});
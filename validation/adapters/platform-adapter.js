@@ -0,0 +1,128 @@
+/**
+ * AI Context Schema Platform Adapter
+ * Base class for exporters that turn context schemas into platform-specific files
+ */
+
+const { minimatch } = require('minimatch');
+
+// Error code of `parse` for platforms whose files cannot be imported
+const EXPORT_ONLY = 'EXPORT_ONLY';
+
+/**
+ * Base platform adapter
+ *
+ * Subclasses implement `transformSchema` and `getOutputPath` for one file per
+ * schema, or override `generate` when a platform aggregates schemas.
+ */
+class PlatformAdapter {
+  /**
+   * @param {string} platformName - Platform key under `platforms` in the schema
+   */
+  constructor(platformName) {
+    this.platformName = platformName;
+  }
+
+  /**
+   * Get the platform configuration of a schema when it is marked compatible
+   * @param {object} schema - Parsed schema object
+   * @returns {object|null} Platform configuration or null
+   */
+  getPlatformConfig(schema) {
+    const config = schema.platforms?.[this.platformName];
+    return config?.compatible ? config : null;
+  }
+
+  /**
+   * Select the schemas compatible with this platform
+   * @param {object[]} schemas - Parsed schema objects
+   * @returns {object[]} Compatible schemas
+   */
+  getCompatibleSchemas(schemas) {
+    return schemas.filter((schema) => this.getPlatformConfig(schema));
+  }
+
+  /**
+   * Generate platform files for a set of schemas
+   * @param {object[]} schemas - Parsed schema objects
+   * @returns {Promise<object>} File contents keyed by path relative to the project root
+   */
+  async generate(schemas) {
+    const files = {};
+
+    for (const schema of this.getCompatibleSchemas(schemas)) {
+      const config = this.getPlatformConfig(schema);
+      files[this.getOutputPath(schema, config)] = await this.transformSchema(schema, config);
+    }
+
+    return files;
+  }
+
+  /**
+   * Check whether an output is merged into the existing file, so that
+   * overwriting it keeps what users added
+   * @param {string} _filePath - Output path relative to the project root
+   * @returns {boolean} True for merged outputs
+   */
+  isMergedOutput(_filePath) {
+    return false;
+  }
+
+  /**
+   * Read schemas back from the files this adapter generates
+   *
+   * Importing adapters record the values they had to guess in `reviews`.
+   * Export-only adapters reject with an Error whose `code` is `EXPORT_ONLY`.
+   * @param {object} _files - File contents keyed by path relative to the project root
+   * @returns {Promise<object[]>} Parsed schema objects
+   */
+  async parse(_files) {
+    const error = new Error(`${this.constructor.name} does not support parsing`);
+    error.code = EXPORT_ONLY;
+    throw error;
+  }
+
+  /**
+   * Get the glob patterns of the files `parse` reads
+   * @returns {string[]} Patterns relative to the project root
+   */
+  getImportPatterns() {
+    return [];
+  }
+
+  /**
+   * Select the files `parse` reads, in path order
+   * @param {object} files - File contents keyed by path relative to the project root
+   * @returns {Array<[string, string]>} Path and content pairs
+   */
+  selectImportFiles(files) {
+    const patterns = this.getImportPatterns();
+
+    return Object.entries(files)
+      .filter(([filePath]) =>
+        patterns.some((pattern) => minimatch(filePath, pattern, { dot: true }))
+      )
+      .sort(([a], [b]) => a.localeCompare(b));
+  }
+
+  /**
+   * Transform one schema into file content
+   * @param {object} _schema - Parsed schema object
+   * @param {object} _config - Platform configuration
+   * @returns {string|Promise<string>} File content
+   */
+  transformSchema(_schema, _config) {
+    throw new Error(`${this.constructor.name} must implement transformSchema`);
+  }
+
+  /**
+   * Get the output path of one schema
+   * @param {object} _schema - Parsed schema object
+   * @param {object} _config - Platform configuration
+   * @returns {string} Path relative to the project root
+   */
+  getOutputPath(_schema, _config) {
+    throw new Error(`${this.constructor.name} must implement getOutputPath`);
+  }
+}
+
+module.exports = { EXPORT_ONLY, PlatformAdapter };
@@ -0,0 +1,136 @@
+/**
+ * AI Context Schema Adapter Plugins
+ * Contract, discovery and loading of third-party `ai-context-adapter-*` packages
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PlatformAdapter } = require('./platform-adapter');
+
+const ADAPTER_PACKAGE_PREFIX = 'ai-context-adapter-';
+const PLUGIN_METHODS = ['supports', 'generate', 'parse'];
+
+/**
+ * Check that an object implements the adapter plugin contract
+ *
+ * A plugin is an object with:
+ * - `name`: display name, usually the package name
+ * - `supports(platform)`: whether it handles a platform key
+ * - `generate(schemas, options)`: resolves to file contents keyed by path
+ *   relative to the project root; `options.platform` names the platform
+ * - `parse(files, options)`: resolves to the schemas read back from such
+ *   files, or rejects with an Error whose `code` is `EXPORT_ONLY` when the
+ *   platform cannot be imported
+ *
+ * Both `generate` and `parse` must reject with an `Error` on invalid input or
+ * an unsupported platform.
+ * @param {object} plugin - Candidate plugin
+ * @param {string} source - Where the plugin came from, for error messages
+ * @returns {object} The plugin
+ */
+function validateAdapterPlugin(plugin, source) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error(`Invalid adapter plugin ${source}: expected an object`);
+  }
+
+  const missing = PLUGIN_METHODS.filter((method) => typeof plugin[method] !== 'function');
+  if (typeof plugin.name !== 'string' || plugin.name.length === 0) {
+    missing.unshift('name');
+  }
+  if (missing.length > 0) {
+    throw new Error(`Invalid adapter plugin ${source}: missing ${missing.join(', ')}`);
+  }
+
+  return plugin;
+}
+
+/**
+ * Load an adapter plugin from a package name or module path
+ *
+ * The module may export the plugin object or a class to instantiate.
+ * @param {string} moduleName - Package name, or a path starting with `.` or `/`
+ * @param {string} [fromDir] - Directory to resolve packages and paths from
+ * @returns {object} Validated plugin
+ */
+function loadAdapterPlugin(moduleName, fromDir = process.cwd()) {
+  const modulePath = /^[./]/.test(moduleName)
+    ? path.resolve(fromDir, moduleName)
+    : require.resolve(moduleName, { paths: [fromDir] });
+  const exported = require(modulePath);
+  const plugin = typeof exported === 'function' ? new exported() : exported;
+
+  return validateAdapterPlugin(plugin, moduleName);
+}
+
+/**
+ * Find the installed adapter plugin packages of a project
+ * @param {string} [projectDir] - Directory holding `node_modules`
+ * @returns {string[]} Package names, including scoped ones, sorted
+ */
+function discoverAdapterPlugins(projectDir = process.cwd()) {
+  const nodeModules = path.join(projectDir, 'node_modules');
+  const names = [];
+
+  if (!fs.existsSync(nodeModules)) {
+    return names;
+  }
+
+  for (const entry of fs.readdirSync(nodeModules)) {
+    if (entry.startsWith(ADAPTER_PACKAGE_PREFIX)) {
+      names.push(entry);
+    } else if (entry.startsWith('@')) {
+      for (const scoped of fs.readdirSync(path.join(nodeModules, entry))) {
+        if (scoped.startsWith(ADAPTER_PACKAGE_PREFIX)) {
+          names.push(`${entry}/${scoped}`);
+        }
+      }
+    }
+  }
+
+  return names.sort();
+}
+
+/**
+ * Platform adapter backed by a plugin, so plugins run wherever built-in
+ * adapters do
+ */
+class PluginAdapter extends PlatformAdapter {
+  /**
+   * Create an adapter for one platform of a plugin
+   * @param {object} plugin - Adapter plugin
+   * @param {string} platformName - Platform key
+   * @param {object} [options] - Options passed to the plugin
+   */
+  constructor(plugin, platformName, options = {}) {
+    super(platformName);
+    this.plugin = plugin;
+    this.options = { ...options, platform: platformName };
+    delete this.options.plugins;
+  }
+
+  /**
+   * Generate files through the plugin
+   * @param {object[]} schemas - Parsed schema objects
+   * @returns {Promise<object>} File contents keyed by path relative to the project root
+   */
+  generate(schemas) {
+    return this.plugin.generate(schemas, this.options);
+  }
+
+  /**
+   * Read schemas back from files through the plugin
+   * @param {object} files - File contents keyed by path relative to the project root
+   * @returns {Promise<object[]>} Parsed schema objects
+   */
+  parse(files) {
+    return this.plugin.parse(files, this.options);
+  }
+}
+
+module.exports = {
+  ADAPTER_PACKAGE_PREFIX,
+  discoverAdapterPlugins,
+  loadAdapterPlugin,
+  PluginAdapter,
+  validateAdapterPlugin
+};
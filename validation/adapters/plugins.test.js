@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { createAdapter } = require('./index');
+const { discoverAdapterPlugins, loadAdapterPlugin, validateAdapterPlugin } = require('./plugins');
+
+describe('adapter plugins', () => {
+  const AIDER_PACKAGE = 'ai-context-adapter-aider';
+  const PLUGIN_SOURCE = `
+    module.exports = {
+      name: 'ai-context-adapter-aider',
+      supports: (platform) => platform === 'aider',
+      async generate(schemas, options) {
+        return { [options.platform + '.md']: schemas.map((schema) => schema.id).join('\\n') };
+      },
+      async parse(files) {
+        return Object.values(files).map((id) => ({ id }));
+      }
+    };
+  `;
+  let projectDir;
+
+  const addPackage = (name, source = PLUGIN_SOURCE) => {
+    const packageDir = path.join(projectDir, 'node_modules', name);
+    fs.mkdirSync(packageDir, { recursive: true });
+    global.createTestFile(packageDir, 'package.json', JSON.stringify({ name, main: 'index.js' }));
+    global.createTestFile(packageDir, 'index.js', source);
+  };
+
+  beforeEach(() => {
+    projectDir = global.createTempDir();
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(projectDir);
+  });
+
+  test('should discover installed adapter packages, including scoped ones', () => {
+    addPackage(AIDER_PACKAGE);
+    addPackage('@acme/ai-context-adapter-internal');
+    addPackage('@acme/tools');
+    addPackage('lodash');
+
+    expect(discoverAdapterPlugins(projectDir)).toEqual([
+      '@acme/ai-context-adapter-internal',
+      AIDER_PACKAGE
+    ]);
+    expect(discoverAdapterPlugins(path.join(projectDir, 'missing'))).toEqual([]);
+  });
+
+  test('should load plugins from packages and paths, instantiating classes', () => {
+    addPackage(AIDER_PACKAGE);
+    global.createTestFile(
+      projectDir,
+      'class-plugin.js',
+      `module.exports = class {
+        constructor() { this.name = 'class-plugin'; }
+        supports() { return true; }
+        async generate() { return {}; }
+        async parse() { return []; }
+      };`
+    );
+
+    expect(loadAdapterPlugin(AIDER_PACKAGE, projectDir).name).toBe(AIDER_PACKAGE);
+    expect(loadAdapterPlugin('./class-plugin.js', projectDir).name).toBe('class-plugin');
+  });
+
+  test('should reject plugins that break the contract', () => {
+    expect(() => validateAdapterPlugin(null, 'empty')).toThrow(
+      'Invalid adapter plugin empty: expected an object'
+    );
+    expect(() => validateAdapterPlugin({ generate() {} }, 'partial')).toThrow(
+      'Invalid adapter plugin partial: missing name, supports, parse'
+    );
+  });
+
+  test('should create adapters for plugin platforms', async () => {
+    addPackage(AIDER_PACKAGE);
+    const plugins = [loadAdapterPlugin(AIDER_PACKAGE, projectDir)];
+    const adapter = createAdapter('aider', { plugins });
+    const schemas = [global.createTestSchema({ id: 'react' })];
+
+    expect(await adapter.generate(schemas)).toEqual({ 'aider.md': 'react' });
+    expect(await adapter.parse({ 'aider.md': 'react' })).toEqual([{ id: 'react' }]);
+    expect(() => createAdapter('aider')).toThrow('Unknown platform: aider');
+    expect(createAdapter('cursor', { plugins }).platformName).toBe('cursor');
+  });
+});
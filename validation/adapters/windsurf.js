@@ -0,0 +1,178 @@
+/**
+ * AI Context Schema Windsurf Adapter
+ * Exports workspace rules for Windsurf and Windsurf Next within their character limits
+ */
+
+const {
+  createImportedSchema,
+  parseFrontmatter,
+  reportDroppedFields,
+  splitDocument
+} = require('./importing');
+const { describeDropped, fitToLimit } = require('./markdown');
+const { PlatformAdapter } = require('./platform-adapter');
+
+const DEFAULT_CHARACTER_LIMIT = 6000;
+const LEGACY_RULES_FILE = '.windsurfrules';
+
+/**
+ * Windsurf adapter
+ *
+ * Each schema becomes a workspace rule wrapped in its `xmlTag`. Rules longer
+ * than the schema's `characterLimit`, capped at the configured platform limit,
+ * are shortened with `fitToLimit`; every shortened rule is recorded in
+ * `truncations` so callers can report what was left out.
+ *
+ * Importing reads each rule back with its `xmlTag` and `workspace` mode, and
+ * splits a legacy `.windsurfrules` file into one schema per section.
+ */
+class WindsurfAdapter extends PlatformAdapter {
+  /**
+   * Create a Windsurf adapter
+   * @param {object} options - Adapter options
+   * @param {object} [options.limits] - Character limits keyed by platform name
+   * @param {string} [platformName] - Platform key, `windsurf` or `windsurf-next`
+   * @param {string} [rulesDir] - Rules directory relative to the project root
+   */
+  constructor(options = {}, platformName = 'windsurf', rulesDir = '.windsurf/rules') {
+    super(platformName);
+    this.rulesDir = rulesDir;
+    this.maxCharacterLimit = options.limits?.[platformName] ?? DEFAULT_CHARACTER_LIMIT;
+    this.truncations = [];
+    this.reviews = [];
+  }
+
+  /**
+   * Get the character limit of a schema
+   * @param {object} config - Windsurf platform configuration
+   * @returns {number} Character limit
+   */
+  getCharacterLimit(config) {
+    return Math.min(config.characterLimit || this.maxCharacterLimit, this.maxCharacterLimit);
+  }
+
+  /**
+   * Wrap rule content in the configured XML tag
+   * @param {string} content - Rule content
+   * @param {object} config - Windsurf platform configuration
+   * @returns {string} Rule file content
+   */
+  wrap(content, config) {
+    return config.xmlTag ? `<${config.xmlTag}>\n${content}\n</${config.xmlTag}>\n` : `${content}\n`;
+  }
+
+  /**
+   * Render a rule that fits the character limit
+   * @param {object} schema - Parsed schema object
+   * @param {object} config - Windsurf platform configuration
+   * @returns {string} Rule file content
+   */
+  transformSchema(schema, config) {
+    const limit = this.getCharacterLimit(config);
+    const { content, dropped } = fitToLimit(
+      schema._content || '',
+      limit - this.wrap('', config).length
+    );
+
+    if (dropped.length > 0) {
+      this.truncations.push({
+        id: schema.id,
+        path: this.getOutputPath(schema),
+        limit,
+        dropped,
+        message: `Dropped ${describeDropped(dropped)} to fit ${limit} characters`
+      });
+    }
+
+    return this.wrap(content, config);
+  }
+
+  /**
+   * Get the glob patterns of workspace rules
+   * @returns {string[]} Patterns relative to the project root
+   */
+  getImportPatterns() {
+    const patterns = [`${this.rulesDir}/**/*.md`];
+    return this.platformName === 'windsurf' ? [...patterns, LEGACY_RULES_FILE] : patterns;
+  }
+
+  /**
+   * Import workspace rules as schemas
+   * @param {object} files - File contents keyed by path relative to the project root
+   * @returns {Promise<object[]>} Parsed schema objects
+   */
+  async parse(files) {
+    this.reviews = [];
+
+    return this.selectImportFiles(files).flatMap(([filePath, content]) => {
+      const parts =
+        filePath === LEGACY_RULES_FILE
+          ? splitDocument(content, 'windsurf-rules', null)
+          : [{ name: filePath.slice(this.rulesDir.length + 1, -3), title: null, content }];
+
+      return parts.map(({ name, title, content: part }) =>
+        this.parseRule(filePath, name, title, part)
+      );
+    });
+  }
+
+  /**
+   * Read a rule back into a schema, taking its `xmlTag` from the wrapping tag
+   *
+   * Windsurf's own frontmatter (`trigger`, `globs`) has no schema field and is
+   * reported for review; a `description` is kept.
+   * @param {string} filePath - Path relative to the project root
+   * @param {string} name - Source name to derive the ID from
+   * @param {string|null} title - Title given by the file
+   * @param {string} content - Rule content
+   * @returns {object} Parsed schema object
+   */
+  parseRule(filePath, name, title, content) {
+    const { fields, body } = parseFrontmatter(content);
+    const wrapped = body.trim().match(/^<([A-Za-z][\w.-]*)>\n([\s\S]*?)\n?<\/\1>$/);
+    const config = { mode: 'workspace' };
+
+    if (wrapped) {
+      config.xmlTag = wrapped[1];
+    }
+
+    const schema = createImportedSchema(
+      {
+        name,
+        title,
+        filePath,
+        content: wrapped ? wrapped[2] : body,
+        platform: this.platformName,
+        config,
+        description: fields.description
+      },
+      this.reviews
+    );
+    reportDroppedFields(this.reviews, schema, fields, ['description']);
+    return schema;
+  }
+
+  /**
+   * Get the rule path of a schema
+   * @param {object} schema - Parsed schema object
+   * @returns {string} Path relative to the project root
+   */
+  getOutputPath(schema) {
+    return `${this.rulesDir}/${schema.id}.md`;
+  }
+}
+
+/**
+ * Windsurf Next adapter, writing to `.windsurf-next/rules`
+ */
+class WindsurfNextAdapter extends WindsurfAdapter {
+  /**
+   * Create a Windsurf Next adapter
+   * @param {object} options - Adapter options, see `WindsurfAdapter`
+   */
+  constructor(options = {}) {
+    super(options, 'windsurf-next', '.windsurf-next/rules');
+  }
+}
+
+module.exports = { WindsurfAdapter, WindsurfNextAdapter };
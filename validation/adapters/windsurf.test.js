@@ -0,0 +1,130 @@
+const { createAdapter, generatePlatformFiles } = require('./index');
+
+describe('WindsurfAdapter', () => {
+  const GUIDE_RULE = '.windsurf/rules/guide.md';
+  const content = [
+    '# Guide',
+    '',
+    '## Purpose',
+    '',
+    'Why this exists.',
+    '',
+    '## Behavioral Guidelines',
+    '',
+    'Do the right thing.',
+    '',
+    '## Code Patterns',
+    '',
+    '```md',
+    '## Not a section',
+    '```',
+    '',
+    '## Anti-Patterns',
+    '',
+    'Avoid globals.',
+    '',
+    '## Platform Notes',
+    '',
+    'Works everywhere.'
+  ].join('\n');
+
+  const schemaFor = (id, platforms) =>
+    global.createTestSchema({ id, platforms, _content: content });
+
+  test('should wrap rules in the configured XML tag', async () => {
+    const files = await generatePlatformFiles('windsurf', [
+      schemaFor('guide', { windsurf: { compatible: true, xmlTag: 'guide-context' } }),
+      schemaFor('plain', { windsurf: { compatible: true } }),
+      schemaFor('off', { windsurf: { compatible: false } })
+    ]);
+
+    expect(Object.keys(files).sort()).toEqual([GUIDE_RULE, '.windsurf/rules/plain.md']);
+    expect(files[GUIDE_RULE]).toBe(`<guide-context>\n${content}\n</guide-context>\n`);
+    expect(files['.windsurf/rules/plain.md']).toBe(`${content}\n`);
+  });
+
+  test('should write Windsurf Next rules to their own directory', async () => {
+    const files = await generatePlatformFiles('windsurf-next', [
+      schemaFor('guide', { 'windsurf-next': { compatible: true, xmlTag: 'next' } })
+    ]);
+
+    expect(Object.keys(files)).toEqual(['.windsurf-next/rules/guide.md']);
+  });
+
+  test('should drop the least valuable sections to fit the character limit', async () => {
+    const adapter = createAdapter('windsurf');
+    const limit = content.indexOf('## Anti-Patterns') + '<tag>\n\n</tag>\n'.length;
+    const files = await adapter.generate([
+      schemaFor('guide', { windsurf: { compatible: true, xmlTag: 'tag', characterLimit: limit } })
+    ]);
+    const rule = files[GUIDE_RULE];
+
+    expect(rule.length).toBeLessThanOrEqual(limit);
+    expect(rule).toContain('## Code Patterns\n\n```md\n## Not a section\n```');
+    expect(rule).not.toContain('Anti-Patterns');
+    expect(rule).not.toContain('Platform Notes');
+    expect(adapter.truncations).toEqual([
+      expect.objectContaining({
+        id: 'guide',
+        path: GUIDE_RULE,
+        limit,
+        dropped: [
+          { heading: 'Platform Notes', characters: 36 },
+          { heading: 'Anti-Patterns', characters: 33 }
+        ],
+        message: `Dropped section "Platform Notes" (36 chars), section "Anti-Patterns" (33 chars) to fit ${limit} characters`
+      })
+    ]);
+  });
+
+  test('should cap the character limit at the configured platform limit', async () => {
+    const adapter = createAdapter('windsurf', { limits: { windsurf: 40 } });
+    const files = await adapter.generate([
+      schemaFor('guide', { windsurf: { compatible: true, characterLimit: 5000 } })
+    ]);
+
+    expect(files[GUIDE_RULE]).toBe('# Guide\n\n## Purpose\n\nWhy this exists.\n');
+    expect(adapter.truncations[0].limit).toBe(40);
+  });
+
+  describe('parse', () => {
+    test('should read the XML tag and content of generated rules back', async () => {
+      const adapter = createAdapter('windsurf');
+      const files = await generatePlatformFiles('windsurf', [
+        schemaFor('guide', { windsurf: { compatible: true, xmlTag: 'guide-rules' } })
+      ]);
+      const [schema] = await adapter.parse(files);
+
+      expect(schema).toMatchObject({
+        id: 'guide',
+        title: 'Guide',
+        description: 'Why this exists.',
+        platforms: { windsurf: { compatible: true, mode: 'workspace', xmlTag: 'guide-rules' } },
+        _content: content
+      });
+    });
+
+    test('should split .windsurfrules and report Windsurf frontmatter', async () => {
+      const adapter = createAdapter('windsurf');
+      const imported = await adapter.parse({
+        '.windsurfrules': '# Style\n\nTwo spaces.\n\n# Testing\n\nTest everything you ship.\n',
+        '.windsurf/rules/api.md':
+          '---\ntrigger: glob\nglobs: src/api/**\ndescription: REST API conventions\n---\n\nUse nouns.\n'
+      });
+      const nextAdapter = createAdapter('windsurf-next');
+
+      expect(imported.map(({ id, platforms }) => [id, platforms.windsurf])).toEqual([
+        ['api', { compatible: true, mode: 'workspace' }],
+        ['style', { compatible: true, mode: 'workspace' }],
+        ['testing', { compatible: true, mode: 'workspace' }]
+      ]);
+      expect(imported[0].description).toBe('REST API conventions');
+      expect(adapter.reviews.filter(({ id }) => id === 'api').map(({ field }) => field)).toEqual([
+        'title',
+        'trigger',
+        'globs'
+      ]);
+      expect(nextAdapter.getImportPatterns()).toEqual(['.windsurf-next/rules/**/*.md']);
+    });
+  });
+});
@@ -0,0 +1,483 @@
+#!/usr/bin/env node
+
+/**
+ * AI Context Schema Project Analyzer
+ * Detects the languages and frameworks of a project and recommends matching schemas
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getOption, getPositionals } = require('./cli-options');
+const { loadConfig } = require('./config');
+const { loadSchemaLibrary } = require('./resolver');
+
+// Directories holding dependencies, build output or caches rather than project sources
+const SKIPPED_DIRS = [
+  '.git',
+  '.next',
+  '.venv',
+  '__pycache__',
+  'build',
+  'dist',
+  'node_modules',
+  'target',
+  'vendor',
+  'venv'
+];
+
+// Scanning stops after this many files, so huge repositories stay fast
+const MAX_SCANNED_FILES = 20000;
+
+const EXTENSION_LANGUAGES = {
+  '.cjs': 'javascript',
+  '.cs': 'csharp',
+  '.go': 'go',
+  '.java': 'java',
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.kt': 'kotlin',
+  '.mjs': 'javascript',
+  '.php': 'php',
+  '.py': 'python',
+  '.rb': 'ruby',
+  '.rs': 'rust',
+  '.scala': 'scala',
+  '.swift': 'swift',
+  '.ts': 'typescript',
+  '.tsx': 'typescript'
+};
+
+// Manifests and the language ecosystem they belong to
+const MANIFEST_LANGUAGES = {
+  Gemfile: 'ruby',
+  'go.mod': 'go',
+  'package.json': 'javascript',
+  'pyproject.toml': 'python',
+  'requirements.txt': 'python'
+};
+
+// Lockfiles and the language ecosystem they belong to
+const LOCKFILES = {
+  'bun.lockb': 'javascript',
+  'Cargo.lock': 'rust',
+  'Gemfile.lock': 'ruby',
+  'go.sum': 'go',
+  'package-lock.json': 'javascript',
+  'Pipfile.lock': 'python',
+  'pnpm-lock.yaml': 'javascript',
+  'poetry.lock': 'python',
+  'uv.lock': 'python',
+  'yarn.lock': 'javascript'
+};
+
+// Dependency names per manifest, mapped to the technology they reveal
+const NPM_PACKAGES = {
+  '@angular/core': 'angular',
+  '@nestjs/core': 'nestjs',
+  '@playwright/test': 'playwright',
+  '@prisma/client': 'prisma',
+  cypress: 'cypress',
+  express: 'express',
+  fastify: 'fastify',
+  graphql: 'graphql',
+  jest: 'jest',
+  koa: 'koa',
+  mocha: 'mocha',
+  next: 'nextjs',
+  nuxt: 'nuxt',
+  playwright: 'playwright',
+  prisma: 'prisma',
+  react: 'react',
+  svelte: 'svelte',
+  tailwindcss: 'tailwind',
+  typescript: 'typescript',
+  vitest: 'vitest',
+  vue: 'vue'
+};
+const PYTHON_PACKAGES = {
+  django: 'django',
+  fastapi: 'fastapi',
+  flask: 'flask',
+  pytest: 'pytest',
+  sqlalchemy: 'sqlalchemy'
+};
+const GO_MODULES = {
+  'github.com/gin-gonic/gin': 'gin',
+  'github.com/gofiber/fiber': 'fiber',
+  'github.com/labstack/echo': 'echo'
+};
+const RUBY_GEMS = { rails: 'rails', rspec: 'rspec', sinatra: 'sinatra' };
+
+// Technologies that are languages rather than frameworks or tools
+const LANGUAGES = [...new Set(Object.values(EXTENSION_LANGUAGES))];
+
+// Project size in source files up to which each complexity level fits
+const COMPLEXITY_SIZES = [
+  ['simple', 100],
+  ['medium', 1000],
+  ['complex', Infinity]
+];
+
+// Points a schema earns per kind of metadata match, and loses for a framework
+// or language the project does not use
+const WEIGHTS = { framework: 5, language: 3, stack: 2, tag: 1, category: 1, complexity: 1 };
+
+/**
+ * Walk a project, counting source files per language and collecting manifests
+ * @param {string} projectDir - Project directory
+ * @returns {object} `languageFiles` counts, `manifests` and `lockfiles` paths and `files` total
+ */
+function scanProject(projectDir) {
+  const result = { languageFiles: {}, manifests: [], lockfiles: [], files: 0 };
+
+  const scan = (dir) => {
+    const entries = fs.readdirSync(path.join(projectDir, dir), { withFileTypes: true });
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+
+      if (result.files >= MAX_SCANNED_FILES) {
+        return;
+      }
+      if (entry.isDirectory() && !SKIPPED_DIRS.includes(entry.name)) {
+        scan(relativePath);
+      } else if (entry.isFile()) {
+        const language = EXTENSION_LANGUAGES[path.extname(entry.name)];
+        if (language) {
+          result.languageFiles[language] = (result.languageFiles[language] || 0) + 1;
+          result.files++;
+        }
+        if (MANIFEST_LANGUAGES[entry.name]) {
+          result.manifests.push(relativePath);
+        }
+        if (LOCKFILES[entry.name]) {
+          result.lockfiles.push(relativePath);
+        }
+      }
+    }
+  };
+
+  scan('');
+  return result;
+}
+
+/**
+ * Read the strings of a TOML array up to its closing bracket
+ * @param {string} text - TOML text following the opening bracket
+ * @returns {string[]} String items
+ */
+function readTomlArray(text) {
+  const token = /\s*(?:"([^"]*)"|'([^']*)'|,|#[^\n]*|(\]))/y;
+  const items = [];
+  let match;
+
+  while ((match = token.exec(text)) && !match[3]) {
+    const value = match[1] ?? match[2];
+    if (value !== undefined) {
+      items.push(value);
+    }
+  }
+  return items;
+}
+
+/**
+ * Read the requirements of a pyproject.toml
+ *
+ * Covers `[project].dependencies` (PEP 621) and the keys of
+ * `[tool.poetry.dependencies]`, other than `python` itself.
+ * @param {string} content - pyproject.toml content
+ * @returns {string[]} Requirements such as `Django>=4.2` or `fastapi`
+ */
+function readPyproject(content) {
+  const tables = content.split(/^\s*\[\[?([^\]\n]+)\]\]?\s*$/m);
+  const requirements = [];
+
+  // Splitting on a capture group alternates table names and table bodies
+  for (let index = 1; index < tables.length; index += 2) {
+    const name = tables[index].trim();
+    const body = tables[index + 1];
+    const dependencies = body.match(/^\s*dependencies\s*=\s*\[/m);
+
+    if (name === 'project' && dependencies) {
+      requirements.push(...readTomlArray(body.slice(dependencies.index + dependencies[0].length)));
+    } else if (name === 'tool.poetry.dependencies') {
+      const keys = [...body.matchAll(/^\s*["']?([A-Za-z][\w.-]*)["']?\s*=/gm)];
+      requirements.push(...keys.map(([, key]) => key).filter((key) => key !== 'python'));
+    }
+  }
+  return requirements;
+}
+
+/**
+ * Find the dependencies of a manifest that reveal a technology
+ * @param {string} fileName - Manifest file name
+ * @param {string} content - Manifest content
+ * @returns {object[]} Technologies with the `dependency` that revealed them
+ */
+function readManifest(fileName, content) {
+  const found = (packages, names) =>
+    names
+      .filter((name) => packages[name])
+      .map((name) => ({ technology: packages[name], dependency: name }));
+
+  if (fileName === 'package.json') {
+    const pkg = JSON.parse(content);
+    return found(NPM_PACKAGES, [
+      ...Object.keys(pkg.dependencies || {}),
+      ...Object.keys(pkg.devDependencies || {}),
+      ...Object.keys(pkg.peerDependencies || {})
+    ]);
+  }
+  if (fileName === 'go.mod') {
+    const modules = [...content.matchAll(/^\s*(?:require\s+)?(\S+\/\S+)\s+v\d/gm)];
+    return found(
+      GO_MODULES,
+      modules.map(([, name]) => name.replace(/\/v\d+$/, ''))
+    );
+  }
+  if (fileName === 'Gemfile') {
+    return found(
+      RUBY_GEMS,
+      [...content.matchAll(/^\s*gem\s+['"]([\w-]+)['"]/gm)].map(([, name]) => name)
+    );
+  }
+
+  // requirements.txt holds one requirement per line, after options and comments are removed
+  const requirements =
+    fileName === 'pyproject.toml'
+      ? readPyproject(content)
+      : content.split('\n').map((line) => line.replace(/(^\s*-.*|#.*)$/, ''));
+  const names = requirements
+    .map((requirement) => requirement.match(/^\s*([A-Za-z][\w.-]*)/)?.[1].toLowerCase())
+    .filter(Boolean);
+  return found(PYTHON_PACKAGES, [...new Set(names)]);
+}
+
+/**
+ * Detect the languages, frameworks and tools of a project, offline
+ *
+ * Languages come from source file extensions, manifests and lockfiles;
+ * frameworks and tools from the dependencies of every `package.json`,
+ * `pyproject.toml`, `requirements.txt`, `go.mod` and `Gemfile`. The size in
+ * source files gives the complexity the project calls for.
+ * @param {string} projectDir - Project directory
+ * @returns {object} Project profile with `technologies` (each with `name`,
+ *   `kind` and `evidence`), `files`, `complexity` and manifest `warnings`
+ */
+function analyzeProject(projectDir) {
+  const scan = scanProject(projectDir);
+  const technologies = new Map();
+  const warnings = [];
+  const add = (name, evidence) => {
+    if (!technologies.has(name)) {
+      const kind = LANGUAGES.includes(name) ? 'language' : 'framework';
+      technologies.set(name, { name, kind, evidence: [] });
+    }
+    technologies.get(name).evidence.push(evidence);
+  };
+
+  for (const [language, count] of Object.entries(scan.languageFiles)) {
+    add(language, `${count} ${language} source files`);
+  }
+  for (const manifest of scan.manifests) {
+    const fileName = path.basename(manifest);
+    const content = fs.readFileSync(path.join(projectDir, manifest), 'utf8');
+
+    add(MANIFEST_LANGUAGES[fileName], `found ${manifest}`);
+    try {
+      for (const { technology, dependency } of readManifest(fileName, content)) {
+        add(technology, `${manifest} depends on "${dependency}"`);
+      }
+    } catch (error) {
+      warnings.push(`Could not read ${manifest}: ${error.message}`);
+    }
+  }
+  for (const lockfile of scan.lockfiles) {
+    add(LOCKFILES[path.basename(lockfile)], `found ${lockfile}`);
+  }
+
+  const fileCount = (name) => scan.languageFiles[name] || 0;
+  return {
+    technologies: [...technologies.values()].sort(
+      (a, b) => fileCount(b.name) - fileCount(a.name) || b.evidence.length - a.evidence.length
+    ),
+    files: scan.files,
+    complexity: COMPLEXITY_SIZES.find(([, size]) => scan.files <= size)[0],
+    warnings
+  };
+}
+
+/**
+ * Score how well a schema's metadata matches a project
+ *
+ * `framework` and `language` earn points when the project uses them and cost
+ * as many when it does not; words of `stack` and `tags` that name a detected
+ * technology, a `core` category and a fitting `complexity` add to the score.
+ * @param {object} schema - Parsed schema object
+ * @param {object} profile - Result of analyzeProject
+ * @returns {object} `score` and `reasons`, each with `points` and a `message`
+ */
+function matchSchema(schema, profile) {
+  const detected = new Map(profile.technologies.map((technology) => [technology.name, technology]));
+  const reasons = [];
+  const normalize = (value) =>
+    String(value)
+      .toLowerCase()
+      .replace(/[^a-z0-9#+]/g, '');
+  const find = (value) =>
+    detected.get(normalize(value)) || detected.get(NPM_PACKAGES[normalize(value)]);
+  const because = (technology) => technology.evidence[0];
+
+  for (const field of ['framework', 'language']) {
+    if (!schema[field]) {
+      continue;
+    }
+    const technology = find(schema[field]);
+    if (technology) {
+      const message = `${field} "${schema[field]}" (${because(technology)})`;
+      reasons.push({ points: WEIGHTS[field], message });
+    } else {
+      reasons.push({
+        points: -WEIGHTS[field],
+        message: `${field} "${schema[field]}" not detected`
+      });
+    }
+  }
+
+  const stackMatches = String(schema.stack || '')
+    .split(/[\s,/+]+/)
+    .map(find)
+    .filter(Boolean);
+  for (const technology of new Set(stackMatches)) {
+    reasons.push({ points: WEIGHTS.stack, message: `stack mentions ${technology.name}` });
+  }
+
+  const tags = (schema.tags || []).filter((tag) => find(tag));
+  if (tags.length > 0) {
+    reasons.push({ points: WEIGHTS.tag * tags.length, message: `tags ${tags.join(', ')}` });
+  }
+
+  if (schema.category === 'core') {
+    reasons.push({ points: WEIGHTS.category, message: 'core guidance applies to every project' });
+  }
+  if (schema.complexity && schema.complexity === profile.complexity) {
+    reasons.push({
+      points: WEIGHTS.complexity,
+      message: `complexity "${schema.complexity}" fits ${profile.files} source files`
+    });
+  }
+
+  return { score: reasons.reduce((sum, { points }) => sum + points, 0), reasons };
+}
+
+/**
+ * Rank library schemas by how well they match a project
+ * @param {object[]} schemas - Parsed schema objects
+ * @param {object} profile - Result of analyzeProject
+ * @returns {object[]} Schemas with a positive score, best first, with `id`, `title`, `score` and `reasons`
+ */
+function recommendSchemas(schemas, profile) {
+  return schemas
+    .map((schema) => ({ id: schema.id, title: schema.title, ...matchSchema(schema, profile) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+}
+
+/**
+ * Format a project analysis as human-readable text
+ * @param {string} projectDir - Project directory
+ * @param {object} profile - Result of analyzeProject
+ * @param {object[]} recommendations - Result of recommendSchemas
+ * @returns {string} Formatted analysis
+ */
+function formatAnalysis(projectDir, profile, recommendations) {
+  const names = (kind) =>
+    profile.technologies
+      .filter((technology) => technology.kind === kind)
+      .map(({ name }) => name)
+      .join(', ') || 'none detected';
+  const lines = [
+    `Project: ${projectDir}`,
+    `  Languages:  ${names('language')}`,
+    `  Frameworks: ${names('framework')}`,
+    `  Size:       ${profile.files} source files (${profile.complexity})`,
+    ...profile.warnings.map((warning) => `  ⚠️  ${warning}`),
+    ''
+  ];
+
+  if (recommendations.length === 0) {
+    lines.push('No schema in the library matches this project.');
+    return lines.join('\n');
+  }
+
+  lines.push('Recommended schemas:');
+  recommendations.forEach(({ id, title, score, reasons }, index) => {
+    lines.push(`  ${index + 1}. ${id} - ${title} (score ${score})`);
+    for (const { points, message } of reasons) {
+      lines.push(`     ${points > 0 ? '+' : '-'} ${message}`);
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * CLI interface
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const [projectDir] = getPositionals(args, ['--schemas', '--limit', '--config']);
+
+  if (!projectDir) {
+    console.log('Usage: node analyze.js <project-dir> [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --schemas=<dir>    Schema library to recommend from (default: schemas)');
+    console.log('  --limit=<n>        Show at most n recommendations');
+    console.log('  --json             Print the profile and recommendations as JSON');
+    console.log('  --config=<path>    Use a specific configuration file');
+    process.exit(1);
+  }
+
+  const schemasDir = getOption(args, '--schemas') || 'schemas';
+  for (const dir of [projectDir, schemasDir]) {
+    if (!fs.existsSync(dir)) {
+      console.error(`Error: Directory not found: ${dir}`);
+      process.exit(1);
+    }
+  }
+
+  const config = loadConfig({ configFile: getOption(args, '--config') });
+  const { schemas, errors } = loadSchemaLibrary(schemasDir, { config });
+  for (const error of errors) {
+    console.error(`⚠️  Skipped ${error.filePath}: ${error.message}`);
+  }
+
+  const limit = getOption(args, '--limit');
+  if (limit !== undefined && !/^[1-9]\d*$/.test(limit)) {
+    console.error(`Error: --limit must be a positive integer, got "${limit}"`);
+    process.exit(1);
+  }
+
+  const profile = analyzeProject(projectDir);
+  const recommendations = recommendSchemas(
+    [...schemas.values()].map(({ schema }) => schema),
+    profile
+  ).slice(0, limit === undefined ? undefined : Number(limit));
+
+  console.log(
+    args.includes('--json')
+      ? JSON.stringify({ profile, recommendations }, null, 2)
+      : formatAnalysis(projectDir, profile, recommendations)
+  );
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Analysis failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { analyzeProject, formatAnalysis, matchSchema, recommendSchemas };
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { analyzeProject, formatAnalysis, matchSchema, recommendSchemas } = require('./analyze');
+
+describe('analyze', () => {
+  let projectDir;
+
+  const addFile = (name, content = '') => {
+    fs.mkdirSync(path.dirname(path.join(projectDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, name), content);
+  };
+  const names = (profile) => profile.technologies.map(({ name }) => name);
+
+  beforeEach(() => {
+    projectDir = global.createTempDir();
+    addFile(
+      'package.json',
+      JSON.stringify({ dependencies: { react: '^18' }, devDependencies: { jest: '^29' } })
+    );
+    addFile('pnpm-lock.yaml');
+    addFile('src/App.tsx');
+    addFile('src/index.ts');
+    addFile('scripts/build.js');
+    addFile('node_modules/express/index.js');
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(projectDir);
+  });
+
+  test('should detect languages and frameworks from manifests, lockfiles and extensions', () => {
+    addFile('api/pyproject.toml', '[project]\ndependencies = ["Django>=4.2", "requests"]\n');
+    addFile('api/app.py');
+    addFile(
+      'worker/go.mod',
+      'module acme/worker\n\nrequire (\n\tgithub.com/gin-gonic/gin v1.9.1\n)\n'
+    );
+    addFile('site/Gemfile', 'source "https://rubygems.org"\ngem "rails", "~> 7.1"\n');
+
+    const profile = analyzeProject(projectDir);
+
+    expect(names(profile)).toEqual([
+      'typescript',
+      'javascript',
+      'python',
+      'django',
+      'react',
+      'jest',
+      'ruby',
+      'rails',
+      'go',
+      'gin'
+    ]);
+    expect(profile.technologies[1]).toEqual({
+      name: 'javascript',
+      kind: 'language',
+      evidence: ['1 javascript source files', 'found package.json', 'found pnpm-lock.yaml']
+    });
+    expect(profile.technologies[3].evidence).toEqual(['api/pyproject.toml depends on "django"']);
+    expect(profile).toMatchObject({ files: 4, complexity: 'simple', warnings: [] });
+  });
+
+  test('should read only the dependency tables of pyproject.toml', () => {
+    addFile(
+      'pyproject.toml',
+      [
+        '[project]',
+        'name = "demo"',
+        'keywords = ["flask", "django"]',
+        'dependencies = [',
+        '  "requests[socks]>=2.31",  # HTTP',
+        '  "FastAPI>=0.110",',
+        ']',
+        '',
+        '[tool.poetry.dependencies]',
+        'python = "^3.11"',
+        'pytest = { version = "^8", optional = true }'
+      ].join('\n')
+    );
+    addFile('requirements.txt', '-r base.txt\n# flask is not used\nDjango==4.2\n');
+
+    const profile = analyzeProject(projectDir);
+    const evidence = (name) => profile.technologies.find((item) => item.name === name)?.evidence;
+
+    expect(names(profile)).not.toContain('flask');
+    expect(evidence('fastapi')).toEqual(['pyproject.toml depends on "fastapi"']);
+    expect(evidence('pytest')).toEqual(['pyproject.toml depends on "pytest"']);
+    expect(evidence('django')).toEqual(['requirements.txt depends on "django"']);
+  });
+
+  test('should report manifests it cannot read', () => {
+    addFile('package.json', '{ not json');
+
+    expect(analyzeProject(projectDir).warnings).toEqual([
+      expect.stringContaining('Could not read package.json')
+    ]);
+  });
+
+  test('should rank schemas by matching metadata and explain each match', () => {
+    const schemaFor = (id, metadata) =>
+      global.createTestSchema({ id, title: id, tags: [], ...metadata });
+    const schemas = [
+      schemaFor('vue', { category: 'technology', framework: 'vue', language: 'typescript' }),
+      schemaFor('security', { category: 'core', complexity: 'complex' }),
+      schemaFor('react', {
+        category: 'technology',
+        framework: 'React',
+        language: 'typescript',
+        complexity: 'simple'
+      }),
+      schemaFor('testing', { category: 'task', tags: ['jest', 'cypress'] }),
+      schemaFor('rails', { category: 'stack', stack: 'Rails + Postgres' })
+    ];
+    const profile = analyzeProject(projectDir);
+
+    const recommendations = recommendSchemas(schemas, profile);
+
+    expect(recommendations.map(({ id, score }) => [id, score])).toEqual([
+      ['react', 9],
+      ['security', 1],
+      ['testing', 1]
+    ]);
+    expect(recommendations[0].reasons).toEqual([
+      { points: 5, message: 'framework "React" (package.json depends on "react")' },
+      { points: 3, message: 'language "typescript" (2 typescript source files)' },
+      { points: 1, message: 'complexity "simple" fits 3 source files' }
+    ]);
+    expect(matchSchema(schemas[0], profile)).toEqual({
+      score: -2,
+      reasons: [
+        { points: -5, message: 'framework "vue" not detected' },
+        { points: 3, message: 'language "typescript" (2 typescript source files)' }
+      ]
+    });
+    expect(formatAnalysis(projectDir, profile, recommendations.slice(2))).toBe(
+      [
+        `Project: ${projectDir}`,
+        '  Languages:  typescript, javascript',
+        '  Frameworks: react, jest',
+        '  Size:       3 source files (simple)',
+        '',
+        'Recommended schemas:',
+        '  1. testing - testing (score 1)',
+        '     + tags jest'
+      ].join('\n')
+    );
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * AI Context Schema CLI Options
+ * Small helpers for reading `--name=value` and `--name value` style arguments
+ */
+
+/**
+ * Get every value passed for an option
+ * @param {string[]} args - CLI arguments
+ * @param {string} name - Option name including the leading dashes
+ * @returns {string[]} Option values in argument order
+ */
+function getOptions(args, name) {
+  const values = [];
+
+  args.forEach((arg, index) => {
+    if (arg.startsWith(`${name}=`)) {
+      values.push(arg.slice(name.length + 1));
+    } else if (arg === name && index + 1 < args.length && !args[index + 1].startsWith('--')) {
+      values.push(args[index + 1]);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Get the last value passed for an option
+ * @param {string[]} args - CLI arguments
+ * @param {string} name - Option name including the leading dashes
+ * @returns {string|undefined} Option value
+ */
+function getOption(args, name) {
+  return getOptions(args, name).pop();
+}
+
+/**
+ * Get positional arguments, skipping options and their separate values
+ * @param {string[]} args - CLI arguments
+ * @param {string[]} [valueOptions] - Options that take a separate value
+ * @returns {string[]} Positional arguments
+ */
+function getPositionals(args, valueOptions = []) {
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (valueOptions.includes(args[i])) {
+      i++;
+    } else if (!args[i].startsWith('--')) {
+      positionals.push(args[i]);
+    }
+  }
+
+  return positionals;
+}
+
+module.exports = { getOption, getOptions, getPositionals };
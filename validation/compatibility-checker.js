@@ -7,17 +7,44 @@
 
 const fs = require('fs');
 const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const { adapters, createAdapter } = require('./adapters');
+const { discoverAdapterPlugins, loadAdapterPlugin } = require('./adapters/plugins');
+const { getOption, getOptions, getPositionals } = require('./cli-options');
+const { findSchemaFiles, loadConfig } = require('./config');
+const { GenerationRunner } = require('./generation-runner');
+const {
+  createCompatibilityReport,
+  createDriftReport,
+  FORMATS,
+  formatReport,
+  writeReport
+} = require('./reporters');
 const { SchemaValidator } = require('./schema-validator');
 
+/**
+ * Create a unified diff from the generated content of a file to the content on disk
+ * @param {string} file - Path relative to the project root
+ * @param {string} expected - Generated content
+ * @param {string} actual - Content on disk
+ * @returns {string} Unified diff
+ */
+function createFileDiff(file, expected, actual) {
+  return createTwoFilesPatch(`generated/${file}`, file, expected, actual);
+}
+
 /**
  *
  */
 class CompatibilityChecker {
   /**
-   *
+   * @param {object} [options] - Checker options
+   * @param {object} [options.config] - Resolved project configuration (discovered when omitted)
+   * @param {string} [options.configFile] - Explicit configuration file path
    */
-  constructor() {
-    this.validator = new SchemaValidator();
+  constructor(options = {}) {
+    this.config = options.config || loadConfig({ configFile: options.configFile });
+    this.validator = new SchemaValidator({ config: this.config });
     this.results = {
       platforms: {},
       schemas: {},
@@ -36,11 +63,33 @@ class CompatibilityChecker {
    * @returns {object} Compatibility results
    */
   async checkCompatibility(schemasDir) {
-    const schemaFiles = this.findSchemaFiles(schemasDir);
+    const schemas = this.loadSchemas(schemasDir);
+
+    // Check platform compatibility
+    const platforms = this.extractPlatforms(schemas);
+
+    for (const platform of platforms) {
+      this.results.platforms[platform] = await this.checkPlatformCompatibility(platform, schemas);
+    }
+
+    // Check individual schema compatibility
+    for (const { schema, filePath } of schemas) {
+      this.results.schemas[schema.id] = { ...this.checkSchemaCompatibility(schema), filePath };
+    }
+
+    this.generateSummary();
+    return this.results;
+  }
+
+  /**
+   * Parse and validate the schemas of a directory, recording failures as errors
+   * @param {string} schemasDir - Directory containing schema files
+   * @returns {Array} Valid schemas with their file paths
+   */
+  loadSchemas(schemasDir) {
     const schemas = [];
 
-    // Parse all schemas
-    for (const filePath of schemaFiles) {
+    for (const filePath of this.findSchemaFiles(schemasDir)) {
       try {
         const content = fs.readFileSync(filePath, 'utf8');
         const schema = this.validator.parseSchema(content);
@@ -64,20 +113,84 @@ class CompatibilityChecker {
       }
     }
 
-    // Check platform compatibility
-    const platforms = this.extractPlatforms(schemas);
+    return schemas;
+  }
+
+  /**
+   * Compare the files platforms read with what the schemas generate
+   *
+   * Outputs are regenerated in memory and compared with the project. A file
+   * is `modified` when its content differs, `missing` when it does not exist
+   * and `stale` when the manifest (see `GenerationRunner`) still records it
+   * although no schema generates it anymore. Unless `platform` is given,
+   * platforms none of whose files exist in the project are not checked and
+   * are listed in `notGenerated` instead.
+   * @param {string} schemasDir - Directory containing schema files
+   * @param {string} projectDir - Project directory holding the generated files
+   * @param {object} [options] - Drift options
+   * @param {string} [options.platform] - Check this platform only
+   * @param {object[]} [options.plugins] - Adapter plugins for platforms without a built-in adapter
+   * @returns {Promise<object>} Drifted files with diffs per platform, the `notGenerated`
+   *   platforms with their file count, and whether any `drifted`
+   */
+  async checkDrift(schemasDir, projectDir, options = {}) {
+    const schemas = this.loadSchemas(schemasDir);
+    const plugins = options.plugins || [];
+    const manifest = new GenerationRunner(projectDir).loadManifest();
+    const platforms = (options.platform ? [options.platform] : this.extractPlatforms(schemas))
+      .filter(
+        (platform) => adapters[platform] || plugins.some((plugin) => plugin.supports(platform))
+      )
+      .sort();
+    const results = {
+      platforms: {},
+      notGenerated: [],
+      errors: this.results.summary.errors,
+      drifted: false
+    };
 
     for (const platform of platforms) {
-      this.results.platforms[platform] = await this.checkPlatformCompatibility(platform, schemas);
-    }
+      const adapter = createAdapter(platform, { limits: this.config.limits, plugins, projectDir });
+      const files = await adapter.generate(schemas.map(({ schema }) => schema));
+      const recorded = Object.keys(manifest.platforms[platform]?.outputs || {});
+      const drift = [];
+
+      for (const [file, expected] of Object.entries(files)) {
+        const filePath = path.join(projectDir, file);
+        const actual = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+
+        if (actual === null) {
+          drift.push({ path: file, status: 'missing', diff: createFileDiff(file, expected, '') });
+        } else if (actual !== expected) {
+          drift.push({
+            path: file,
+            status: 'modified',
+            diff: createFileDiff(file, expected, actual)
+          });
+        }
+      }
 
-    // Check individual schema compatibility
-    for (const { schema } of schemas) {
-      this.results.schemas[schema.id] = this.checkSchemaCompatibility(schema);
+      for (const file of recorded.filter((recordedFile) => !(recordedFile in files))) {
+        const filePath = path.join(projectDir, file);
+        if (fs.existsSync(filePath)) {
+          const actual = fs.readFileSync(filePath, 'utf8');
+          drift.push({ path: file, status: 'stale', diff: createFileDiff(file, '', actual) });
+        }
+      }
+
+      // Without an explicit platform, only check platforms generated into the project
+      const generated =
+        manifest.platforms[platform] || drift.some(({ status }) => status !== 'missing');
+      if (!options.platform && !generated && drift.length > 0) {
+        results.notGenerated.push({ platform, files: Object.keys(files).length });
+        continue;
+      }
+
+      results.platforms[platform] = { files: Object.keys(files).length, drift };
+      results.drifted = results.drifted || drift.length > 0;
     }
 
-    this.generateSummary();
-    return this.results;
+    return results;
   }
 
   /**
@@ -86,25 +199,7 @@ class CompatibilityChecker {
    * @returns {string[]} Array of file paths
    */
   findSchemaFiles(dir) {
-    const files = [];
-
-    const scan = (currentDir) => {
-      const entries = fs.readdirSync(currentDir);
-
-      for (const entry of entries) {
-        const fullPath = path.join(currentDir, entry);
-        const stat = fs.statSync(fullPath);
-
-        if (stat.isDirectory()) {
-          scan(fullPath);
-        } else if (entry.endsWith('.yaml') || entry.endsWith('.yml')) {
-          files.push(fullPath);
-        }
-      }
-    };
-
-    scan(dir);
-    return files;
+    return findSchemaFiles(dir, this.config);
   }
 
   /**
@@ -193,7 +288,11 @@ class CompatibilityChecker {
         issues.push(...this.validateGenericFeatures(config, schema));
     }
 
-    return issues;
+    for (const issue of issues) {
+      issue.path = issue.path || `platforms.${platform}`;
+    }
+
+    return this.validator.locateDiagnostics(issues, schema);
   }
 
   /**
@@ -210,6 +309,7 @@ class CompatibilityChecker {
       issues.push({
         type: 'missing_feature',
         severity: 'warning',
+        path: 'platforms.claude-code.memory',
         message: 'Memory configuration not specified',
         schema: schema.id
       });
@@ -220,6 +320,7 @@ class CompatibilityChecker {
       issues.push({
         type: 'incomplete_config',
         severity: 'warning',
+        path: 'platforms.claude-code.namespace',
         message: 'Command enabled but namespace not specified',
         schema: schema.id
       });
@@ -230,6 +331,7 @@ class CompatibilityChecker {
       issues.push({
         type: 'incomplete_config',
         severity: 'info',
+        path: 'platforms.claude-code.allowedTools',
         message: 'MCP integration enabled but no tools specified',
         schema: schema.id
       });
@@ -252,6 +354,7 @@ class CompatibilityChecker {
       issues.push({
         type: 'missing_requirement',
         severity: 'error',
+        path: 'platforms.cursor.globs',
         message: 'Auto-attached activation requires globs configuration',
         schema: schema.id
       });
@@ -264,6 +367,7 @@ class CompatibilityChecker {
           issues.push({
             type: 'invalid_config',
             severity: 'error',
+            path: 'platforms.cursor.globs',
             message: `Invalid glob pattern: ${glob}`,
             schema: schema.id
           });
@@ -276,6 +380,7 @@ class CompatibilityChecker {
       issues.push({
         type: 'invalid_config',
         severity: 'error',
+        path: 'platforms.cursor.priority',
         message: `Invalid priority: ${config.priority}`,
         schema: schema.id
       });
@@ -295,10 +400,11 @@ class CompatibilityChecker {
 
     // Check character limit
     const estimatedSize = this.estimateContentSize(schema);
-    if (estimatedSize > 6000) {
+    if (estimatedSize > this.config.limits.windsurf) {
       issues.push({
         type: 'size_warning',
         severity: 'warning',
+        path: 'content',
         message: `Content may exceed Windsurf limit (estimated ${estimatedSize} chars)`,
         schema: schema.id
       });
@@ -309,6 +415,7 @@ class CompatibilityChecker {
       issues.push({
         type: 'invalid_config',
         severity: 'error',
+        path: 'platforms.windsurf.mode',
         message: `Invalid mode: ${config.mode}`,
         schema: schema.id
       });
@@ -319,6 +426,7 @@ class CompatibilityChecker {
       issues.push({
         type: 'invalid_config',
         severity: 'error',
+        path: 'platforms.windsurf.xmlTag',
         message: `Invalid XML tag: ${config.xmlTag}`,
         schema: schema.id
       });
@@ -341,6 +449,7 @@ class CompatibilityChecker {
       issues.push({
         type: 'invalid_config',
         severity: 'error',
+        path: 'platforms.github-copilot.priority',
         message: `Priority must be between 1-10, got: ${config.priority}`,
         schema: schema.id
       });
@@ -352,6 +461,7 @@ class CompatibilityChecker {
       issues.push({
         type: 'invalid_config',
         severity: 'error',
+        path: 'platforms.github-copilot.reviewType',
         message: `Invalid review type: ${config.reviewType}`,
         schema: schema.id
       });
@@ -362,6 +472,7 @@ class CompatibilityChecker {
       issues.push({
         type: 'invalid_config',
         severity: 'error',
+        path: 'platforms.github-copilot.scope',
         message: `Invalid scope: ${config.scope}`,
         schema: schema.id
       });
@@ -421,7 +532,7 @@ class CompatibilityChecker {
 
       case 'windsurf':
         features.supported = ['workspace-context', 'xml-formatting'];
-        features.limitations = ['6k-character-limit'];
+        features.limitations = [`${this.config.limits.windsurf / 1000}k-character-limit`];
         break;
 
       case 'github-copilot':
@@ -485,10 +596,11 @@ class CompatibilityChecker {
 
     // Check if content might be too large for Windsurf but compatible
     const windsurfConfig = schema.platforms?.windsurf;
-    if (windsurfConfig?.compatible && contentSize > 6000) {
+    if (windsurfConfig?.compatible && contentSize > this.config.limits.windsurf) {
       issues.push({
         type: 'cross_platform_issue',
         severity: 'warning',
+        path: 'content',
         message: 'Content may be truncated on Windsurf due to character limit'
       });
     }
@@ -499,11 +611,12 @@ class CompatibilityChecker {
       issues.push({
         type: 'cross_platform_issue',
         severity: 'warning',
+        path: 'platforms.cursor.activation',
         message: 'Always activation with globs may cause conflicts'
       });
     }
 
-    return issues;
+    return this.validator.locateDiagnostics(issues, schema);
   }
 
   /**
@@ -529,6 +642,7 @@ class CompatibilityChecker {
     const { platforms, schemas } = this.results;
 
     this.results.summary = {
+      errors: this.results.summary.errors || [],
       schemas: {
         total: Object.keys(schemas).length,
         highCompatibility: Object.values(schemas).filter((s) => s.score >= 80).length,
@@ -577,101 +691,188 @@ async function main() {
     console.log('Usage: node compatibility-checker.js <schemas-directory> [options]');
     console.log('');
     console.log('Options:');
-    console.log('  --json       Output results as JSON');
+    console.log('  --json       Output results as JSON (same as --format=json)');
     console.log('  --platform   Check specific platform only');
     console.log('  --verbose    Show detailed output');
+    console.log(`  --format=<format>  Output format (${FORMATS.join(', ')})`);
+    console.log('  --output <file>    Write the report to a file');
+    console.log('  --config=<path>    Use a specific configuration file');
+    console.log('  --drift            Compare generated platform files with the project instead');
+    console.log('  --out=<dir>        Project directory holding the generated files (default: .)');
+    console.log('  --plugin=<module>  Load an adapter plugin (repeatable)');
     process.exit(1);
   }
 
-  const schemasDir = args[0];
+  const config = loadConfig({ configFile: getOption(args, '--config') });
+  const [schemasDir] = getPositionals(args, [
+    '--output',
+    '--format',
+    '--config',
+    '--platform',
+    '--out',
+    '--plugin'
+  ]);
   const options = {
-    json: args.includes('--json'),
+    format: args.includes('--json') ? 'json' : getOption(args, '--format') || config.format,
+    output: getOption(args, '--output'),
     verbose: args.includes('--verbose'),
-    platform: args.find((arg) => arg.startsWith('--platform='))?.split('=')[1]
+    platform: getOption(args, '--platform')
   };
 
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format} (expected one of ${FORMATS.join(', ')})`);
+  }
+
   if (!fs.existsSync(schemasDir)) {
     console.error(`Error: Directory not found: ${schemasDir}`);
     process.exit(1);
   }
 
-  console.log(`Checking compatibility for schemas in: ${schemasDir}`);
+  const checker = new CompatibilityChecker({ config });
 
-  const checker = new CompatibilityChecker();
-  const results = await checker.checkCompatibility(schemasDir);
+  if (args.includes('--drift')) {
+    const projectDir = getOption(args, '--out') || '.';
+    const plugins = [...discoverAdapterPlugins(), ...getOptions(args, '--plugin')].map((name) =>
+      loadAdapterPlugin(name)
+    );
+    const drift = await checker.checkDrift(schemasDir, projectDir, {
+      platform: options.platform,
+      plugins
+    });
+    let output = JSON.stringify(drift, null, 2);
+    if (options.format === 'stylish') {
+      output = formatDriftResults(drift, projectDir, options);
+    } else if (options.format !== 'json') {
+      output = formatReport(createDriftReport(drift, projectDir), options.format);
+    }
+    writeReport(output, options.output);
+    process.exit(drift.drifted ? 1 : 0);
+  }
 
-  if (options.json) {
-    console.log(JSON.stringify(results, null, 2));
-  } else {
-    printCompatibilityResults(results, options);
+  if (options.format === 'stylish') {
+    console.log(`Checking compatibility for schemas in: ${schemasDir}`);
   }
 
+  const results = await checker.checkCompatibility(schemasDir);
+
+  const output =
+    options.format === 'stylish'
+      ? formatCompatibilityResults(results, options)
+      : formatReport(createCompatibilityReport(results), options.format);
+  writeReport(output, options.output);
+
   // Exit with error if there are critical compatibility issues
   const hasErrors = results.summary.issues.bySeverity.error > 0;
   process.exit(hasErrors ? 1 : 0);
 }
 
 /**
- * Print compatibility results to console
+ * Format compatibility results as human-readable text
  * @param {object} results - Compatibility results
  * @param {object} options - Output options
+ * @returns {string} Formatted results
  */
-function printCompatibilityResults(results, options) {
+function formatCompatibilityResults(results, options) {
+  const lines = [];
   const { summary, platforms, schemas } = results;
 
-  console.log('\n=== Compatibility Summary ===');
-  console.log(`Total Schemas: ${summary.schemas.total}`);
-  console.log(`High Compatibility (80%+): ${summary.schemas.highCompatibility}`);
-  console.log(`Medium Compatibility (50-79%): ${summary.schemas.mediumCompatibility}`);
-  console.log(`Low Compatibility (<50%): ${summary.schemas.lowCompatibility}`);
-  console.log(`\nTotal Issues: ${summary.issues.total}`);
-  console.log(`Errors: ${summary.issues.bySeverity.error}`);
-  console.log(`Warnings: ${summary.issues.bySeverity.warning}`);
-  console.log(`Info: ${summary.issues.bySeverity.info}`);
-
-  console.log('\n=== Platform Compatibility ===');
+  lines.push('\n=== Compatibility Summary ===');
+  lines.push(`Total Schemas: ${summary.schemas.total}`);
+  lines.push(`High Compatibility (80%+): ${summary.schemas.highCompatibility}`);
+  lines.push(`Medium Compatibility (50-79%): ${summary.schemas.mediumCompatibility}`);
+  lines.push(`Low Compatibility (<50%): ${summary.schemas.lowCompatibility}`);
+  lines.push(`\nTotal Issues: ${summary.issues.total}`);
+  lines.push(`Errors: ${summary.issues.bySeverity.error}`);
+  lines.push(`Warnings: ${summary.issues.bySeverity.warning}`);
+  lines.push(`Info: ${summary.issues.bySeverity.info}`);
+
+  lines.push('\n=== Platform Compatibility ===');
   for (const [platform, stats] of Object.entries(summary.platforms.details)) {
-    console.log(
+    lines.push(
       `${platform}: ${stats.compatible}/${platforms[platform].total} (${stats.compatibility_rate}%) - ${stats.issues} issues`
     );
   }
 
   if (options.verbose) {
-    console.log('\n=== Detailed Results ===');
+    lines.push('\n=== Detailed Results ===');
 
     for (const [platform, data] of Object.entries(platforms)) {
       if (options.platform && platform !== options.platform) continue;
 
-      console.log(`\n📱 Platform: ${platform}`);
-      console.log(`Compatible Schemas: ${data.compatible}/${data.total}`);
-      console.log(`Features: ${data.features.supported.join(', ')}`);
+      lines.push(`\n📱 Platform: ${platform}`);
+      lines.push(`Compatible Schemas: ${data.compatible}/${data.total}`);
+      lines.push(`Features: ${data.features.supported.join(', ')}`);
 
       if (data.features.limitations.length > 0) {
-        console.log(`Limitations: ${data.features.limitations.join(', ')}`);
+        lines.push(`Limitations: ${data.features.limitations.join(', ')}`);
       }
 
       if (data.issues.length > 0) {
-        console.log('Issues:');
+        lines.push('Issues:');
         for (const issue of data.issues) {
           const icon =
             issue.severity === 'error' ? '❌' : issue.severity === 'warning' ? '⚠️' : 'ℹ️';
-          console.log(`  ${icon} ${issue.type}: ${issue.message} (${issue.schema})`);
+          lines.push(`  ${icon} ${issue.type}: ${issue.message} (${issue.schema})`);
         }
       }
     }
 
-    console.log('\n=== Schema Compatibility Scores ===');
+    lines.push('\n=== Schema Compatibility Scores ===');
     for (const [id, data] of Object.entries(schemas)) {
       const scoreIcon = data.score >= 80 ? '🟢' : data.score >= 50 ? '🟡' : '🔴';
-      console.log(`${scoreIcon} ${id}: ${data.score}%`);
+      lines.push(`${scoreIcon} ${id}: ${data.score}%`);
 
       if (data.issues.length > 0) {
         for (const issue of data.issues) {
-          console.log(`    ⚠️ ${issue.message}`);
+          lines.push(`    ⚠️ ${issue.message}`);
         }
       }
     }
   }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format drift results as human-readable text
+ * @param {object} drift - Result of checkDrift
+ * @param {string} projectDir - Project directory
+ * @param {object} options - Output options
+ * @returns {string} Formatted results
+ */
+function formatDriftResults(drift, projectDir, options) {
+  const labels = { modified: 'edited', missing: 'missing', stale: 'no longer generated' };
+  const lines = [`\n=== Drift in ${projectDir} ===`];
+
+  for (const error of drift.errors) {
+    lines.push(`⚠️  Skipped ${error.filePath}: ${error.message}`);
+  }
+
+  for (const [platform, { files, drift: platformDrift }] of Object.entries(drift.platforms)) {
+    if (platformDrift.length === 0) {
+      lines.push(`✅ ${platform}: ${files} files in sync`);
+      continue;
+    }
+
+    lines.push(`❌ ${platform}: ${platformDrift.length} of ${files} files drifted`);
+    for (const file of platformDrift) {
+      lines.push(`  ${file.path} (${labels[file.status]})`);
+      if (options.verbose || file.status === 'modified') {
+        lines.push(file.diff.trimEnd().replace(/^/gm, '    '));
+      }
+    }
+  }
+
+  for (const { platform, files } of drift.notGenerated) {
+    lines.push(`➖ ${platform}: not generated into the project (${files} files expected)`);
+  }
+
+  if (drift.drifted) {
+    lines.push(
+      '\nRegenerate the files with generate.js, or update the schemas to match the edits.'
+    );
+  }
+  return lines.join('\n');
 }
 
 // Run CLI if this file is executed directly
@@ -682,4 +883,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { CompatibilityChecker };
+module.exports = { CompatibilityChecker, formatDriftResults };
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { CompatibilityChecker, formatDriftResults } = require('./compatibility-checker');
+const { GenerationRunner } = require('./generation-runner');
+const { createDriftReport, formatReport } = require('./reporters');
+
+describe('CompatibilityChecker.checkDrift', () => {
+  const REACT_RULE = '.cursor/rules/react.mdc';
+  let schemasDir;
+  let projectDir;
+
+  const writeSchema = (id, content = 'Use function components.') =>
+    global.createTestFile(
+      schemasDir,
+      `${id}.yaml`,
+      `---
+id: ${id}
+title: ${id} patterns
+description: Patterns for ${id} projects
+version: 1.0.0
+category: technology
+platforms:
+  cursor:
+    compatible: true
+    activation: always
+---
+
+# ${id} patterns
+
+${content}
+`
+    );
+  const generate = async () => {
+    const checker = new CompatibilityChecker();
+    const schemas = checker.loadSchemas(schemasDir).map(({ schema }) => schema);
+    await new GenerationRunner(projectDir).run('cursor', schemas);
+  };
+  const checkDrift = (options) =>
+    new CompatibilityChecker().checkDrift(schemasDir, projectDir, options);
+
+  beforeEach(() => {
+    schemasDir = global.createTempDir();
+    projectDir = global.createTempDir();
+    writeSchema('react');
+    writeSchema('testing');
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(schemasDir);
+    global.cleanupTempDir(projectDir);
+  });
+
+  test('should report generated files that match the schemas as in sync', async () => {
+    await generate();
+
+    const drift = await checkDrift();
+
+    expect(drift.drifted).toBe(false);
+    expect(drift.platforms).toEqual({ cursor: { files: 2, drift: [] } });
+  });
+
+  test('should report files edited by hand with a diff', async () => {
+    await generate();
+    fs.appendFileSync(path.join(projectDir, REACT_RULE), 'Class components are fine too.\n');
+
+    const drift = await checkDrift();
+
+    expect(drift.drifted).toBe(true);
+    expect(drift.platforms.cursor.drift).toEqual([
+      { path: REACT_RULE, status: 'modified', diff: expect.stringContaining('+Class components') }
+    ]);
+    expect(formatDriftResults(drift, projectDir, {})).toContain(
+      `❌ cursor: 1 of 2 files drifted\n  ${REACT_RULE} (edited)`
+    );
+  });
+
+  test('should report missing outputs and outputs of removed schemas', async () => {
+    await generate();
+    fs.rmSync(path.join(projectDir, REACT_RULE));
+    fs.rmSync(path.join(schemasDir, 'testing.yaml'));
+    writeSchema('vue');
+
+    const drift = await checkDrift();
+
+    expect(
+      drift.platforms.cursor.drift.map(({ path: file, status }) => `${status} ${file}`)
+    ).toEqual([
+      `missing ${REACT_RULE}`,
+      'missing .cursor/rules/vue.mdc',
+      'stale .cursor/rules/testing.mdc'
+    ]);
+  });
+
+  test('should only check platforms generated into the project unless one is given', async () => {
+    const drift = await checkDrift();
+    const cursorDrift = await checkDrift({ platform: 'cursor' });
+
+    expect(drift).toMatchObject({
+      drifted: false,
+      platforms: {},
+      notGenerated: [{ platform: 'cursor', files: 2 }]
+    });
+    expect(formatDriftResults(drift, projectDir, {})).toContain(
+      '➖ cursor: not generated into the project (2 files expected)'
+    );
+    expect(cursorDrift.drifted).toBe(true);
+    expect(cursorDrift.platforms.cursor.drift).toHaveLength(2);
+  });
+
+  test('should format drift through the machine-readable reporters', async () => {
+    await generate();
+    fs.appendFileSync(path.join(projectDir, REACT_RULE), 'Class components are fine too.\n');
+
+    const report = createDriftReport(await checkDrift(), projectDir);
+
+    expect(report.files).toEqual([
+      {
+        filePath: path.join(projectDir, REACT_RULE),
+        diagnostics: [
+          expect.objectContaining({
+            ruleId: 'cursor/modified',
+            severity: 'error',
+            message: 'Edited since it was generated from the schemas'
+          })
+        ]
+      }
+    ]);
+    expect(formatReport(report, 'github')).toMatch(/^::error file=.*,title=cursor\/modified::/);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * AI Context Schema Project Configuration
+ * Discovers and loads the validator and compatibility checker configuration file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const { minimatch } = require('minimatch');
+const { FORMATS } = require('./reporters');
+
+const CONFIG_FILES = [
+  'aics.config.json',
+  '.aicontextrc.json',
+  '.aicontextrc.yaml',
+  '.aicontextrc.yml'
+];
+
+const DEFAULT_CONFIG = {
+  ignore: [],
+  extensions: ['.yaml', '.yml'],
+  rules: {},
+  ruleModules: [],
+  limits: {
+    windsurf: 6000,
+    'windsurf-next': 6000
+  },
+  format: 'stylish'
+};
+
+const configSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ignore: { type: 'array', items: { type: 'string' } },
+    extensions: { type: 'array', items: { type: 'string', pattern: '^\\.' } },
+    rules: {
+      type: 'object',
+      additionalProperties: {
+        anyOf: [
+          { type: 'string' },
+          {
+            type: 'array',
+            minItems: 1,
+            maxItems: 2,
+            items: [{ type: 'string' }, { type: 'object' }]
+          }
+        ]
+      }
+    },
+    ruleModules: { type: 'array', items: { type: 'string' } },
+    limits: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+    format: { enum: FORMATS }
+  }
+};
+
+const validateConfig = new Ajv({ allErrors: true, strictTuples: false }).compile(configSchema);
+
+/**
+ * Find the nearest configuration file, searching upwards from a directory
+ * @param {string} startDir - Directory to start searching from
+ * @returns {string|null} Path to the configuration file or null
+ */
+function findConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Merge a raw configuration object with the defaults
+ * @param {object} raw - Configuration as written in the file
+ * @param {string} rootDir - Directory relative paths are resolved against
+ * @param {string|null} filePath - Configuration file path
+ * @returns {object} Resolved configuration
+ */
+function resolveConfig(raw, rootDir, filePath = null) {
+  if (!validateConfig(raw)) {
+    const details = validateConfig.errors
+      .map((error) => `${error.instancePath || '/'} ${error.message}`)
+      .join('; ');
+    throw new Error(`Invalid configuration${filePath ? ` in ${filePath}` : ''}: ${details}`);
+  }
+
+  return {
+    ...DEFAULT_CONFIG,
+    ...raw,
+    limits: { ...DEFAULT_CONFIG.limits, ...raw.limits },
+    ruleModules: (raw.ruleModules || []).map((modulePath) => path.resolve(rootDir, modulePath)),
+    rootDir,
+    filePath
+  };
+}
+
+/**
+ * Load the project configuration
+ * @param {object} [options] - Loading options
+ * @param {string} [options.cwd] - Directory to start discovery from
+ * @param {string} [options.configFile] - Explicit configuration file path
+ * @returns {object} Resolved configuration
+ */
+function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const filePath = options.configFile ? path.resolve(cwd, options.configFile) : findConfigFile(cwd);
+
+  if (!filePath) {
+    return resolveConfig({}, cwd);
+  }
+
+  let raw;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    raw = filePath.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new Error(`Failed to load configuration ${filePath}: ${error.message}`);
+  }
+
+  return resolveConfig(raw || {}, path.dirname(filePath), filePath);
+}
+
+/**
+ * Check whether a file matches one of the configured ignore globs
+ * @param {string} filePath - File path
+ * @param {object} config - Resolved configuration
+ * @returns {boolean} True if the file is ignored
+ */
+function isIgnored(filePath, config) {
+  const relativePath = path.relative(config.rootDir, path.resolve(filePath)).split(path.sep);
+  return config.ignore.some((pattern) => minimatch(relativePath.join('/'), pattern, { dot: true }));
+}
+
+/**
+ * Find schema files under a file or directory using the configured extensions and ignores
+ * @param {string} target - File or directory path
+ * @param {object} config - Resolved configuration
+ * @returns {string[]} Array of file paths
+ */
+function findSchemaFiles(target, config) {
+  if (!fs.statSync(target).isDirectory()) {
+    return [target];
+  }
+
+  const files = [];
+
+  const scan = (dir) => {
+    for (const entry of fs.readdirSync(dir)) {
+      const fullPath = path.join(dir, entry);
+
+      if (isIgnored(fullPath, config)) {
+        continue;
+      }
+
+      if (fs.statSync(fullPath).isDirectory()) {
+        scan(fullPath);
+      } else if (config.extensions.includes(path.extname(entry))) {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  scan(target);
+  return files;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_CONFIG,
+  findConfigFile,
+  findSchemaFiles,
+  isIgnored,
+  loadConfig,
+  resolveConfig
+};
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { findSchemaFiles, loadConfig } = require('./config');
+const { CompatibilityChecker } = require('./compatibility-checker');
+const { SchemaValidator } = require('./schema-validator');
+
+describe('Project configuration', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = global.createTempDir();
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(tempDir);
+  });
+
+  test('should fall back to defaults when no configuration file exists', () => {
+    const config = loadConfig({ cwd: tempDir });
+
+    expect(config.filePath).toBeNull();
+    expect(config.extensions).toEqual(['.yaml', '.yml']);
+    expect(config.limits.windsurf).toBe(6000);
+    expect(config.format).toBe('stylish');
+  });
+
+  test('should discover a configuration file in a parent directory', () => {
+    global.createTestFile(
+      tempDir,
+      '.aicontextrc.yaml',
+      'limits:\n  windsurf: 8000\nrules:\n  missing_examples: error\nruleModules:\n  - ./rules/org.js\n'
+    );
+    const nested = path.join(tempDir, 'schemas', 'frontend');
+    fs.mkdirSync(nested, { recursive: true });
+
+    const config = loadConfig({ cwd: nested });
+
+    expect(config.filePath).toBe(path.join(tempDir, '.aicontextrc.yaml'));
+    expect(config.limits).toEqual({ windsurf: 8000, 'windsurf-next': 6000 });
+    expect(config.rules).toEqual({ missing_examples: 'error' });
+    expect(config.ruleModules).toEqual([path.join(tempDir, 'rules', 'org.js')]);
+  });
+
+  test('should reject unknown configuration keys', () => {
+    global.createTestFile(tempDir, 'aics.config.json', '{ "limit": 100 }');
+
+    expect(() => loadConfig({ cwd: tempDir })).toThrow('Invalid configuration');
+  });
+
+  test('should honour ignore globs and include extensions', () => {
+    global.createTestFile(
+      tempDir,
+      'aics.config.json',
+      JSON.stringify({ ignore: ['drafts/**'], extensions: ['.md'] })
+    );
+    fs.mkdirSync(path.join(tempDir, 'drafts'));
+    global.createTestFile(tempDir, 'kept.md', '');
+    global.createTestFile(tempDir, 'skipped.yaml', '');
+    global.createTestFile(path.join(tempDir, 'drafts'), 'draft.md', '');
+
+    const config = loadConfig({ cwd: tempDir });
+
+    expect(findSchemaFiles(tempDir, config)).toEqual([path.join(tempDir, 'kept.md')]);
+  });
+
+  test('should apply configured rules and limits to the validator and checker', () => {
+    const config = loadConfig({ cwd: tempDir });
+    config.rules = { missing_headers: 'off' };
+    config.limits.windsurf = 100;
+
+    const validator = new SchemaValidator({ config });
+    const checker = new CompatibilityChecker({ config });
+    const schema = { ...global.createTestSchema(), _content: 'x'.repeat(120) };
+    schema.platforms.windsurf = { compatible: true, characterLimit: 500 };
+    const result = validator.validateSchema(schema, 'test.yaml');
+    const warningTypes = result.warnings.map((w) => w.type);
+
+    expect(warningTypes).not.toContain('missing_headers');
+    expect(warningTypes).toContain('character_limit_exceeded');
+    expect(warningTypes).toContain('windsurf_size_warning');
+    expect(checker.validateWindsurfFeatures({}, schema)[0].type).toBe('size_warning');
+  });
+});
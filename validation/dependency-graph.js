@@ -0,0 +1,180 @@
+/**
+ * AI Context Schema Dependency Graph
+ * Graph analysis over the `requires` relationships of a schema library
+ */
+
+const { relationshipIds } = require('./relationships');
+
+/**
+ * Build an adjacency map of `requires` edges between loaded schemas
+ * @param {Map} allSchemas - Map of schema ID to { schema, filePath }
+ * @returns {Map<string, string[]>} Adjacency map (only edges to loaded schemas)
+ */
+function buildRequiresGraph(allSchemas) {
+  const graph = new Map();
+
+  for (const [id, { schema }] of allSchemas) {
+    graph.set(
+      id,
+      relationshipIds(schema.requires).filter((requiredId) => allSchemas.has(requiredId))
+    );
+  }
+
+  return graph;
+}
+
+/**
+ * Find strongly connected components using Tarjan's algorithm
+ * @param {Map<string, string[]>} graph - Adjacency map
+ * @returns {string[][]} Components in reverse topological order
+ */
+function findStronglyConnectedComponents(graph) {
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let index = 0;
+
+  const visit = (node) => {
+    indices.set(node, index);
+    lowLinks.set(node, index);
+    index++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const next of graph.get(node) || []) {
+      if (!indices.has(next)) {
+        visit(next);
+        lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(next)));
+      } else if (onStack.has(next)) {
+        lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(next)));
+      }
+    }
+
+    if (lowLinks.get(node) === indices.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      components.push(component);
+    }
+  };
+
+  for (const node of graph.keys()) {
+    if (!indices.has(node)) {
+      visit(node);
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Find the shortest path to a target node, staying inside a component
+ * @param {string} from - Node the path starts at
+ * @param {Function} isTarget - Returns true for the nodes to reach
+ * @param {Map<string, string[]>} graph - Adjacency map
+ * @param {Set<string>} members - Nodes of the strongly connected component
+ * @returns {string[]|null} Nodes after `from` up to the target, or null when unreachable
+ */
+function findShortestPath(from, isTarget, graph, members) {
+  const previous = new Map();
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+
+    for (const next of graph.get(node) || []) {
+      if (!members.has(next)) {
+        continue;
+      }
+
+      if (isTarget(next)) {
+        const path = [next];
+        for (let current = node; current !== from; current = previous.get(current)) {
+          path.unshift(current);
+        }
+        return path;
+      }
+
+      if (next !== from && !previous.has(next)) {
+        previous.set(next, node);
+        queue.push(next);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a cycle through a node that visits every node of its component
+ *
+ * From the start, the path moves to the nearest node it has not visited yet
+ * until none is left, then returns to the start. When the requires form a
+ * ring this is the ring itself; otherwise nodes that link the others appear
+ * more than once, e.g. ['a', 'b', 'c', 'b', 'a'] for a ↔ b ↔ c.
+ * @param {string} start - Node the cycle starts and ends at
+ * @param {Map<string, string[]>} graph - Adjacency map
+ * @param {Set<string>} members - Nodes of the strongly connected component
+ * @returns {string[]} Cycle path, e.g. ['a', 'b', 'a']
+ */
+function findCyclePath(start, graph, members) {
+  const cycle = [start];
+  const unvisited = new Set([...members].filter((member) => member !== start));
+
+  while (unvisited.size > 0) {
+    const current = cycle[cycle.length - 1];
+    const path = findShortestPath(current, (node) => unvisited.has(node), graph, members);
+
+    if (!path) {
+      break;
+    }
+    path.forEach((node) => unvisited.delete(node));
+    cycle.push(...path);
+  }
+
+  const back = findShortestPath(cycle[cycle.length - 1], (node) => node === start, graph, members);
+  return back ? [...cycle, ...back] : cycle;
+}
+
+/**
+ * Find all dependency cycles in a schema library
+ *
+ * Every strongly connected component with more than one schema, or a schema
+ * that requires itself, is a cycle. Each schema involved gets a path from
+ * itself through every schema of its component and back.
+ * @param {Map} allSchemas - Map of schema ID to { schema, filePath }
+ * @returns {Map<string, string[]>} Cycle path keyed by each schema involved
+ */
+function findDependencyCycles(allSchemas) {
+  const graph = buildRequiresGraph(allSchemas);
+  const cycles = new Map();
+
+  for (const component of findStronglyConnectedComponents(graph)) {
+    const [first] = component;
+    const isCycle = component.length > 1 || graph.get(first).includes(first);
+
+    if (!isCycle) {
+      continue;
+    }
+
+    const members = new Set(component);
+    for (const id of component) {
+      cycles.set(id, findCyclePath(id, graph, members));
+    }
+  }
+
+  return cycles;
+}
+
+module.exports = {
+  buildRequiresGraph,
+  findCyclePath,
+  findDependencyCycles,
+  findStronglyConnectedComponents
+};
@@ -0,0 +1,108 @@
+const { findDependencyCycles, findStronglyConnectedComponents } = require('./dependency-graph');
+const { SchemaValidator } = require('./schema-validator');
+
+/**
+ * Build a schema library map from id → requires pairs
+ * @param {object} requiresById - Requires lists keyed by schema ID
+ * @returns {Map} Map of schema ID to { schema, filePath }
+ */
+function library(requiresById) {
+  return new Map(
+    Object.entries(requiresById).map(([id, requires]) => [
+      id,
+      { schema: { id, requires }, filePath: `${id}.yaml` }
+    ])
+  );
+}
+
+describe('Dependency graph', () => {
+  test('should group mutually dependent schemas into one component', () => {
+    const graph = new Map([
+      ['a', ['b']],
+      ['b', ['c']],
+      ['c', ['a']],
+      ['d', ['a']]
+    ]);
+
+    const components = findStronglyConnectedComponents(graph).map((c) => c.sort());
+
+    expect(components).toContainEqual(['a', 'b', 'c']);
+    expect(components).toContainEqual(['d']);
+  });
+
+  test('should report the cycle path for every schema involved', () => {
+    const cycles = findDependencyCycles(library({ a: ['b'], b: ['c'], c: ['a'], d: ['a'], e: [] }));
+
+    expect([...cycles.keys()].sort()).toEqual(['a', 'b', 'c']);
+    expect(cycles.get('a')).toEqual(['a', 'b', 'c', 'a']);
+    expect(cycles.get('b')).toEqual(['b', 'c', 'a', 'b']);
+  });
+
+  test('should cover every schema of the component in the cycle path', () => {
+    const cycles = findDependencyCycles(library({ a: ['b'], b: ['a', 'c'], c: ['b'] }));
+
+    expect(cycles.get('a')).toEqual(['a', 'b', 'c', 'b', 'a']);
+    expect(cycles.get('b')).toEqual(['b', 'a', 'b', 'c', 'b']);
+    expect(cycles.get('c')).toEqual(['c', 'b', 'a', 'b', 'c']);
+  });
+
+  test('should treat a schema requiring itself as a cycle', () => {
+    const cycles = findDependencyCycles(library({ a: ['a'], b: ['a'] }));
+
+    expect(cycles.get('a')).toEqual(['a', 'a']);
+    expect(cycles.has('b')).toBe(false);
+  });
+
+  test('should ignore requires on schemas outside the library', () => {
+    expect(findDependencyCycles(library({ a: ['missing'] })).size).toBe(0);
+  });
+});
+
+describe('SchemaValidator cyclic_dependency', () => {
+  let tempDir;
+
+  const schema = (id, requires) => `---
+id: ${id}
+title: ${id}
+description: Schema used to exercise cycle detection
+version: 1.0.0
+category: core
+platforms:
+  claude-code:
+    compatible: true
+requires: [${requires.join(', ')}]
+---
+
+# ${id}
+`;
+
+  beforeEach(() => {
+    tempDir = global.createTempDir();
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(tempDir);
+  });
+
+  test('should flag every schema in a cycle regardless of file order', async () => {
+    const files = [
+      global.createTestFile(tempDir, 'gamma.yaml', schema('gamma', ['alpha'])),
+      global.createTestFile(tempDir, 'alpha.yaml', schema('alpha', ['beta'])),
+      global.createTestFile(tempDir, 'beta.yaml', schema('beta', ['gamma']))
+    ];
+    const validator = new SchemaValidator();
+
+    const results = await validator.validateFiles(files);
+    const messages = results.results.map((result) =>
+      result.errors.filter((e) => e.type === 'cyclic_dependency').map((e) => e.message)
+    );
+
+    expect(results.summary.invalid).toBe(3);
+    expect(messages).toEqual([
+      ['Cyclic dependency detected: gamma -> alpha -> beta -> gamma'],
+      ['Cyclic dependency detected: alpha -> beta -> gamma -> alpha'],
+      ['Cyclic dependency detected: beta -> gamma -> alpha -> beta']
+    ]);
+    expect(results.results[1].errors[0]).toMatchObject({ path: 'requires.0', line: 10 });
+  });
+});
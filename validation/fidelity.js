@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+/**
+ * AI Context Schema Round-Trip Fidelity
+ * Exports schemas to each platform, imports them back and measures what survived
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { adapters, createAdapter } = require('./adapters');
+const { splitSections } = require('./adapters/markdown');
+const { getOption, getOptions, getPositionals } = require('./cli-options');
+const { loadConfig } = require('./config');
+const { mergeImportedSchemas } = require('./import');
+const { loadSchemaLibrary } = require('./resolver');
+
+const DEFAULT_EXAMPLES_DIR = 'schemas/v2.1.0/examples';
+const INTRODUCTION = '(introduction)';
+
+/**
+ * Split schema content into its introduction and level-two sections
+ * @param {string} content - Markdown content
+ * @returns {Map} Normalized section bodies keyed by lowercase heading
+ */
+function getSections(content) {
+  const [preamble, ...sections] = splitSections((content || '').trim());
+  const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+  const result = new Map();
+  const introduction = normalize(preamble.content.replace(/^#\s.*$/m, ''));
+
+  if (introduction) {
+    result.set(INTRODUCTION, { heading: INTRODUCTION, body: introduction });
+  }
+  for (const { heading, content: section } of sections) {
+    result.set(heading.toLowerCase(), { heading, body: normalize(section.replace(/^.*\n?/, '')) });
+  }
+
+  return result;
+}
+
+/**
+ * Compare an expected and an actual value
+ * @param {*} expected - Value of the original schema
+ * @param {*} actual - Value of the imported schema
+ * @returns {string} `preserved`, `changed` or `lost`
+ */
+function compareValue(expected, actual) {
+  if (actual === undefined) {
+    return 'lost';
+  }
+  return isDeepStrictEqual(expected, actual) ? 'preserved' : 'changed';
+}
+
+/**
+ * Compare an original schema with the schema imported back from a platform
+ *
+ * Every frontmatter field is compared, except that of `platforms` only the
+ * platform's own configuration counts, field by field. Markdown is compared
+ * per `##` section, plus the introduction before the first one.
+ * @param {object} original - Exported schema
+ * @param {object|null} imported - Schema imported back, null when none matched
+ * @param {string} platform - Platform key
+ * @returns {object} `fields` and `sections` with their `status`
+ */
+function compareSchemas(original, imported, platform) {
+  const actual = imported || {};
+  const fields = Object.keys(original)
+    .filter((key) => !key.startsWith('_') && key !== 'platforms')
+    .map((name) => ({
+      name,
+      status: compareValue(original[name], actual[name]),
+      expected: original[name],
+      actual: actual[name]
+    }));
+
+  const config = original.platforms[platform];
+  const importedConfig = actual.platforms?.[platform] || {};
+  for (const key of Object.keys(config)) {
+    fields.push({
+      name: `platforms.${platform}.${key}`,
+      status: compareValue(config[key], importedConfig[key]),
+      expected: config[key],
+      actual: importedConfig[key]
+    });
+  }
+
+  const importedSections = getSections(actual._content);
+  const sections = [...getSections(original._content)].map(([key, { heading, body }]) => {
+    const match = importedSections.get(key);
+    return { heading, status: match ? compareValue(body, match.body) : 'lost' };
+  });
+
+  return { fields, sections };
+}
+
+/**
+ * Find the imported schema that came from an original schema
+ *
+ * Schemas match by ID, then by title, then by the most shared section
+ * headings, since platforms that merge schemas into one file name each
+ * section after its content heading rather than the schema.
+ * @param {object} original - Exported schema
+ * @param {object[]} imported - Imported schemas not matched yet
+ * @returns {object|null} Matching imported schema
+ */
+function findImported(original, imported) {
+  const title = original.title.toLowerCase();
+  const byId = imported.find((schema) => schema.id === original.id);
+  const byTitle = imported.find((schema) => (schema.title || '').toLowerCase() === title);
+
+  if (byId || byTitle) {
+    return byId || byTitle;
+  }
+
+  const headings = [...getSections(original._content).keys()];
+  let best = null;
+  let bestShared = 0;
+  for (const schema of imported) {
+    const sections = getSections(schema._content);
+    const shared = headings.filter((key) => key !== INTRODUCTION && sections.has(key)).length;
+    if (shared > bestShared) {
+      best = schema;
+      bestShared = shared;
+    }
+  }
+  return best;
+}
+
+/**
+ * Export schemas to a platform, import the files back and compare the results
+ * @param {string} platform - Platform key
+ * @param {object[]} schemas - Parsed schema objects
+ * @param {object} [options] - Adapter options
+ * @returns {Promise<object>} Platform `score` (0-100), item `counts` and per-schema comparisons
+ */
+async function checkPlatformFidelity(platform, schemas, options = {}) {
+  const exporter = createAdapter(platform, options);
+  const files = await exporter.generate(schemas);
+  const importer = createAdapter(platform, options);
+  const parsed = await importer.parse(files);
+  const remaining = mergeImportedSchemas(parsed, importer.reviews || []).schemas;
+  const counts = { preserved: 0, changed: 0, lost: 0 };
+
+  const results = exporter.getCompatibleSchemas(schemas).map((original) => {
+    const imported = findImported(original, remaining);
+    if (imported) {
+      remaining.splice(remaining.indexOf(imported), 1);
+    }
+
+    const comparison = compareSchemas(original, imported, platform);
+    for (const { status } of [...comparison.fields, ...comparison.sections]) {
+      counts[status]++;
+    }
+    return { id: original.id, importedId: imported ? imported.id : null, ...comparison };
+  });
+
+  const total = counts.preserved + counts.changed + counts.lost;
+  return {
+    score: total > 0 ? Math.round((counts.preserved / total) * 100) : 0,
+    counts,
+    schemas: results
+  };
+}
+
+/**
+ * Measure the round-trip fidelity of every platform that can be imported
+ *
+ * Platforms without an importer, or without a compatible schema, are listed
+ * in `skipped` instead.
+ * @param {object[]} schemas - Parsed schema objects
+ * @param {object} [options] - Check options
+ * @param {string[]} [options.platforms] - Platforms to check (default: all)
+ * @param {object} [options.adapterOptions] - Options passed to every adapter
+ * @returns {Promise<object>} Fidelity results keyed by platform, and `skipped` platforms
+ */
+async function checkFidelity(schemas, options = {}) {
+  const adapterOptions = options.adapterOptions || {};
+  const result = { platforms: {}, skipped: [] };
+
+  for (const platform of options.platforms || Object.keys(adapters)) {
+    const adapter = createAdapter(platform, adapterOptions);
+
+    if (adapter.getImportPatterns().length === 0) {
+      result.skipped.push({ platform, reason: 'no importer' });
+    } else if (adapter.getCompatibleSchemas(schemas).length === 0) {
+      result.skipped.push({ platform, reason: 'no compatible schemas' });
+    } else {
+      result.platforms[platform] = await checkPlatformFidelity(platform, schemas, adapterOptions);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Format a value of a changed field for display
+ * @param {*} value - Field value
+ * @returns {string} Short JSON representation
+ */
+function formatValue(value) {
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
+
+/**
+ * Format fidelity results as human-readable text
+ * @param {object} fidelity - Result of checkFidelity
+ * @param {boolean} [verbose] - List the changed values of every field
+ * @returns {string} Formatted report
+ */
+function formatFidelityReport(fidelity, verbose = false) {
+  const lines = ['Round-trip fidelity (export, then import back)', ''];
+  const ranked = Object.entries(fidelity.platforms).sort(([, a], [, b]) => b.score - a.score);
+
+  for (const [platform, { score, counts }] of ranked) {
+    const total = counts.preserved + counts.changed + counts.lost;
+    lines.push(
+      `${platform.padEnd(16)} ${String(score).padStart(3)}%  ` +
+        `${counts.preserved}/${total} preserved, ${counts.changed} changed, ${counts.lost} lost`
+    );
+  }
+
+  for (const [platform, { schemas }] of ranked) {
+    lines.push('', `${platform}:`);
+    for (const schema of schemas) {
+      const items = [...schema.fields, ...schema.sections];
+      const lost = items.filter(({ status }) => status === 'lost');
+      const changed = items.filter(({ status }) => status === 'changed');
+      const name = (item) => item.name || `§ ${item.heading}`;
+
+      if (!schema.importedId) {
+        lines.push(`  ❌ ${schema.id}: not imported back`);
+        continue;
+      }
+      lines.push(`  ${lost.length + changed.length > 0 ? '⚠️ ' : '✅'} ${schema.id}`);
+      if (lost.length > 0) {
+        lines.push(`     lost: ${lost.map(name).join(', ')}`);
+      }
+      if (changed.length > 0) {
+        const describe = (item) =>
+          verbose && item.name
+            ? `${item.name} (${formatValue(item.expected)} → ${formatValue(item.actual)})`
+            : name(item);
+        lines.push(`     changed: ${changed.map(describe).join(', ')}`);
+      }
+    }
+  }
+
+  if (fidelity.skipped.length > 0) {
+    lines.push('', 'Skipped:');
+    fidelity.skipped.forEach(({ platform, reason }) => lines.push(`  ${platform}: ${reason}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * CLI interface
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log('Usage: node fidelity.js [schemas-dir] [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --platform=<name>  Platform to check (repeatable, default: all importable)');
+    console.log('  --min-score=<n>    Exit with an error when a platform scores below n');
+    console.log('  --json             Print the results as JSON');
+    console.log('  --verbose          Show the original and imported values of changed fields');
+    console.log('  --config=<path>    Use a specific configuration file');
+    process.exit(0);
+  }
+
+  const config = loadConfig({ configFile: getOption(args, '--config') });
+  const [schemasDir = DEFAULT_EXAMPLES_DIR] = getPositionals(args, [
+    '--platform',
+    '--min-score',
+    '--config'
+  ]);
+  const platforms = getOptions(args, '--platform');
+  const minScore = getOption(args, '--min-score');
+
+  const { schemas, errors } = loadSchemaLibrary(schemasDir, { config });
+  for (const error of errors) {
+    console.error(`⚠️  Skipped ${error.filePath}: ${error.message}`);
+  }
+
+  const fidelity = await checkFidelity(
+    [...schemas.values()].map(({ schema }) => schema),
+    {
+      platforms: platforms.length > 0 ? platforms : undefined,
+      adapterOptions: { limits: config.limits }
+    }
+  );
+
+  console.log(
+    args.includes('--json')
+      ? JSON.stringify(fidelity, null, 2)
+      : formatFidelityReport(fidelity, args.includes('--verbose'))
+  );
+
+  const failing = Object.values(fidelity.platforms).some(
+    ({ score }) => minScore !== undefined && score < Number(minScore)
+  );
+  process.exit(failing ? 1 : 0);
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Fidelity check failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  checkFidelity,
+  checkPlatformFidelity,
+  compareSchemas,
+  findImported,
+  formatFidelityReport
+};
@@ -0,0 +1,65 @@
+const { checkFidelity, formatFidelityReport } = require('./fidelity');
+
+describe('checkFidelity', () => {
+  const schema = global.createTestSchema({
+    id: 'typescript',
+    title: 'TypeScript',
+    description: 'Strict TypeScript for every module',
+    category: 'language',
+    platforms: {
+      cursor: {
+        compatible: true,
+        activation: 'auto-attached',
+        globs: ['src/**/*.{ts,tsx}'],
+        priority: 'high'
+      },
+      zed: { compatible: true }
+    },
+    _content: '# TypeScript\n\nUse strict mode.\n\n## Types\n\nPrefer `unknown`.'
+  });
+
+  test('should report the fields and sections that did not survive a round trip', async () => {
+    const fidelity = await checkFidelity([schema], { platforms: ['cursor'] });
+    const [result] = fidelity.platforms.cursor.schemas;
+    const withStatus = (status) =>
+      result.fields.filter((field) => field.status === status).map(({ name }) => name);
+
+    expect(fidelity.platforms.cursor).toMatchObject({
+      score: 69,
+      counts: { preserved: 9, changed: 1, lost: 3 }
+    });
+    expect(result.importedId).toBe('typescript');
+    expect(withStatus('lost')).toEqual(['tags', 'author', 'platforms.cursor.priority']);
+    expect(withStatus('changed')).toEqual(['description']);
+    expect(result.sections).toEqual([
+      { heading: '(introduction)', status: 'preserved' },
+      { heading: 'Types', status: 'preserved' }
+    ]);
+  });
+
+  test('should skip platforms without an importer or compatible schemas', async () => {
+    const fidelity = await checkFidelity([schema], { platforms: ['zed', 'windsurf'] });
+
+    expect(fidelity).toEqual({
+      platforms: {},
+      skipped: [
+        { platform: 'zed', reason: 'no importer' },
+        { platform: 'windsurf', reason: 'no compatible schemas' }
+      ]
+    });
+  });
+
+  test('should match schemas by their sections when the platform renames them', async () => {
+    const copilot = {
+      ...schema,
+      title: 'TS',
+      platforms: { 'github-copilot': { compatible: true } }
+    };
+    const fidelity = await checkFidelity([copilot], { platforms: ['github-copilot'] });
+    const report = formatFidelityReport(fidelity, true);
+
+    expect(fidelity.platforms['github-copilot'].schemas[0].importedId).toBe('type-script');
+    expect(report).toContain('github-copilot    ');
+    expect(report).toContain('title ("TS" → "TypeScript")');
+  });
+});
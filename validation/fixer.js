@@ -0,0 +1,191 @@
+/**
+ * AI Context Schema Fixer
+ * Repairs mechanically fixable diagnostics by rewriting the YAML frontmatter in place
+ */
+
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const { isScalar, isSeq, parseDocument, Scalar } = require('yaml');
+const { parseRelationship, rangesOverlap } = require('./relationships');
+
+const FRONTMATTER_REGEX = /^(---\s*\n)([\s\S]*?)(\n---\s*\n[\s\S]*)$/;
+
+// Keep untouched lines byte-identical when the document is stringified again
+const STRINGIFY_OPTIONS = { lineWidth: 0, flowCollectionPadding: false };
+
+/**
+ * Convert a string to kebab-case
+ * @param {string} value - Input string
+ * @returns {string} Kebab-case string
+ */
+function toKebabCase(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Create a scalar that follows the quoting style of the document's `id` value
+ * @param {object} doc - YAML document
+ * @param {*} value - Scalar value
+ * @returns {Scalar} Scalar node
+ */
+function createScalar(doc, value) {
+  const scalar = new Scalar(value);
+  const idNode = doc.get('id', true);
+
+  if (typeof value === 'string' && isScalar(idNode) && idNode.type !== Scalar.PLAIN) {
+    scalar.type = idNode.type;
+  }
+
+  return scalar;
+}
+
+/**
+ * Set a value, reusing the existing scalar node so its style is preserved
+ * @param {object} doc - YAML document
+ * @param {string[]} keyPath - Path to the value
+ * @param {*} value - New value
+ */
+function setValue(doc, keyPath, value) {
+  const node = doc.getIn(keyPath, true);
+
+  if (isScalar(node)) {
+    node.value = value;
+  } else {
+    doc.setIn(keyPath, createScalar(doc, value));
+  }
+}
+
+const fixes = {
+  invalid_id(doc, schema) {
+    const id = toKebabCase(schema.id);
+    if (!id || id === schema.id) {
+      return null;
+    }
+    setValue(doc, ['id'], id);
+    return `Renamed id "${schema.id}" to "${id}"`;
+  },
+
+  missing_namespace(doc) {
+    setValue(doc, ['platforms', 'claude-code', 'namespace'], 'project');
+    return 'Set platforms.claude-code.namespace to "project"';
+  },
+
+  missing_last_updated(doc, _schema, { today }) {
+    const date = createScalar(doc, today);
+    // A plain date would load as a Date, not the string the schema requires
+    date.type = date.type || Scalar.QUOTE_DOUBLE;
+    const pair = doc.createPair('lastUpdated', date);
+    const versionIndex = doc.contents.items.findIndex((item) => item.key?.value === 'version');
+
+    doc.contents.items.splice(versionIndex + 1 || doc.contents.items.length, 0, pair);
+    return `Set lastUpdated to ${today}`;
+  },
+
+  invalid_priority(doc, schema) {
+    const priority = schema.platforms['github-copilot'].priority;
+    const clamped = Math.min(10, Math.max(1, priority));
+
+    setValue(doc, ['platforms', 'github-copilot', 'priority'], clamped);
+    return `Clamped platforms.github-copilot.priority from ${priority} to ${clamped}`;
+  },
+
+  conflicting_relationships(doc, schema) {
+    const requires = (schema.requires || []).map(parseRelationship);
+    const conflicts = doc.get('conflicts', true);
+
+    if (!isSeq(conflicts)) {
+      return null;
+    }
+
+    const removed = [];
+    conflicts.items = conflicts.items.filter((item) => {
+      const value = isScalar(item) ? item.value : item;
+      const conflict = parseRelationship(value);
+      if (requires.some((r) => r.id === conflict.id && rangesOverlap(r.range, conflict.range))) {
+        removed.push(value);
+        return false;
+      }
+      return true;
+    });
+
+    if (conflicts.items.length === 0) {
+      doc.delete('conflicts');
+    }
+    return `Removed required schemas from conflicts: ${removed.join(', ')}`;
+  }
+};
+
+/**
+ * Edit the YAML frontmatter of a schema file, leaving the markdown content untouched
+ * @param {string} content - Full file content
+ * @param {Function} edit - Receives the YAML document and returns the changes it made
+ * @returns {{output: string, changes: Array}} Rewritten content and the changes made
+ */
+function editFrontmatter(content, edit) {
+  const match = content.match(FRONTMATTER_REGEX);
+
+  if (!match) {
+    return { output: content, changes: [] };
+  }
+
+  const [, opening, frontmatter, rest] = match;
+  const doc = parseDocument(frontmatter);
+  const changes = edit(doc);
+
+  if (changes.length === 0) {
+    return { output: content, changes };
+  }
+
+  const rewritten = doc.toString(STRINGIFY_OPTIONS).replace(/\n$/, '');
+  return { output: opening + rewritten + rest, changes };
+}
+
+/**
+ * Apply fixes for the given diagnostics to a schema file's content
+ * @param {string} content - Full file content
+ * @param {object} schema - Parsed schema object
+ * @param {Array} diagnostics - Errors and warnings reported for the file
+ * @param {object} [options] - Fix options
+ * @param {string} [options.today] - Date used for lastUpdated (YYYY-MM-DD)
+ * @returns {{output: string, applied: Array}} Rewritten content and applied fixes
+ */
+function applyFixes(content, schema, diagnostics, options = {}) {
+  const context = { today: options.today || new Date().toISOString().slice(0, 10) };
+  const fixableTypes = new Set(diagnostics.map((d) => d.type).filter((type) => fixes[type]));
+
+  const { output, changes } = editFrontmatter(content, (doc) => {
+    const applied = [];
+
+    for (const type of fixableTypes) {
+      const description = fixes[type](doc, schema, context);
+      if (description) {
+        applied.push({ type, description });
+      }
+    }
+
+    return applied;
+  });
+
+  return { output, applied: changes };
+}
+
+/**
+ * Create a unified diff between the original and fixed content
+ * @param {string} filePath - File path used in the diff header
+ * @param {string} original - Original content
+ * @param {string} fixed - Fixed content
+ * @returns {string} Unified diff
+ */
+function createFixDiff(filePath, original, fixed) {
+  const displayPath = path
+    .relative(process.cwd(), path.resolve(filePath))
+    .split(path.sep)
+    .join('/');
+  return createTwoFilesPatch(`a/${displayPath}`, `b/${displayPath}`, original, fixed);
+}
+
+module.exports = { applyFixes, createFixDiff, editFrontmatter, fixes, toKebabCase };
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const { toKebabCase } = require('./fixer');
+const { SchemaValidator } = require('./schema-validator');
+
+describe('SchemaValidator.fix', () => {
+  let tempDir;
+  let validator;
+
+  const content = `---
+# Team schema
+id: "MyTeam_Rules"
+title: "Team Rules"
+description: "Team rules used to exercise the fixer"
+version: "1.0.0" # bump on change
+category: "core"
+platforms:
+  claude-code:
+    compatible: true
+    command: true
+  github-copilot:
+    compatible: true
+    priority: 14
+requires: ["base"]
+conflicts: ["base", "legacy"]
+---
+
+# Team Rules
+
+The   body is left exactly as written.
+`;
+
+  beforeEach(() => {
+    tempDir = global.createTempDir();
+    validator = new SchemaValidator();
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(tempDir);
+  });
+
+  test('should convert ids to kebab-case', () => {
+    expect(toKebabCase('MyTeam_Rules')).toBe('my-team-rules');
+    expect(toKebabCase('react patterns v2')).toBe('react-patterns-v2');
+  });
+
+  test('should rewrite fixable problems and preserve comments and body', async () => {
+    const filePath = global.createTestFile(tempDir, 'team.yaml', content);
+
+    const fixResult = await validator.fix(filePath, { today: '2025-01-01' });
+    const output = fs.readFileSync(filePath, 'utf8');
+
+    expect(fixResult.applied.map((fix) => fix.type).sort()).toEqual([
+      'conflicting_relationships',
+      'invalid_id',
+      'invalid_priority',
+      'missing_last_updated',
+      'missing_namespace'
+    ]);
+    expect(output).toBe(
+      content
+        .replace('"MyTeam_Rules"', '"my-team-rules"')
+        .replace('# bump on change\n', '# bump on change\nlastUpdated: "2025-01-01"\n')
+        .replace('command: true\n', 'command: true\n    namespace: "project"\n')
+        .replace('priority: 14', 'priority: 10')
+        .replace('["base", "legacy"]', '["legacy"]')
+    );
+
+    const result = await validator.validateFile(filePath);
+    expect(result.valid).toBe(true);
+  });
+
+  test('should quote the date when the document uses plain scalars', async () => {
+    const filePath = global.createTestFile(tempDir, 'team.yaml', content.replace(/"/g, ''));
+
+    await validator.fix(filePath, { today: '2025-01-01' });
+
+    expect(fs.readFileSync(filePath, 'utf8')).toContain('\nlastUpdated: "2025-01-01"\n');
+    expect((await validator.validateFile(filePath)).valid).toBe(true);
+  });
+
+  test('should return a unified diff without writing in dry-run mode', async () => {
+    const filePath = global.createTestFile(tempDir, 'team.yaml', content);
+
+    const fixResult = await validator.fix(filePath, { dryRun: true, today: '2025-01-01' });
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(content);
+    expect(fixResult.changed).toBe(true);
+    expect(fixResult.diff).toContain('-    priority: 14');
+    expect(fixResult.diff).toContain('+    priority: 10');
+  });
+
+  test('should skip fixes for rules that are turned off', async () => {
+    const filePath = global.createTestFile(tempDir, 'team.yaml', content);
+    const quietValidator = new SchemaValidator({ rules: { missing_last_updated: 'off' } });
+
+    const fixResult = await quietValidator.fix(filePath, { dryRun: true });
+
+    expect(fixResult.applied.map((fix) => fix.type)).not.toContain('missing_last_updated');
+  });
+});
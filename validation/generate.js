@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * AI Context Schema Generator
+ * Exports a schema library to the files a platform reads
+ */
+
+const fs = require('fs');
+const { adapters } = require('./adapters');
+const { discoverAdapterPlugins, loadAdapterPlugin } = require('./adapters/plugins');
+const { getOption, getOptions, getPositionals } = require('./cli-options');
+const { loadConfig } = require('./config');
+const { GenerationRunner, MANIFEST_FILE } = require('./generation-runner');
+const { loadSchemaLibrary } = require('./resolver');
+
+/**
+ * CLI interface
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length < 2) {
+    console.log('Usage: node generate.js <platform> <schemas-directory> [options]');
+    console.log('');
+    console.log(`Platforms: ${Object.keys(adapters).join(', ')}`);
+    console.log('');
+    console.log('Options:');
+    console.log('  --out=<dir>        Project directory to write into (default: .)');
+    console.log('  --dry-run          Report the changes without writing them');
+    console.log('  --force            Overwrite and delete outputs that were edited by hand');
+    console.log('  --budget=<chars>   Maximum size of aggregated output (generic-ai)');
+    console.log('  --layout=<layout>  file (AGENTS.md) or directory (.ai/rules/) (generic-ai)');
+    console.log('  --plugin=<module>  Load an adapter plugin (repeatable)');
+    console.log('  --config=<path>    Use a specific configuration file');
+    console.log('');
+    console.log('Installed ai-context-adapter-* packages are loaded automatically.');
+    process.exit(1);
+  }
+
+  const config = loadConfig({ configFile: getOption(args, '--config') });
+  const [platform, schemasDir] = getPositionals(args, [
+    '--out',
+    '--config',
+    '--budget',
+    '--layout',
+    '--plugin'
+  ]);
+  const outDir = getOption(args, '--out') || '.';
+  const dryRun = args.includes('--dry-run');
+  const budget = getOption(args, '--budget');
+
+  if (budget !== undefined && !/^\d+$/.test(budget)) {
+    console.error(`Error: --budget must be a number of characters, got: ${budget}`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(schemasDir)) {
+    console.error(`Error: Directory not found: ${schemasDir}`);
+    process.exit(1);
+  }
+
+  const { schemas, errors } = loadSchemaLibrary(schemasDir, { config });
+  for (const error of errors) {
+    console.error(`⚠️  Skipped ${error.filePath}: ${error.message}`);
+  }
+
+  const plugins = [...discoverAdapterPlugins(), ...getOptions(args, '--plugin')].map((name) =>
+    loadAdapterPlugin(name)
+  );
+  const runner = new GenerationRunner(outDir, {
+    force: args.includes('--force'),
+    dryRun,
+    plugins
+  });
+  const report = await runner.run(
+    platform,
+    [...schemas.values()].map(({ schema }) => schema),
+    {
+      limits: config.limits,
+      budget: budget === undefined ? undefined : Number(budget),
+      layout: getOption(args, '--layout')
+    }
+  );
+
+  for (const truncation of report.truncations) {
+    console.error(`✂️  ${truncation.path}: ${truncation.message}`);
+  }
+
+  console.log(formatGenerationReport(report, outDir, dryRun));
+
+  if (report.conflicts.length > 0) {
+    console.error('\nRe-run with --force to overwrite files that were edited by hand.');
+    process.exit(1);
+  }
+}
+
+/**
+ * Format a generation report as human-readable text
+ * @param {object} report - Report from GenerationRunner.run
+ * @param {string} outDir - Project directory
+ * @param {boolean} dryRun - Whether nothing was written
+ * @returns {string} Formatted report
+ */
+function formatGenerationReport(report, outDir, dryRun) {
+  if (report.cached) {
+    return `${report.platform} files in ${outDir} are up to date (${MANIFEST_FILE})`;
+  }
+
+  const lines = [
+    `${dryRun ? 'Would generate' : 'Generated'} ${report.platform} files in ${outDir}: ` +
+      `${report.written.length} written, ${report.unchanged.length} unchanged, ` +
+      `${report.deleted.length} deleted`
+  ];
+  report.written.forEach((filePath) => lines.push(`  + ${filePath}`));
+  report.deleted.forEach((filePath) => lines.push(`  - ${filePath}`));
+  report.conflicts.forEach(({ path, message }) => lines.push(`  ! ${path}: ${message}`));
+
+  return lines.join('\n');
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Generation failed:', error.message);
+    process.exit(1);
+  });
+}
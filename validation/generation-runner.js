@@ -0,0 +1,223 @@
+/**
+ * AI Context Schema Generation Runner
+ * Runs platform adapters incrementally, tracking their outputs in a manifest
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createAdapter, resolveOutputPath } = require('./adapters');
+
+const MANIFEST_FILE = '.ai-context/manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Hash file or schema content
+ * @param {string} content - Content to hash
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Generation runner
+ *
+ * `.ai-context/manifest.json` records, per platform, the ID, version and hash
+ * of every source schema, a hash of the adapter options and the hash of every
+ * output file. A run with unchanged sources and intact outputs does not call
+ * the adapter at all. Otherwise only outputs whose content changed are
+ * written, and outputs of removed schemas are deleted. Files that differ from
+ * the recorded hash were edited by hand and are left alone unless `force` is
+ * set; the same holds for existing files the generator did not create, except
+ * outputs that adapters merge into (see `PlatformAdapter.isMergedOutput`).
+ * Merged outputs are never deleted, since they may hold entries of the
+ * project itself; they simply stop being tracked.
+ */
+class GenerationRunner {
+  /**
+   * Create a generation runner
+   * @param {string} outDir - Project directory to write into
+   * @param {object} [options] - Runner options
+   * @param {boolean} [options.force] - Overwrite and delete files edited by hand
+   * @param {boolean} [options.dryRun] - Report changes without touching files
+   * @param {object[]} [options.plugins] - Adapter plugins for platforms without a built-in adapter
+   */
+  constructor(outDir, options = {}) {
+    this.outDir = outDir;
+    this.force = options.force || false;
+    this.dryRun = options.dryRun || false;
+    this.plugins = options.plugins || [];
+  }
+
+  /**
+   * Load the manifest of the project
+   * @returns {object} Manifest, empty when the project has none
+   */
+  loadManifest() {
+    const manifestPath = path.join(this.outDir, MANIFEST_FILE);
+
+    if (!fs.existsSync(manifestPath)) {
+      return { version: MANIFEST_VERSION, platforms: {} };
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  }
+
+  /**
+   * Write the manifest of the project
+   * @param {object} manifest - Manifest to write
+   */
+  saveManifest(manifest) {
+    const manifestPath = path.join(this.outDir, MANIFEST_FILE);
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+  }
+
+  /**
+   * Hash an output file as it is on disk
+   * @param {string} relativePath - Path relative to the project root
+   * @returns {string|null} Hash, or null when the file does not exist
+   */
+  hashFile(relativePath) {
+    const filePath = resolveOutputPath(this.outDir, relativePath);
+    return fs.existsSync(filePath) ? hashContent(fs.readFileSync(filePath, 'utf8')) : null;
+  }
+
+  /**
+   * Check whether a previous run is still up to date
+   * @param {object} previous - Manifest entry of the platform
+   * @param {object} sources - Current source records keyed by schema ID
+   * @param {string} optionsHash - Hash of the current adapter options
+   * @returns {boolean} True when sources, options and outputs are unchanged
+   */
+  isUpToDate(previous, sources, optionsHash) {
+    return (
+      previous.optionsHash === optionsHash &&
+      JSON.stringify(previous.sources) === JSON.stringify(sources) &&
+      Object.entries(previous.outputs).every(([file, hash]) => this.hashFile(file) === hash)
+    );
+  }
+
+  /**
+   * Generate the files of a platform and bring the project up to date
+   * @param {string} platform - Platform name
+   * @param {object[]} schemas - Parsed schema objects
+   * @param {object} [adapterOptions] - Adapter options such as `limits` or `budget`
+   * @returns {Promise<object>} Report with `written`, `unchanged`, `deleted` and
+   *   `conflicts` paths, adapter `truncations` and whether the run was `cached`
+   * @throws {Error} When an output path resolves outside the project
+   */
+  async run(platform, schemas, adapterOptions = {}) {
+    const manifest = this.loadManifest();
+    const previous = manifest.platforms[platform] || { sources: {}, outputs: {} };
+    const sources = Object.fromEntries(
+      [...schemas]
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .map((schema) => [
+          schema.id,
+          { version: schema.version, hash: hashContent(JSON.stringify(schema)) }
+        ])
+    );
+    const optionsHash = hashContent(JSON.stringify(adapterOptions));
+    const report = {
+      platform,
+      cached: false,
+      written: [],
+      unchanged: [],
+      deleted: [],
+      conflicts: [],
+      truncations: []
+    };
+
+    if (this.isUpToDate(previous, sources, optionsHash)) {
+      return { ...report, cached: true, unchanged: Object.keys(previous.outputs) };
+    }
+
+    const adapter = createAdapter(platform, {
+      ...adapterOptions,
+      plugins: this.plugins,
+      projectDir: this.outDir
+    });
+    const files = await adapter.generate(schemas);
+    const outputs = {};
+    // Reject paths outside the project before touching any file
+    Object.keys(files).forEach((file) => resolveOutputPath(this.outDir, file));
+    report.truncations = adapter.truncations || [];
+
+    for (const [file, content] of Object.entries(files)) {
+      const hash = hashContent(content);
+      const current = this.hashFile(file);
+      const recorded = previous.outputs[file];
+
+      if (current === hash) {
+        report.unchanged.push(file);
+        outputs[file] = hash;
+      } else if (current && current !== recorded && !this.force && !adapter.isMergedOutput(file)) {
+        report.conflicts.push({
+          path: file,
+          message: recorded ? 'Edited by hand' : 'Not created by the generator'
+        });
+        if (recorded) {
+          outputs[file] = recorded;
+        }
+      } else {
+        this.writeFile(file, content);
+        report.written.push(file);
+        outputs[file] = hash;
+      }
+    }
+
+    for (const [file, recorded] of Object.entries(previous.outputs)) {
+      const current = file in files ? null : this.hashFile(file);
+
+      // Merged outputs also hold the project's own entries, so they are left in place
+      if (current && adapter.isMergedOutput(file)) {
+        continue;
+      }
+      if (current && current !== recorded && !this.force) {
+        report.conflicts.push({ path: file, message: 'Edited by hand, not deleted' });
+        outputs[file] = recorded;
+      } else if (current) {
+        this.deleteFile(file);
+        report.deleted.push(file);
+      }
+    }
+
+    // Leave sources unrecorded after conflicts so the next run checks them again
+    manifest.platforms[platform] = {
+      optionsHash,
+      sources: report.conflicts.length > 0 ? {} : sources,
+      outputs
+    };
+    if (!this.dryRun) {
+      this.saveManifest(manifest);
+    }
+
+    return report;
+  }
+
+  /**
+   * Write an output file unless this is a dry run
+   * @param {string} relativePath - Path relative to the project root
+   * @param {string} content - File content
+   */
+  writeFile(relativePath, content) {
+    if (!this.dryRun) {
+      const filePath = resolveOutputPath(this.outDir, relativePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content, 'utf8');
+    }
+  }
+
+  /**
+   * Delete an output file unless this is a dry run
+   * @param {string} relativePath - Path relative to the project root
+   */
+  deleteFile(relativePath) {
+    if (!this.dryRun) {
+      fs.rmSync(resolveOutputPath(this.outDir, relativePath));
+    }
+  }
+}
+
+module.exports = { GenerationRunner, hashContent, MANIFEST_FILE };
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { GenerationRunner, hashContent, MANIFEST_FILE } = require('./generation-runner');
+
+describe('GenerationRunner', () => {
+  const REACT_RULE = '.cursor/rules/react.mdc';
+  const TESTING_RULE = '.cursor/rules/testing.mdc';
+  let outDir;
+
+  const schemaFor = (id, content = `# ${id}\n\nRules.`) =>
+    global.createTestSchema({
+      id,
+      version: '1.2.0',
+      platforms: { cursor: { compatible: true, activation: 'always' } },
+      _content: content
+    });
+  const readOutput = (file) => fs.readFileSync(path.join(outDir, file), 'utf8');
+
+  beforeEach(() => {
+    outDir = global.createTempDir();
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(outDir);
+  });
+
+  test('should write outputs and record them in the manifest', async () => {
+    const report = await new GenerationRunner(outDir).run('cursor', [schemaFor('react')]);
+    const manifest = JSON.parse(readOutput(MANIFEST_FILE));
+
+    expect(report.written).toEqual([REACT_RULE]);
+    expect(manifest.platforms.cursor.sources.react).toEqual({
+      version: '1.2.0',
+      hash: expect.stringMatching(/^[0-9a-f]{64}$/)
+    });
+    expect(manifest.platforms.cursor.outputs).toEqual({
+      [REACT_RULE]: hashContent(readOutput(REACT_RULE))
+    });
+  });
+
+  test('should skip unchanged inputs and rewrite only changed outputs', async () => {
+    const runner = new GenerationRunner(outDir);
+    await runner.run('cursor', [schemaFor('react'), schemaFor('testing')]);
+
+    const cached = await runner.run('cursor', [schemaFor('react'), schemaFor('testing')]);
+    expect(cached).toMatchObject({ cached: true, written: [] });
+
+    const updated = await runner.run('cursor', [
+      schemaFor('react', '# react\n\nNew rules.'),
+      schemaFor('testing')
+    ]);
+    expect(updated).toMatchObject({
+      cached: false,
+      written: [REACT_RULE],
+      unchanged: [TESTING_RULE]
+    });
+    expect(readOutput(REACT_RULE)).toContain('New rules.');
+  });
+
+  test('should delete outputs of removed schemas', async () => {
+    const runner = new GenerationRunner(outDir);
+    await runner.run('cursor', [schemaFor('react'), schemaFor('testing')]);
+
+    const report = await runner.run('cursor', [schemaFor('react')]);
+
+    expect(report.deleted).toEqual([TESTING_RULE]);
+    expect(fs.existsSync(path.join(outDir, TESTING_RULE))).toBe(false);
+    expect(Object.keys(runner.loadManifest().platforms.cursor.outputs)).toEqual([REACT_RULE]);
+  });
+
+  test('should refuse to overwrite or delete files edited by hand', async () => {
+    await new GenerationRunner(outDir).run('cursor', [schemaFor('react'), schemaFor('testing')]);
+    const tweak = 'Local tweak.';
+    fs.appendFileSync(path.join(outDir, REACT_RULE), tweak);
+    fs.appendFileSync(path.join(outDir, TESTING_RULE), tweak);
+
+    const changed = [schemaFor('react', '# react\n\nNew rules.')];
+    const report = await new GenerationRunner(outDir).run('cursor', changed);
+
+    expect(report.conflicts).toEqual([
+      { path: REACT_RULE, message: 'Edited by hand' },
+      { path: TESTING_RULE, message: 'Edited by hand, not deleted' }
+    ]);
+    expect(readOutput(REACT_RULE)).toContain(tweak);
+
+    const forced = await new GenerationRunner(outDir, { force: true }).run('cursor', changed);
+
+    expect(forced).toMatchObject({ written: [REACT_RULE], deleted: [TESTING_RULE], conflicts: [] });
+    expect(readOutput(REACT_RULE)).not.toContain(tweak);
+  });
+
+  test('should not overwrite files it did not create', async () => {
+    global.createTestFile(outDir, 'CLAUDE.md', '# Team notes\n');
+
+    const report = await new GenerationRunner(outDir).run('claude-code', [
+      global.createTestSchema({
+        id: 'react',
+        platforms: { 'claude-code': { compatible: true, memory: true } }
+      })
+    ]);
+
+    expect(report.conflicts).toEqual([
+      { path: 'CLAUDE.md', message: 'Not created by the generator' }
+    ]);
+    expect(readOutput('CLAUDE.md')).toBe('# Team notes\n');
+  });
+
+  test('should merge into existing files that adapters merge with', async () => {
+    fs.mkdirSync(path.join(outDir, '.vscode'));
+    global.createTestFile(
+      path.join(outDir, '.vscode'),
+      'extensions.json',
+      '{ "recommendations": ["esbenp.prettier-vscode"] }'
+    );
+
+    const report = await new GenerationRunner(outDir).run('vscode', [
+      global.createTestSchema({
+        id: 'lint',
+        platforms: { vscode: { compatible: true, extension: 'dbaeumer.vscode-eslint' } }
+      })
+    ]);
+
+    expect(report.conflicts).toEqual([]);
+    expect(JSON.parse(readOutput('.vscode/extensions.json')).recommendations).toEqual([
+      'esbenp.prettier-vscode',
+      'dbaeumer.vscode-eslint'
+    ]);
+  });
+
+  test('should keep merged files when their schemas are removed', async () => {
+    fs.mkdirSync(path.join(outDir, '.vscode'));
+    global.createTestFile(
+      path.join(outDir, '.vscode'),
+      'extensions.json',
+      '{ "recommendations": ["esbenp.prettier-vscode"] }'
+    );
+    const lint = global.createTestSchema({
+      id: 'lint',
+      platforms: { vscode: { compatible: true, extension: 'dbaeumer.vscode-eslint' } }
+    });
+    const runner = new GenerationRunner(outDir);
+    await runner.run('vscode', [lint]);
+
+    const report = await runner.run('vscode', [
+      { ...lint, platforms: { vscode: { compatible: true } } }
+    ]);
+
+    expect(report.deleted).toEqual([]);
+    expect(JSON.parse(readOutput('.vscode/extensions.json')).recommendations).toContain(
+      'esbenp.prettier-vscode'
+    );
+    expect(runner.loadManifest().platforms.vscode.outputs).not.toHaveProperty([
+      '.vscode/extensions.json'
+    ]);
+  });
+
+  test('should refuse outputs outside the project', async () => {
+    const escaping = global.createTestSchema({
+      id: 'lint',
+      platforms: { vscode: { compatible: true, configPath: '../../x' } }
+    });
+
+    await expect(new GenerationRunner(outDir).run('vscode', [escaping])).rejects.toThrow(
+      'Output path resolves outside'
+    );
+    expect(fs.readdirSync(outDir)).toEqual([]);
+  });
+
+  test('should leave files and manifest untouched in a dry run', async () => {
+    const report = await new GenerationRunner(outDir, { dryRun: true }).run('cursor', [
+      schemaFor('react')
+    ]);
+
+    expect(report.written).toEqual([REACT_RULE]);
+    expect(fs.readdirSync(outDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+
+/**
+ * AI Context Schema Importer
+ * Reads platform rule files of a project back into context schema files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { stringify } = require('yaml');
+const { adapters, createAdapter } = require('./adapters');
+const { getOption, getPositionals } = require('./cli-options');
+const { loadConfig } = require('./config');
+const { SchemaValidator } = require('./schema-validator');
+
+// Directories never holding platform rules
+const SKIPPED_DIRS = ['.git', 'node_modules'];
+
+// Schema fields an adapter may have guessed, taken from a duplicate that did not
+const METADATA_FIELDS = ['title', 'description', 'category'];
+
+/**
+ * Read the files of a project selected by a predicate
+ * @param {string} projectDir - Project directory
+ * @param {Function} matches - Tells whether a path relative to the project root is wanted
+ * @returns {object} File contents keyed by path relative to the project root
+ */
+function readProjectFiles(projectDir, matches) {
+  const files = {};
+
+  const scan = (dir) => {
+    for (const entry of fs.readdirSync(path.join(projectDir, dir), { withFileTypes: true })) {
+      const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory() && !SKIPPED_DIRS.includes(entry.name)) {
+        scan(relativePath);
+      } else if (entry.isFile() && matches(relativePath)) {
+        files[relativePath] = fs.readFileSync(path.join(projectDir, relativePath), 'utf8');
+      }
+    }
+  };
+
+  scan('');
+  return files;
+}
+
+/**
+ * Reduce schema content to its wording, so the same guidance read from
+ * different platform files compares equal
+ * @param {string} content - Markdown content
+ * @returns {string} Lowercase text without comments, title or heading markers
+ */
+function normalizeGuidance(content) {
+  return (content || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .trim()
+    .replace(/^#\s.*\n?/, '')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Split schema content into its guidance blocks, one per heading of any level
+ * @param {string} content - Markdown content
+ * @returns {Set<string>} Normalized blocks, without the title
+ */
+function getGuidanceBlocks(content) {
+  const blocks = (content || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .split(/^(?=#{1,6}\s)/m)
+    .map(normalizeGuidance);
+  return new Set(blocks.filter(Boolean));
+}
+
+/**
+ * Tell whether two imported schemas hold the same guidance
+ *
+ * Equal wording always matches. Otherwise the schemas must share their ID or
+ * title, and one must be a prefix of the other (cut to a size limit) or hold
+ * at least half of the other's blocks (sections regrouped or dropped).
+ * @param {object} a - Imported schema
+ * @param {object} b - Imported schema
+ * @returns {boolean} Whether `b` duplicates `a`
+ */
+function isSameGuidance(a, b) {
+  const [shorter, longer] = [a, b].sort(
+    (x, y) => normalizeGuidance(x._content).length - normalizeGuidance(y._content).length
+  );
+  const shorterText = normalizeGuidance(shorter._content);
+  const longerText = normalizeGuidance(longer._content);
+
+  if (shorterText === longerText) {
+    return true;
+  }
+  const sameTitle = (a.title || '').toLowerCase() === (b.title || '').toLowerCase();
+  if ((a.id !== b.id && !sameTitle) || !shorterText) {
+    return false;
+  }
+
+  const longerBlocks = getGuidanceBlocks(longer._content);
+  const shorterBlocks = [...getGuidanceBlocks(shorter._content)];
+  const shared = shorterBlocks.filter((block) => longerBlocks.has(block)).length;
+  return longerText.startsWith(shorterText) || shared * 2 >= shorterBlocks.length;
+}
+
+/**
+ * Merge schemas imported from several sources that hold the same guidance
+ *
+ * Schemas match as described in `isSameGuidance`. The first schema is kept,
+ * takes the longest content of its duplicates and gains their platform
+ * configurations. A title, description or category the kept schema's
+ * adapter had to guess is replaced by a duplicate's value that was not
+ * guessed; the duplicate's other review notes move to the kept schema.
+ * @param {object[]} schemas - Imported schemas, with their `_source`
+ * @param {object[]} reviews - Review notes of the schemas
+ * @returns {object} Remaining `schemas` and `reviews`, and the `merged`
+ *   duplicates with the `id` they were merged into and their source `path`
+ */
+function mergeImportedSchemas(schemas, reviews) {
+  const kept = [];
+  const dropped = new Set();
+  const merged = [];
+  const reviewsOf = (schema) =>
+    reviews.filter((review) => review.id === schema.id && review.path === schema._source);
+
+  for (const schema of schemas) {
+    const target = kept.find((candidate) => isSameGuidance(candidate, schema));
+
+    if (!target) {
+      kept.push(schema);
+      continue;
+    }
+
+    if (normalizeGuidance(schema._content).length > normalizeGuidance(target._content).length) {
+      target._content = schema._content;
+    }
+    const targetReviews = reviewsOf(target);
+    const duplicateReviews = reviewsOf(schema);
+    for (const field of METADATA_FIELDS) {
+      const guessed = targetReviews.filter((review) => review.field === field);
+      if (guessed.length > 0 && !duplicateReviews.some((review) => review.field === field)) {
+        target[field] = schema[field];
+        guessed.forEach((review) => dropped.add(review));
+      }
+    }
+    for (const review of duplicateReviews) {
+      if (METADATA_FIELDS.includes(review.field)) {
+        dropped.add(review);
+      } else {
+        review.id = target.id;
+      }
+    }
+
+    for (const [platform, config] of Object.entries(schema.platforms)) {
+      const current = target.platforms[platform] || {};
+      const combined = { ...config, ...current };
+      combined.compatible = Boolean(current.compatible || config.compatible);
+      target.platforms[platform] = combined;
+    }
+    merged.push({ id: target.id, path: schema._source });
+  }
+
+  return {
+    schemas: kept,
+    reviews: reviews.filter((review) => !dropped.has(review)),
+    merged
+  };
+}
+
+/**
+ * Import the rule files of a project as context schemas
+ *
+ * Schemas holding the same guidance are merged (see `mergeImportedSchemas`).
+ * Schemas that still end up with the same ID get a numeric suffix, which is
+ * listed for review with the values the adapters had to guess.
+ * @param {string} projectDir - Project directory
+ * @param {string[]} platforms - Platforms to import
+ * @returns {Promise<object>} Imported `schemas`, `reviews` of guessed values
+ *   and `merged` duplicates
+ */
+async function importProject(projectDir, platforms) {
+  const platformAdapters = platforms.map((platform) => createAdapter(platform, { projectDir }));
+  const files = readProjectFiles(projectDir, (filePath) =>
+    platformAdapters.some((adapter) => adapter.selectImportFiles({ [filePath]: '' }).length > 0)
+  );
+  const imported = [];
+  const notes = [];
+
+  for (const adapter of platformAdapters) {
+    imported.push(...(await adapter.parse(files)));
+    notes.push(...(adapter.reviews || []));
+  }
+
+  const { schemas, reviews, merged } = mergeImportedSchemas(imported, notes);
+  const seen = new Set();
+  for (const schema of schemas) {
+    const id = schema.id;
+    for (let suffix = 2; seen.has(schema.id); suffix++) {
+      schema.id = `${id}-${suffix}`;
+    }
+    if (schema.id !== id) {
+      reviews.push({ id: schema.id, path: null, field: 'id', message: `Renamed from "${id}"` });
+    }
+    seen.add(schema.id);
+  }
+
+  return { schemas, reviews, merged };
+}
+
+/**
+ * Serialize a schema as a context schema file
+ * @param {object} schema - Parsed schema object
+ * @returns {string} YAML frontmatter followed by the markdown content
+ */
+function serializeSchema(schema) {
+  const frontmatter = Object.fromEntries(
+    Object.entries(schema).filter(([key]) => !key.startsWith('_'))
+  );
+
+  return `---\n${stringify(frontmatter, { lineWidth: 0 })}---\n\n${schema._content || ''}\n`;
+}
+
+/**
+ * Validate imported schemas and write them as `<id>.yaml` files
+ * @param {object[]} schemas - Imported schemas
+ * @param {string} outDir - Directory to write the schema files into
+ * @param {object} [options] - Write options
+ * @param {boolean} [options.force] - Overwrite existing schema files
+ * @param {boolean} [options.dryRun] - Report the files without writing them
+ * @param {object} [options.config] - Resolved project configuration
+ * @returns {object} `written`, `skipped` (existing) and `invalid` files with their errors
+ */
+function writeImportedSchemas(schemas, outDir, options = {}) {
+  const validator = new SchemaValidator({ config: options.config || loadConfig() });
+  const result = { written: [], skipped: [], invalid: [] };
+
+  for (const schema of schemas) {
+    const filePath = path.join(outDir, `${schema.id}.yaml`);
+    const content = serializeSchema(schema);
+    const validation = validator.validateSchema(validator.parseSchema(content), filePath);
+
+    if (!validation.valid) {
+      result.invalid.push({ filePath, errors: validation.errors });
+    } else if (fs.existsSync(filePath) && !options.force) {
+      result.skipped.push(filePath);
+    } else {
+      if (!options.dryRun) {
+        fs.mkdirSync(outDir, { recursive: true });
+        fs.writeFileSync(filePath, content, 'utf8');
+      }
+      result.written.push(filePath);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Format an import as human-readable text
+ * @param {object} result - Result of writeImportedSchemas
+ * @param {object[]} reviews - Values that need a human decision
+ * @param {boolean} dryRun - Whether nothing was written
+ * @param {object[]} [merged] - Duplicates merged into other schemas
+ * @returns {string} Formatted import report
+ */
+function formatImportReport(result, reviews, dryRun, merged = []) {
+  const lines = [
+    `${dryRun ? 'Would import' : 'Imported'} ${result.written.length} schemas, ` +
+      `${result.skipped.length} existing, ${result.invalid.length} invalid`
+  ];
+  result.written.forEach((filePath) => lines.push(`  + ${filePath}`));
+  result.skipped.forEach((filePath) => lines.push(`  = ${filePath} (exists, use --force)`));
+  for (const { filePath, errors } of result.invalid) {
+    lines.push(`  ! ${filePath}: ${errors.map((error) => error.message).join('; ')}`);
+  }
+
+  if (merged.length > 0) {
+    lines.push('\nMerged duplicates:');
+    merged.forEach(({ id, path: source }) => lines.push(`  ~ ${source} into ${id}`));
+  }
+
+  if (reviews.length > 0) {
+    lines.push('\nNeeds review:');
+    for (const review of reviews) {
+      const source = review.path ? ` (${review.path})` : '';
+      lines.push(`  ⚠️  ${review.id} ${review.field}${source}: ${review.message}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * CLI interface
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const importers = Object.keys(adapters).filter(
+    (platform) => createAdapter(platform).getImportPatterns().length > 0
+  );
+
+  if (args.length < 2) {
+    console.log('Usage: node import.js <platform[,platform...]> <project-dir> [options]');
+    console.log('');
+    console.log(`Platforms: ${importers.join(', ')}`);
+    console.log('');
+    console.log('Options:');
+    console.log('  --out=<dir>        Directory to write schema files into (default: schemas)');
+    console.log('  --dry-run          Report the schemas without writing them');
+    console.log('  --force            Overwrite existing schema files');
+    console.log('  --config=<path>    Use a specific configuration file');
+    process.exit(1);
+  }
+
+  const config = loadConfig({ configFile: getOption(args, '--config') });
+  const [platformList, projectDir] = getPositionals(args, ['--out', '--config']);
+  const platforms = platformList.split(',');
+  const dryRun = args.includes('--dry-run');
+
+  const unsupported = platforms.filter((platform) => !importers.includes(platform));
+  if (unsupported.length > 0) {
+    console.error(
+      `Error: Cannot import ${unsupported.join(', ')} (expected ${importers.join(', ')})`
+    );
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(projectDir)) {
+    console.error(`Error: Directory not found: ${projectDir}`);
+    process.exit(1);
+  }
+
+  const { schemas, reviews, merged } = await importProject(projectDir, platforms);
+  const result = writeImportedSchemas(schemas, getOption(args, '--out') || 'schemas', {
+    force: args.includes('--force'),
+    dryRun,
+    config
+  });
+
+  console.log(formatImportReport(result, reviews, dryRun, merged));
+  process.exit(result.invalid.length > 0 ? 1 : 0);
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Import failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  importProject,
+  mergeImportedSchemas,
+  readProjectFiles,
+  serializeSchema,
+  writeImportedSchemas
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { generatePlatformFiles, writeGeneratedFiles } = require('./adapters');
+const { importProject, writeImportedSchemas } = require('./import');
+const { SchemaValidator } = require('./schema-validator');
+
+describe('import', () => {
+  const REACT_SCHEMA = 'react.yaml';
+  let projectDir;
+  let outDir;
+
+  const addRule = (name, content) => {
+    const filePath = path.join(projectDir, '.cursor/rules', name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  beforeEach(() => {
+    projectDir = global.createTempDir();
+    outDir = path.join(projectDir, 'schemas');
+    addRule(
+      'react.mdc',
+      '---\ndescription: Use when writing React components\nglobs: \nalwaysApply: false\n---\n\n# React\n\nHooks only.\n'
+    );
+    addRule(
+      'typescript.mdc',
+      '---\nglobs: **/*.ts\n---\n\nPrefer `unknown` to `any` everywhere.\n'
+    );
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(projectDir);
+  });
+
+  test('should write imported rules as schema files that pass validation', async () => {
+    const { schemas, reviews } = await importProject(projectDir, ['cursor']);
+    const result = writeImportedSchemas(schemas, outDir);
+    const validator = new SchemaValidator();
+
+    expect(result.written.map((filePath) => path.basename(filePath))).toEqual([
+      REACT_SCHEMA,
+      'typescript.yaml'
+    ]);
+    for (const filePath of result.written) {
+      expect((await validator.validateFile(filePath)).valid).toBe(true);
+    }
+    expect(fs.readFileSync(path.join(outDir, 'typescript.yaml'), 'utf8')).toContain(
+      'category: language\nplatforms:\n  cursor:\n    compatible: true\n    activation: auto-attached\n'
+    );
+    expect(reviews.map(({ id, field }) => `${id} ${field}`)).toEqual([
+      'typescript title',
+      'typescript description'
+    ]);
+  });
+
+  test('should keep existing schema files unless forced', async () => {
+    const { schemas } = await importProject(projectDir, ['cursor']);
+    fs.mkdirSync(outDir);
+    global.createTestFile(outDir, REACT_SCHEMA, 'kept');
+
+    const dryRun = writeImportedSchemas(schemas, outDir, { dryRun: true, force: true });
+    const result = writeImportedSchemas(schemas, outDir);
+
+    expect(dryRun.written).toHaveLength(2);
+    expect(result.skipped).toEqual([path.join(outDir, REACT_SCHEMA)]);
+    expect(fs.readFileSync(path.join(outDir, REACT_SCHEMA), 'utf8')).toBe('kept');
+  });
+
+  test('should rename schemas that end up with the same ID', async () => {
+    addRule('_react.mdc', '---\nalwaysApply: true\n---\n\n# React\n\nMore hooks.\n');
+
+    const { schemas, reviews } = await importProject(projectDir, ['cursor']);
+
+    expect(schemas.map((schema) => schema.id)).toEqual(['react', 'react-2', 'typescript']);
+    expect(reviews).toContainEqual({
+      id: 'react-2',
+      path: null,
+      field: 'id',
+      message: 'Renamed from "react"'
+    });
+  });
+
+  test('should merge the same guidance from several platforms into one schema', async () => {
+    const addFile = (name, content) => {
+      fs.mkdirSync(path.dirname(path.join(projectDir, name)), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, name), content);
+    };
+    addFile(
+      '.windsurf/rules/react.md',
+      '<react-context>\n# React\n\nHooks only.\n</react-context>\n'
+    );
+    addFile(
+      '.github/instructions/types.instructions.md',
+      '---\napplyTo: "**/*.ts"\n---\n\n# TypeScript\n\nPrefer `unknown` to `any` everywhere.\n'
+    );
+
+    const { schemas, reviews, merged } = await importProject(projectDir, [
+      'cursor',
+      'windsurf',
+      'github-copilot'
+    ]);
+
+    expect(schemas.map(({ id, title }) => [id, title])).toEqual([
+      ['react', 'React'],
+      ['typescript', 'TypeScript']
+    ]);
+    expect(schemas[0].platforms).toEqual({
+      cursor: { compatible: true, activation: 'agent-requested' },
+      windsurf: { compatible: true, mode: 'workspace', xmlTag: 'react-context' }
+    });
+    expect(schemas[1].platforms['github-copilot']).toEqual({ compatible: true });
+    expect(merged).toEqual([
+      { id: 'react', path: '.windsurf/rules/react.md' },
+      { id: 'typescript', path: '.github/instructions/types.instructions.md' }
+    ]);
+    expect(reviews.map(({ id, field }) => `${id} ${field}`)).toEqual(['typescript description']);
+  });
+
+  test('should merge one schema exported to every importable format', async () => {
+    const platforms = ['claude-code', 'github-copilot', 'cursor', 'generic-ai', 'windsurf'];
+    const section = (heading) => `## ${heading}\n\n${`${heading} guidance. `.repeat(20).trim()}`;
+    const schema = global.createTestSchema({
+      id: 'react-patterns',
+      title: 'React Patterns',
+      description: 'Component patterns for React',
+      category: 'technology',
+      platforms: Object.fromEntries(platforms.map((platform) => [platform, { compatible: true }])),
+      _content: [
+        '# React Patterns',
+        ...['Components', 'Hooks', 'State', 'Testing'].map(section)
+      ].join('\n\n')
+    });
+    schema.platforms['claude-code'].memory = true;
+    schema.platforms.windsurf.characterLimit = 1200;
+    fs.rmSync(path.join(projectDir, '.cursor'), { recursive: true });
+    for (const platform of platforms) {
+      writeGeneratedFiles(await generatePlatformFiles(platform, [schema]), projectDir);
+    }
+
+    const { schemas, merged } = await importProject(projectDir, platforms);
+
+    expect(
+      fs.readFileSync(path.join(projectDir, '.windsurf/rules/react-patterns.md'), 'utf8')
+    ).not.toContain('## Testing');
+    expect(schemas).toHaveLength(1);
+    expect(schemas[0]._content).toContain('## Testing');
+    expect(Object.keys(schemas[0].platforms)).toEqual(expect.arrayContaining(platforms));
+    expect(merged).toHaveLength(4);
+  });
+});
@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+
+/**
+ * AI Context Schema Migrator
+ * Upgrades context files between spec versions with ordered, declarative transforms
+ */
+
+const fs = require('fs');
+const semver = require('semver');
+const { isMap, isScalar, isSeq, Scalar } = require('yaml');
+const { getOption, getPositionals } = require('./cli-options');
+const { findSchemaFiles, loadConfig } = require('./config');
+const { createFixDiff, editFrontmatter } = require('./fixer');
+const { SchemaValidator } = require('./schema-validator');
+const { getDeclaredSpecVersion, listSpecVersions } = require('./spec-versions');
+
+/**
+ * Migrations between consecutive spec versions, oldest first
+ *
+ * 2.1.0 is the first published spec, so there is nothing to migrate yet. A
+ * release that changes the format adds an entry here along with its
+ * `schemas/v<version>` folder, as a hypothetical 2.2.0 would:
+ *
+ *   {
+ *     from: '2.1.0',
+ *     to: '2.2.0',
+ *     transforms: [
+ *       { op: 'rename', path: 'platforms.windsurf.characterLimit', to: 'charLimit' },
+ *       { op: 'mapValues', path: 'platforms.cursor.activation', values: { manual: 'on-demand' } }
+ *     ]
+ *   }
+ *
+ * Each transform is one of:
+ * - `{ op: 'rename', path, to }` renames the key at `path` in place
+ * - `{ op: 'move', path, to }` moves the value at `path` to the `to` path
+ * - `{ op: 'flatten', path }` hoists the keys of the map at `path` into its parent
+ * - `{ op: 'mapValues', path, values }` replaces scalar values (or sequence items)
+ * Paths are dot-separated. Transforms whose source is absent are skipped. A
+ * transform that would overwrite an existing key leaves the source in place
+ * and reports a conflict instead.
+ */
+const MIGRATIONS = [];
+
+/**
+ * Split a dot-separated transform path
+ * @param {string} keyPath - Dot-separated path
+ * @returns {string[]} Path segments
+ */
+function splitKeyPath(keyPath) {
+  return keyPath.split('.');
+}
+
+/**
+ * Get the map node holding a key, or the document root for top-level keys
+ * @param {object} doc - YAML document
+ * @param {string[]} segments - Path segments of the key
+ * @returns {object|null} Parent map node
+ */
+function getParentMap(doc, segments) {
+  const parent = segments.length === 1 ? doc.contents : doc.getIn(segments.slice(0, -1), true);
+  return isMap(parent) ? parent : null;
+}
+
+/**
+ * Find the index of a key in a map node
+ * @param {object} map - YAML map node
+ * @param {string} key - Key to find
+ * @returns {number} Pair index, or -1
+ */
+function findPairIndex(map, key) {
+  return map.items.findIndex((pair) => (isScalar(pair.key) ? pair.key.value : pair.key) === key);
+}
+
+const operations = {
+  rename(doc, { path: keyPath, to }, conflicts) {
+    const segments = splitKeyPath(keyPath);
+    const parent = getParentMap(doc, segments);
+    const index = parent ? findPairIndex(parent, segments[segments.length - 1]) : -1;
+    const targetPath = [...segments.slice(0, -1), to].join('.');
+
+    if (index === -1) {
+      return [];
+    }
+    if (parent.has(to)) {
+      conflicts.push(`Kept ${keyPath} because ${targetPath} already exists`);
+      return [];
+    }
+
+    parent.items[index].key = new Scalar(to);
+    return [`Renamed ${keyPath} to ${targetPath}`];
+  },
+
+  move(doc, { path: keyPath, to }, conflicts) {
+    const from = splitKeyPath(keyPath);
+    const target = splitKeyPath(to);
+
+    if (!doc.hasIn(from)) {
+      return [];
+    }
+    if (doc.hasIn(target)) {
+      conflicts.push(`Kept ${keyPath} because ${to} already exists`);
+      return [];
+    }
+
+    const value = doc.getIn(from, true);
+    doc.deleteIn(from);
+    doc.setIn(target, value);
+    return [`Moved ${keyPath} to ${to}`];
+  },
+
+  flatten(doc, { path: keyPath }, conflicts) {
+    const segments = splitKeyPath(keyPath);
+    const parentPath = segments.slice(0, -1).join('.');
+    const parent = getParentMap(doc, segments);
+    const index = parent ? findPairIndex(parent, segments[segments.length - 1]) : -1;
+    const block = index === -1 ? null : parent.items[index].value;
+
+    if (!isMap(block)) {
+      return [];
+    }
+
+    // Keys the parent already has stay in the block, so no value is lost
+    const hoisted = block.items.filter((pair) => !parent.has(pair.key));
+    const kept = block.items.filter((pair) => parent.has(pair.key));
+    for (const pair of kept) {
+      const key = isScalar(pair.key) ? pair.key.value : pair.key;
+      conflicts.push(`Kept ${keyPath}.${key} because ${parentPath}.${key} already exists`);
+    }
+
+    block.items = kept;
+    parent.items.splice(index, kept.length > 0 ? 0 : 1, ...hoisted);
+    return hoisted.length > 0 ? [`Moved the keys of ${keyPath} into ${parentPath}`] : [];
+  },
+
+  mapValues(doc, { path: keyPath, values }) {
+    const node = doc.getIn(splitKeyPath(keyPath), true);
+    const scalars = isSeq(node) ? node.items.filter(isScalar) : [node].filter(isScalar);
+    const changes = [];
+
+    for (const scalar of scalars) {
+      if (Object.prototype.hasOwnProperty.call(values, scalar.value)) {
+        changes.push(`Changed ${keyPath} from ${scalar.value} to ${values[scalar.value]}`);
+        scalar.value = values[scalar.value];
+      }
+    }
+
+    return changes;
+  }
+};
+
+/**
+ * Apply one transform to a YAML document
+ * @param {object} doc - YAML document
+ * @param {object} transform - Transform definition
+ * @param {string[]} conflicts - Receives the values left in place to keep existing keys
+ * @returns {string[]} Descriptions of the changes made
+ */
+function applyTransform(doc, transform, conflicts) {
+  const operation = operations[transform.op];
+
+  if (!operation) {
+    throw new Error(`Unknown migration operation: ${transform.op}`);
+  }
+
+  return operation(doc, transform, conflicts);
+}
+
+/**
+ * Select the migrations that upgrade a file from one spec version to another
+ *
+ * The chain starts at a migration from exactly `from` and follows each
+ * migration's `to` until it reaches the target. When no migration touches
+ * the range at all, the two versions share a format and nothing applies.
+ * @param {string} from - Spec version the file targets
+ * @param {string} to - Spec version to migrate to
+ * @param {Array} [migrations] - Available migrations
+ * @returns {Array} Migrations in the order they apply
+ * @throws {Error} When the migrations do not form a path from `from` to `to`
+ */
+function planMigration(from, to, migrations = MIGRATIONS) {
+  if (semver.lt(to, from)) {
+    throw new Error(`Cannot migrate from ${from} down to ${to}`);
+  }
+
+  const inRange = migrations.filter(
+    (migration) => semver.gt(migration.to, from) && semver.lt(migration.from, to)
+  );
+  const steps = [];
+  let version = from;
+
+  while (inRange.length > 0 && semver.lt(version, to)) {
+    const step = inRange.find((migration) => semver.eq(migration.from, version));
+    if (!step || semver.gt(step.to, to)) {
+      throw new Error(`No migration path from ${from} to ${to}: no migration from ${version}`);
+    }
+    steps.push(step);
+    version = step.to;
+  }
+
+  return steps;
+}
+
+/**
+ * Point a `specVersion` or `$schema` declaration at the target version
+ * @param {object} doc - YAML document
+ * @param {object|null} declared - Declaration from getDeclaredSpecVersion
+ * @param {string} to - Target spec version
+ * @returns {string[]} Descriptions of the changes made
+ */
+function updateDeclaration(doc, declared, to) {
+  if (!declared || !declared.version || declared.version === to) {
+    return [];
+  }
+
+  const node = doc.get(declared.path, true);
+  const value = String(declared.value).replace(declared.version, to);
+
+  if (isScalar(node)) {
+    node.value = value;
+  } else {
+    doc.set(declared.path, value);
+  }
+  return [`Changed ${declared.path} from ${declared.value} to ${value}`];
+}
+
+/**
+ * Migrate the content of a context file
+ *
+ * The source version is the file's `specVersion` or `$schema` declaration,
+ * then `options.from`. Files with neither are taken to be on the target
+ * version already, so no transforms are applied to them. The declaration is
+ * only pointed at the target once the whole path to it has been applied,
+ * since `planMigration` throws otherwise.
+ * @param {string} content - Full file content
+ * @param {object} schema - Parsed schema object
+ * @param {object} options - Migration options
+ * @param {string} options.to - Spec version to migrate to
+ * @param {string} [options.from] - Spec version assumed for files without a declaration
+ * @param {Array} [options.migrations] - Available migrations
+ * @returns {{output: string, from: string, to: string, changes: string[], conflicts: string[]}}
+ *   Migrated content, and the values left in place to keep existing keys
+ */
+function migrateContent(content, schema, options) {
+  const migrations = options.migrations || MIGRATIONS;
+  const declared = getDeclaredSpecVersion(schema);
+  const from = declared?.version || options.from || options.to;
+  const steps = planMigration(from, options.to, migrations);
+  const conflicts = [];
+
+  const { output, changes } = editFrontmatter(content, (doc) => [
+    ...steps.flatMap((step) => step.transforms.flatMap((t) => applyTransform(doc, t, conflicts))),
+    ...updateDeclaration(doc, declared, options.to)
+  ]);
+
+  return { output, from, to: options.to, changes, conflicts };
+}
+
+/**
+ * Migrate context files and validate the results against the target spec
+ * @param {string[]} filePaths - Files to migrate
+ * @param {object} options - Migration options
+ * @param {string} options.to - Spec version to migrate to
+ * @param {string} [options.from] - Spec version assumed for files without a declaration
+ * @param {object} [options.config] - Project configuration used to validate the results
+ * @param {boolean} [options.dryRun] - Report changes without writing files
+ * @returns {Array} Per-file reports ({ filePath, from, to, changes, conflicts, diff, valid, errors })
+ */
+function migrateFiles(filePaths, options) {
+  const validator = new SchemaValidator({ config: options.config, specVersion: options.to });
+  const reports = [];
+
+  for (const filePath of filePaths) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const report = { filePath, changes: [], conflicts: [], diff: '', valid: false, errors: [] };
+
+    try {
+      const migration = migrateContent(content, validator.parseSchema(content), options);
+      const validation = validator.validateSchema(
+        validator.parseSchema(migration.output),
+        filePath
+      );
+
+      Object.assign(report, migration, {
+        valid: validation.valid,
+        errors: validation.errors,
+        diff: migration.changes.length > 0 ? createFixDiff(filePath, content, migration.output) : ''
+      });
+      delete report.output;
+
+      if (migration.changes.length > 0 && !options.dryRun) {
+        fs.writeFileSync(filePath, migration.output, 'utf8');
+      }
+    } catch (error) {
+      report.errors.push({ type: 'parse_error', severity: 'error', message: error.message });
+    }
+
+    reports.push(report);
+  }
+
+  return reports;
+}
+
+/**
+ * CLI interface
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.log('Usage: node migrator.js <file-or-directory> --to <version> [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --to=<version>     Spec version to migrate to (default: latest)');
+    console.log('  --from=<version>   Spec version of files that do not declare one');
+    console.log('  --dry-run          Print a diff instead of writing files');
+    console.log('  --json             Output the per-file report as JSON');
+    console.log('  --config=<path>    Use a specific configuration file');
+    process.exit(1);
+  }
+
+  const config = loadConfig({ configFile: getOption(args, '--config') });
+  const [target] = getPositionals(args, ['--to', '--from', '--config']);
+  const versions = listSpecVersions();
+  const options = {
+    to: (getOption(args, '--to') || versions[versions.length - 1]).replace(/^v/, ''),
+    from: getOption(args, '--from')?.replace(/^v/, ''),
+    config,
+    dryRun: args.includes('--dry-run'),
+    json: args.includes('--json')
+  };
+
+  if (!versions.includes(options.to)) {
+    throw new Error(`Unknown spec version: ${options.to} (available: ${versions.join(', ')})`);
+  }
+
+  const reports = migrateFiles(findSchemaFiles(target, config), options);
+
+  if (options.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    console.log(formatMigrationReports(reports, options));
+  }
+
+  process.exit(reports.every((report) => report.valid) ? 0 : 1);
+}
+
+/**
+ * Format migration reports as human-readable text
+ * @param {Array} reports - Per-file migration reports
+ * @param {object} options - Output options
+ * @returns {string} Formatted reports
+ */
+function formatMigrationReports(reports, options) {
+  const lines = [];
+  const changed = reports.filter((report) => report.changes.length > 0);
+
+  lines.push(`\n=== Migration to ${options.to}${options.dryRun ? ' (dry run)' : ''} ===`);
+  lines.push(`Files: ${reports.length}`);
+  lines.push(`Changed: ${changed.length}`);
+  lines.push(`With conflicts: ${reports.filter((report) => report.conflicts.length > 0).length}`);
+  lines.push(`Invalid after migration: ${reports.filter((report) => !report.valid).length}`);
+
+  for (const report of reports) {
+    if (report.changes.length === 0 && report.conflicts.length === 0 && report.valid) {
+      continue;
+    }
+
+    lines.push(`\n📄 ${report.filePath}${report.from ? ` (${report.from} → ${report.to})` : ''}`);
+    for (const change of report.changes) {
+      lines.push(`  ✏️  ${change}`);
+    }
+    for (const conflict of report.conflicts) {
+      lines.push(`  ⚠️  ${conflict}`);
+    }
+    for (const error of report.errors) {
+      lines.push(`  ❌ ${error.type}: ${error.message}`);
+    }
+    if (options.dryRun && report.diff) {
+      lines.push(report.diff);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { applyTransform, migrateContent, migrateFiles, MIGRATIONS, planMigration };
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const { DEFAULT_CONFIG } = require('./config');
+const { migrateFiles, planMigration } = require('./migrator');
+
+describe('Migrator', () => {
+  let tempDir;
+
+  // Exercises every operation; the published specs have no migrations yet
+  const migrations = [
+    {
+      from: '2.0.0',
+      to: '2.1.0',
+      transforms: [
+        { op: 'rename', path: 'updated', to: 'lastUpdated' },
+        { op: 'rename', path: 'platforms.claude', to: 'claude-code' },
+        { op: 'flatten', path: 'platforms.claude-code.commands' },
+        { op: 'rename', path: 'platforms.claude-code.enabled', to: 'command' },
+        { op: 'flatten', path: 'platforms.cursor.autoAttach' },
+        {
+          op: 'mapValues',
+          path: 'platforms.cursor.activation',
+          values: { auto: 'auto-attached' }
+        },
+        { op: 'move', path: 'platforms.jetbrains.webstorm', to: 'platforms.webstorm' },
+        { op: 'mapValues', path: 'platforms.openai.model', values: { 'gpt-4-32k': 'gpt-4' } }
+      ]
+    }
+  ];
+
+  const legacy = `---
+specVersion: "2.0.0"
+id: "react-patterns"
+title: "React Patterns"
+description: "React patterns written for the 2.0 spec"
+version: "1.2.0"
+category: "technology"
+updated: "2024-05-01" # last review
+platforms:
+  claude:
+    compatible: true
+    commands:
+      enabled: true
+      namespace: "project"
+  cursor:
+    compatible: true
+    activation: "auto"
+    autoAttach:
+      globs: ["**/*.tsx"]
+  openai:
+    compatible: true
+    model: "gpt-4-32k"
+  jetbrains:
+    compatible: true
+    webstorm:
+      compatible: true
+---
+
+# React Patterns
+
+Body text is never touched by migrations.
+`;
+
+  const writeSchema = (content) => global.createTestFile(tempDir, 'react.yaml', content);
+
+  beforeEach(() => {
+    tempDir = global.createTempDir();
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(tempDir);
+  });
+
+  test('should plan migrations in version order and refuse downgrades', () => {
+    const chain = [
+      { from: '2.1.0', to: '2.2.0', transforms: [] },
+      { from: '2.0.0', to: '2.1.0', transforms: [] },
+      { from: '2.2.0', to: '3.0.0', transforms: [] }
+    ];
+
+    expect(planMigration('2.0.0', '2.2.0', chain).map((m) => m.to)).toEqual(['2.1.0', '2.2.0']);
+    expect(planMigration('2.1.0', '2.1.0', chain)).toEqual([]);
+    expect(planMigration('3.0.0', '3.1.0', chain)).toEqual([]);
+    expect(() => planMigration('2.1.0', '2.0.0', chain)).toThrow(
+      'Cannot migrate from 2.1.0 down to 2.0.0'
+    );
+  });
+
+  test('should refuse migrations that do not form a path to the target', () => {
+    const gap = [
+      { from: '2.0.0', to: '2.1.0', transforms: [] },
+      { from: '2.2.0', to: '3.0.0', transforms: [] }
+    ];
+
+    expect(() => planMigration('2.0.5', '2.1.0', gap)).toThrow(
+      'No migration path from 2.0.5 to 2.1.0: no migration from 2.0.5'
+    );
+    expect(() => planMigration('2.0.0', '3.0.0', gap)).toThrow(
+      'No migration path from 2.0.0 to 3.0.0: no migration from 2.1.0'
+    );
+    expect(() => planMigration('2.0.0', '2.0.9', gap)).toThrow('no migration from 2.0.0');
+  });
+
+  test('should leave the declaration alone when no path reaches the target', () => {
+    const unreachable = legacy.replace('specVersion: "2.0.0"', 'specVersion: "2.0.5"');
+    const filePath = writeSchema(unreachable);
+
+    const [report] = migrateFiles([filePath], { to: '2.1.0', migrations });
+
+    expect(report.changes).toEqual([]);
+    expect(report.errors).toEqual([
+      expect.objectContaining({ message: expect.stringContaining('No migration path') })
+    ]);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(unreachable);
+  });
+
+  test('should report keys a flatten would overwrite and keep their values', () => {
+    const filePath = writeSchema(
+      legacy.replace('    activation: "auto"\n', '    activation: "auto"\n    globs: ["src/**"]\n')
+    );
+
+    const [report] = migrateFiles([filePath], { to: '2.1.0', migrations });
+
+    expect(report.changes).not.toContain(
+      'Moved the keys of platforms.cursor.autoAttach into platforms.cursor'
+    );
+    expect(report.conflicts).toEqual([
+      'Kept platforms.cursor.autoAttach.globs because platforms.cursor.globs already exists'
+    ]);
+    expect(fs.readFileSync(filePath, 'utf8')).toContain(
+      '    globs: ["src/**"]\n    autoAttach:\n      globs: ["**/*.tsx"]\n'
+    );
+  });
+
+  test('should apply the transforms of each planned migration', () => {
+    const filePath = writeSchema(legacy);
+
+    const [report] = migrateFiles([filePath], { to: '2.1.0', migrations });
+
+    expect(report).toMatchObject({
+      from: '2.0.0',
+      to: '2.1.0',
+      conflicts: [],
+      valid: true,
+      errors: []
+    });
+    expect(report.changes).toEqual([
+      'Renamed updated to lastUpdated',
+      'Renamed platforms.claude to platforms.claude-code',
+      'Moved the keys of platforms.claude-code.commands into platforms.claude-code',
+      'Renamed platforms.claude-code.enabled to platforms.claude-code.command',
+      'Moved the keys of platforms.cursor.autoAttach into platforms.cursor',
+      'Changed platforms.cursor.activation from auto to auto-attached',
+      'Moved platforms.jetbrains.webstorm to platforms.webstorm',
+      'Changed platforms.openai.model from gpt-4-32k to gpt-4',
+      'Changed specVersion from 2.0.0 to 2.1.0'
+    ]);
+
+    const output = fs.readFileSync(filePath, 'utf8');
+    expect(output).toContain('lastUpdated: "2024-05-01" # last review');
+    expect(output).toContain('  claude-code:\n    compatible: true\n    command: true\n');
+    expect(output).toContain('    globs: ["**/*.tsx"]');
+    expect(output.endsWith('Body text is never touched by migrations.\n')).toBe(true);
+  });
+
+  test('should report changes without writing in dry-run mode', () => {
+    const filePath = writeSchema(legacy);
+
+    const [report] = migrateFiles([filePath], { to: '2.1.0', dryRun: true, migrations });
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(legacy);
+    expect(report.diff).toContain('-  claude:');
+    expect(report.diff).toContain('+  claude-code:');
+  });
+
+  test('should leave files already on the target version untouched', () => {
+    const current = legacy
+      .replace('specVersion: "2.0.0"', 'specVersion: "2.1.0"')
+      .replace(/platforms:[\s\S]*?---/, 'platforms:\n  zed:\n    compatible: true\n---');
+    const filePath = writeSchema(current);
+
+    const [report] = migrateFiles([filePath], { to: '2.1.0', migrations });
+
+    expect(report.changes).toEqual([]);
+    expect(report.valid).toBe(true);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(current);
+  });
+
+  test('should take files without a declaration to be on the target version', () => {
+    const undeclared = legacy.replace('specVersion: "2.0.0"\n', '');
+    const filePath = writeSchema(undeclared);
+
+    const [report] = migrateFiles([filePath], { to: '2.1.0', migrations });
+
+    expect(report).toMatchObject({ from: '2.1.0', to: '2.1.0', changes: [] });
+  });
+
+  test('should validate the results with the project configuration', () => {
+    const filePath = writeSchema(legacy);
+    const config = { ...DEFAULT_CONFIG, rules: { missing_examples: 'error' } };
+
+    const [report] = migrateFiles([filePath], { to: '2.1.0', migrations, config });
+
+    expect(report.valid).toBe(false);
+    expect(report.errors.map((error) => error.type)).toContain('missing_examples');
+  });
+});
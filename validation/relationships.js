@@ -0,0 +1,71 @@
+/**
+ * AI Context Schema Relationships
+ * Parsing and matching of `id@range` entries in relationship fields
+ */
+
+const semver = require('semver');
+
+/**
+ * Split a relationship entry into a schema ID and an optional semver range
+ * @param {string} entry - Entry such as `typescript-base` or `typescript-base@^2.1.0`
+ * @returns {{id: string, range: (string|null)}} Parsed entry
+ */
+function parseRelationship(entry) {
+  const separator = entry.indexOf('@');
+
+  if (separator === -1) {
+    return { id: entry, range: null };
+  }
+  return { id: entry.slice(0, separator), range: entry.slice(separator + 1) };
+}
+
+/**
+ * Get the schema IDs named in a relationship field
+ * @param {string[]} [entries] - Relationship entries
+ * @returns {string[]} Schema IDs without ranges
+ */
+function relationshipIds(entries = []) {
+  return entries.map((entry) => parseRelationship(entry).id);
+}
+
+/**
+ * Check whether a schema version satisfies a relationship range
+ * @param {string} version - Schema version
+ * @param {string|null} range - Semver range, or null for any version
+ * @returns {boolean} True when the version is acceptable
+ */
+function satisfiesRange(version, range) {
+  return !range || semver.satisfies(version, range);
+}
+
+/**
+ * Check whether two relationship ranges can match the same version
+ *
+ * Invalid ranges are reported separately and treated as overlapping here.
+ * @param {string|null} a - First range, or null for any version
+ * @param {string|null} b - Second range, or null for any version
+ * @returns {boolean} True when some version satisfies both ranges
+ */
+function rangesOverlap(a, b) {
+  if (!a || !b || !isValidRange(a) || !isValidRange(b)) {
+    return true;
+  }
+  return semver.intersects(a, b);
+}
+
+/**
+ * Check whether a relationship range is a valid semver range
+ * @param {string|null} range - Semver range
+ * @returns {boolean} True when the range is absent or valid
+ */
+function isValidRange(range) {
+  return !range || semver.validRange(range) !== null;
+}
+
+module.exports = {
+  isValidRange,
+  parseRelationship,
+  rangesOverlap,
+  relationshipIds,
+  satisfiesRange
+};
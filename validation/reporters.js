@@ -0,0 +1,355 @@
+/**
+ * AI Context Schema Reporters
+ * Converts validation and compatibility results into machine-readable report formats
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+
+const FORMATS = ['stylish', 'json', 'sarif', 'junit', 'github'];
+
+const INFORMATION_URI = 'https://github.com/ai-context-schema/ai-context-schema';
+
+/**
+ * Normalize a diagnostic into the report shape
+ * @param {object} diagnostic - Error, warning or issue object
+ * @param {string} ruleId - Stable rule ID
+ * @returns {object} Report diagnostic
+ */
+function toReportDiagnostic(diagnostic, ruleId) {
+  return {
+    ruleId,
+    severity: diagnostic.severity || 'error',
+    message: diagnostic.message,
+    path: diagnostic.path ?? null,
+    line: diagnostic.line ?? null,
+    column: diagnostic.column ?? null,
+    endLine: diagnostic.endLine ?? null
+  };
+}
+
+/**
+ * Build a report from SchemaValidator.validateFiles results
+ * @param {object} results - Validation results
+ * @param {Array} [rules] - Rule metadata ({ id, description })
+ * @returns {object} Normalized report
+ */
+function createValidationReport(results, rules = []) {
+  return {
+    tool: { name: 'ai-context-schema', component: 'schema-validator', version },
+    rules,
+    files: results.results.map((result) => ({
+      filePath: result.filePath,
+      diagnostics: [...result.errors, ...(result.warnings || [])].map((diagnostic) =>
+        toReportDiagnostic(diagnostic, diagnostic.type)
+      )
+    })),
+    summary: results.summary
+  };
+}
+
+/**
+ * Build a report from CompatibilityChecker.checkCompatibility results
+ *
+ * Platform issues use `<platform>/<type>` rule IDs so the same issue type
+ * reported for different platforms stays distinguishable.
+ * @param {object} results - Compatibility results
+ * @returns {object} Normalized report
+ */
+function createCompatibilityReport(results) {
+  const files = new Map();
+  const fileFor = (filePath) => {
+    if (!files.has(filePath)) {
+      files.set(filePath, { filePath, diagnostics: [] });
+    }
+    return files.get(filePath).diagnostics;
+  };
+
+  for (const schemaResult of Object.values(results.schemas)) {
+    const diagnostics = fileFor(schemaResult.filePath);
+
+    for (const [platform, platformResult] of Object.entries(schemaResult.platforms)) {
+      for (const issue of platformResult.issues) {
+        diagnostics.push(toReportDiagnostic(issue, `${platform}/${issue.type}`));
+      }
+    }
+    for (const issue of schemaResult.issues) {
+      diagnostics.push(toReportDiagnostic(issue, issue.type));
+    }
+  }
+
+  for (const error of results.summary.errors || []) {
+    fileFor(error.filePath).push(toReportDiagnostic(error, error.type));
+  }
+
+  return {
+    tool: { name: 'ai-context-schema', component: 'compatibility-checker', version },
+    rules: [],
+    files: [...files.values()],
+    summary: results.summary
+  };
+}
+
+/**
+ * Build a report from CompatibilityChecker.checkDrift results
+ *
+ * Every drifted file is an error under a `<platform>/<status>` rule ID.
+ * @param {object} drift - Drift results
+ * @param {string} projectDir - Project directory holding the generated files
+ * @returns {object} Normalized report
+ */
+function createDriftReport(drift, projectDir) {
+  const messages = {
+    modified: 'Edited since it was generated from the schemas',
+    missing: 'Missing, although the schemas generate it',
+    stale: 'No longer generated by any schema'
+  };
+  const files = Object.entries(drift.platforms).flatMap(([platform, { drift: platformDrift }]) =>
+    platformDrift.map((file) => ({
+      filePath: path.join(projectDir, file.path),
+      diagnostics: [
+        toReportDiagnostic({ message: messages[file.status] }, `${platform}/${file.status}`)
+      ]
+    }))
+  );
+
+  for (const error of drift.errors) {
+    files.push({ filePath: error.filePath, diagnostics: [toReportDiagnostic(error, error.type)] });
+  }
+
+  return {
+    tool: { name: 'ai-context-schema', component: 'drift', version },
+    rules: [],
+    files,
+    summary: { drifted: drift.drifted, notGenerated: drift.notGenerated }
+  };
+}
+
+/**
+ * Convert a file path to a forward-slash path relative to the working directory
+ * @param {string} filePath - File path
+ * @returns {string} Relative URI
+ */
+function toRelativeUri(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Format a report as JSON
+ * @param {object} report - Normalized report
+ * @returns {string} JSON output
+ */
+function formatJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Format a report as SARIF 2.1.0
+ * @param {object} report - Normalized report
+ * @returns {string} SARIF output
+ */
+function formatSarif(report) {
+  const levels = { error: 'error', warning: 'warning', info: 'note' };
+  const ruleIds = new Set(report.files.flatMap((file) => file.diagnostics.map((d) => d.ruleId)));
+  const descriptions = new Map(report.rules.map((rule) => [rule.id, rule.description]));
+
+  const results = report.files.flatMap((file) =>
+    file.diagnostics.map((diagnostic) => {
+      const physicalLocation = { artifactLocation: { uri: toRelativeUri(file.filePath) } };
+      if (diagnostic.line) {
+        physicalLocation.region = {
+          startLine: diagnostic.line,
+          startColumn: diagnostic.column,
+          endLine: diagnostic.endLine
+        };
+      }
+
+      return {
+        ruleId: diagnostic.ruleId,
+        level: levels[diagnostic.severity] || 'warning',
+        message: { text: diagnostic.message },
+        locations: [{ physicalLocation }]
+      };
+    })
+  );
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: `${report.tool.name}/${report.tool.component}`,
+            version: report.tool.version,
+            informationUri: INFORMATION_URI,
+            rules: [...ruleIds].sort().map((id) => ({
+              id,
+              shortDescription: { text: descriptions.get(id) || id }
+            }))
+          }
+        },
+        results
+      }
+    ]
+  };
+
+  return JSON.stringify(sarif, null, 2);
+}
+
+/**
+ * Escape a string for use in XML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a report as JUnit XML
+ *
+ * Each file becomes a test suite. Errors are reported as failing test cases,
+ * warnings and notices as passing test cases with their message in system-out.
+ * @param {object} report - Normalized report
+ * @returns {string} JUnit XML output
+ */
+function formatJunit(report) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  const total = report.files.reduce((sum, file) => sum + Math.max(file.diagnostics.length, 1), 0);
+  const failures = report.files.reduce(
+    (sum, file) => sum + file.diagnostics.filter((d) => d.severity === 'error').length,
+    0
+  );
+
+  lines.push(
+    `<testsuites name="${report.tool.component}" tests="${total}" failures="${failures}">`
+  );
+
+  for (const file of report.files) {
+    const name = escapeXml(toRelativeUri(file.filePath));
+    const fileFailures = file.diagnostics.filter((d) => d.severity === 'error').length;
+    const tests = Math.max(file.diagnostics.length, 1);
+
+    lines.push(`  <testsuite name="${name}" tests="${tests}" failures="${fileFailures}">`);
+
+    if (file.diagnostics.length === 0) {
+      lines.push(`    <testcase name="${name}" classname="${report.tool.component}" />`);
+    }
+
+    for (const diagnostic of file.diagnostics) {
+      const location = diagnostic.line ? `${name}:${diagnostic.line}:${diagnostic.column}` : name;
+      const message = escapeXml(diagnostic.message);
+
+      lines.push(
+        `    <testcase name="${escapeXml(diagnostic.ruleId)}" classname="${report.tool.component}">`
+      );
+      if (diagnostic.severity === 'error') {
+        lines.push(
+          `      <failure message="${message}" type="${escapeXml(diagnostic.ruleId)}">${location}: ${message}</failure>`
+        );
+      } else {
+        lines.push(
+          `      <system-out>${diagnostic.severity}: ${location}: ${message}</system-out>`
+        );
+      }
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+/**
+ * Escape a GitHub Actions workflow command value
+ * @param {string} value - Value to escape
+ * @param {boolean} isProperty - Whether the value is a command property
+ * @returns {string} Escaped value
+ */
+function escapeCommand(value, isProperty) {
+  const escaped = String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  return isProperty ? escaped.replace(/:/g, '%3A').replace(/,/g, '%2C') : escaped;
+}
+
+/**
+ * Format a report as GitHub Actions annotations
+ * @param {object} report - Normalized report
+ * @returns {string} Workflow commands
+ */
+function formatGithub(report) {
+  const commands = { error: 'error', warning: 'warning', info: 'notice' };
+  const lines = [];
+
+  for (const file of report.files) {
+    for (const diagnostic of file.diagnostics) {
+      const properties = [`file=${escapeCommand(toRelativeUri(file.filePath), true)}`];
+
+      if (diagnostic.line) {
+        properties.push(`line=${diagnostic.line}`, `col=${diagnostic.column}`);
+        properties.push(`endLine=${diagnostic.endLine}`);
+      }
+      properties.push(`title=${escapeCommand(diagnostic.ruleId, true)}`);
+
+      const command = commands[diagnostic.severity] || 'warning';
+      lines.push(`::${command} ${properties.join(',')}::${escapeCommand(diagnostic.message)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+const formatters = {
+  json: formatJson,
+  sarif: formatSarif,
+  junit: formatJunit,
+  github: formatGithub
+};
+
+/**
+ * Format a normalized report
+ * @param {object} report - Normalized report
+ * @param {string} format - One of json, sarif, junit or github
+ * @returns {string} Formatted output
+ */
+function formatReport(report, format) {
+  const formatter = formatters[format];
+
+  if (!formatter) {
+    throw new Error(`Unknown format: ${format} (expected one of ${FORMATS.join(', ')})`);
+  }
+
+  return formatter(report);
+}
+
+/**
+ * Write formatted output to a file, or to stdout when no file is given
+ * @param {string} output - Formatted output
+ * @param {string} [outputFile] - Destination file path
+ */
+function writeReport(output, outputFile) {
+  if (!outputFile) {
+    console.log(output);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+  fs.writeFileSync(outputFile, `${output}\n`, 'utf8');
+}
+
+module.exports = {
+  createCompatibilityReport,
+  createDriftReport,
+  createValidationReport,
+  FORMATS,
+  formatReport,
+  writeReport
+};
@@ -0,0 +1,130 @@
+const { CompatibilityChecker } = require('./compatibility-checker');
+const { createCompatibilityReport, createValidationReport, formatReport } = require('./reporters');
+const { SchemaValidator } = require('./schema-validator');
+
+describe('Reporters', () => {
+  let tempDir;
+  let validationReport;
+
+  const content = `---
+id: report-test
+title: Report Test
+description: Schema used to exercise the reporters
+version: 1.0.0
+category: core
+platforms:
+  cursor:
+    compatible: true
+    activation: auto-attached
+  github-copilot:
+    compatible: true
+    priority: 12
+---
+
+# Report Test
+Short, with "quotes" & <markup>.`;
+
+  beforeEach(async () => {
+    tempDir = global.createTempDir();
+    const filePath = global.createTestFile(tempDir, 'report-test.yaml', content);
+    const validator = new SchemaValidator();
+    const results = await validator.validateFiles([filePath]);
+
+    validationReport = createValidationReport(results, validator.rules.list());
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(tempDir);
+  });
+
+  test('should exclude the parsed schema from JSON reports', () => {
+    const report = JSON.parse(formatReport(validationReport, 'json'));
+
+    expect(report.files[0]).not.toHaveProperty('schema');
+    expect(report.files[0].diagnostics).toContainEqual(
+      expect.objectContaining({ ruleId: 'invalid_priority', severity: 'error', line: 13 })
+    );
+  });
+
+  test('should produce SARIF results with rule metadata and regions', () => {
+    const sarif = JSON.parse(formatReport(validationReport, 'sarif'));
+    const run = sarif.runs[0];
+    const result = run.results.find((r) => r.ruleId === 'missing_globs');
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.rules).toContainEqual({
+      id: 'missing_globs',
+      shortDescription: { text: 'Auto-attached Cursor rules need globs' }
+    });
+    expect(result.level).toBe('error');
+    expect(result.locations[0].physicalLocation.region).toEqual({
+      startLine: 8,
+      startColumn: 3,
+      endLine: 10
+    });
+    expect(result.locations[0].physicalLocation.artifactLocation.uri).toMatch(/report-test\.yaml$/);
+  });
+
+  test('should produce escaped JUnit XML with failures for errors only', () => {
+    const xml = formatReport(validationReport, 'junit');
+
+    expect(xml).toMatch(/<testsuites name="schema-validator" tests="\d+" failures="3">/);
+    expect(xml).toContain('<failure message="Priority must be between 1 and 10"');
+    expect(xml).toContain('<system-out>warning:');
+  });
+
+  test('should produce GitHub Actions annotations', () => {
+    const lines = formatReport(validationReport, 'github').split('\n');
+
+    expect(lines).toContainEqual(
+      expect.stringMatching(
+        /^::error file=.*report-test\.yaml,line=13,col=5,endLine=13,title=invalid_priority::Priority must be between 1 and 10$/
+      )
+    );
+  });
+
+  test('should report compatibility issues with platform-scoped rule IDs', async () => {
+    const compatibleDir = global.createTempDir();
+    const filePath = global.createTestFile(
+      compatibleDir,
+      'compatible.yaml',
+      content.replace(
+        /platforms:[\s\S]*?---/,
+        'platforms:\n  claude-code:\n    compatible: true\n---'
+      )
+    );
+
+    try {
+      const checker = new CompatibilityChecker();
+      const report = createCompatibilityReport(await checker.checkCompatibility(compatibleDir));
+
+      expect(report.files).toEqual([
+        {
+          filePath,
+          diagnostics: [
+            expect.objectContaining({
+              ruleId: 'claude-code/missing_feature',
+              path: 'platforms.claude-code.memory',
+              line: 8
+            })
+          ]
+        }
+      ]);
+    } finally {
+      global.cleanupTempDir(compatibleDir);
+    }
+  });
+
+  test('should report schemas the compatibility checker could not load', async () => {
+    const checker = new CompatibilityChecker();
+    const report = createCompatibilityReport(await checker.checkCompatibility(tempDir));
+
+    expect(report.files[0].diagnostics).toEqual([
+      expect.objectContaining({ ruleId: 'invalid_schema', severity: 'error' })
+    ]);
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => formatReport(validationReport, 'xml')).toThrow('Unknown format: xml');
+  });
+});
@@ -0,0 +1,443 @@
+#!/usr/bin/env node
+
+/**
+ * AI Context Schema Dependency Resolver
+ * Resolves a selection of schemas following the relationship rules in spec section 4.3
+ */
+
+const fs = require('fs');
+const { getOption, getPositionals } = require('./cli-options');
+const { findSchemaFiles, loadConfig } = require('./config');
+const { parseRelationship, relationshipIds, satisfiesRange } = require('./relationships');
+const { SchemaValidator } = require('./schema-validator');
+
+/**
+ * Load every valid schema in a file or directory
+ * @param {string} target - Schema file or directory
+ * @param {object} [options] - Loader options
+ * @param {SchemaValidator} [options.validator] - Validator used to parse and check schemas
+ * @param {object} [options.config] - Resolved project configuration
+ * @returns {{schemas: Map, errors: Array}} Schemas keyed by ID, and files that failed to load
+ */
+function loadSchemaLibrary(target, options = {}) {
+  const config = options.config || loadConfig();
+  const validator = options.validator || new SchemaValidator({ config });
+  const schemas = new Map();
+  const errors = [];
+
+  for (const filePath of findSchemaFiles(target, config)) {
+    try {
+      const schema = validator.parseSchema(fs.readFileSync(filePath, 'utf8'));
+      const validation = validator.validateSchema(schema, filePath);
+
+      if (validation.valid) {
+        schemas.set(schema.id, { schema, filePath });
+      } else {
+        errors.push({ type: 'invalid_schema', filePath, message: 'Schema validation failed' });
+      }
+    } catch (error) {
+      errors.push({ type: 'parse_error', filePath, message: error.message });
+    }
+  }
+
+  return { schemas, errors };
+}
+
+/**
+ * Resolves root schemas into an ordered, conflict-free selection
+ */
+class DependencyResolver {
+  /**
+   * @param {Map} allSchemas - Map of schema ID to { schema, filePath }
+   */
+  constructor(allSchemas) {
+    this.allSchemas = allSchemas;
+  }
+
+  /**
+   * Resolve a set of root schemas
+   *
+   * The `requires` closure of the roots is collected, schemas named in an
+   * included schema's `supersedes` are dropped, and the remainder is ordered
+   * so every schema comes after the schemas it requires.
+   * @param {string[]} rootIds - IDs of the schemas to start from
+   * @returns {object} Resolution with `valid`, `order`, `schemas`, `superseded`,
+   *   `recommendations` and `errors`
+   */
+  resolve(rootIds) {
+    const errors = [];
+    const seen = new Set();
+    let supersededBy = new Map();
+    let included;
+
+    for (const id of rootIds) {
+      if (!this.allSchemas.has(id)) {
+        errors.push({ type: 'unknown_schema', id, message: `Schema "${id}" was not found` });
+      }
+    }
+
+    // Supersession can remove schemas that in turn named other schemas as
+    // superseded, withdrawing those supersessions, so recompute both until
+    // the selection is stable. Schemas superseding each other in a loop never
+    // settle and are all dropped.
+    for (;;) {
+      included = this.collectRequires(rootIds, supersededBy);
+      const next = this.findSupersessions(included);
+      const key = JSON.stringify([...next]);
+
+      if (key === JSON.stringify([...supersededBy])) {
+        break;
+      }
+      if (seen.has(key)) {
+        supersededBy = new Map([...next, ...supersededBy]);
+        included = this.collectRequires(rootIds, supersededBy);
+        break;
+      }
+      seen.add(key);
+      supersededBy = next;
+    }
+
+    errors.push(...this.findMissingDependencies(included, supersededBy));
+
+    const { order, cycles } = this.sortTopologically(included, rootIds);
+    errors.push(...cycles);
+
+    errors.push(...this.findConflicts(order));
+
+    return {
+      valid: errors.length === 0,
+      order,
+      schemas: order.map((id) => ({ id, ...this.allSchemas.get(id) })),
+      superseded: this.findDroppedSchemas(rootIds, included, supersededBy),
+      recommendations: this.findRecommendations(order, supersededBy),
+      errors
+    };
+  }
+
+  /**
+   * Collect the transitive `requires` closure of the roots
+   * @param {string[]} rootIds - Root schema IDs
+   * @param {Map} supersededBy - Superseded schema IDs to skip
+   * @returns {Set<string>} Included schema IDs
+   */
+  collectRequires(rootIds, supersededBy) {
+    const included = new Set();
+    const pending = [...rootIds];
+
+    while (pending.length > 0) {
+      const id = pending.shift();
+
+      if (included.has(id) || supersededBy.has(id) || !this.allSchemas.has(id)) {
+        continue;
+      }
+
+      included.add(id);
+      pending.push(...relationshipIds(this.allSchemas.get(id).schema.requires));
+    }
+
+    return included;
+  }
+
+  /**
+   * Map the schemas named in `supersedes` to the included schema replacing them
+   * @param {Set<string>} included - Included schema IDs
+   * @returns {Map} Superseded schema IDs mapped to their replacement
+   */
+  findSupersessions(included) {
+    const supersededBy = new Map();
+
+    for (const id of included) {
+      for (const supersededId of this.allSchemas.get(id).schema.supersedes || []) {
+        if (supersededId !== id && !supersededBy.has(supersededId)) {
+          supersededBy.set(supersededId, id);
+        }
+      }
+    }
+
+    return supersededBy;
+  }
+
+  /**
+   * List superseded schemas that the roots or included schemas asked for
+   * @param {string[]} rootIds - Root schema IDs
+   * @param {Set<string>} included - Included schema IDs
+   * @param {Map} supersededBy - Superseded schema IDs mapped to their replacement
+   * @returns {Array} Dropped schemas with the schema superseding them
+   */
+  findDroppedSchemas(rootIds, included, supersededBy) {
+    const wanted = new Set(rootIds);
+
+    for (const id of included) {
+      for (const requiredId of relationshipIds(this.allSchemas.get(id).schema.requires)) {
+        wanted.add(requiredId);
+      }
+    }
+
+    return [...supersededBy]
+      .filter(([id]) => wanted.has(id))
+      .map(([id, by]) => ({ id, supersededBy: by }));
+  }
+
+  /**
+   * Report required schemas that are not in the library or not in a matching version
+   * @param {Set<string>} included - Included schema IDs
+   * @param {Map} supersededBy - Superseded schema IDs
+   * @returns {Array} Missing dependency and version mismatch errors
+   */
+  findMissingDependencies(included, supersededBy) {
+    const errors = [];
+
+    for (const id of included) {
+      for (const entry of this.allSchemas.get(id).schema.requires || []) {
+        const { id: requiredId, range } = parseRelationship(entry);
+        const found = this.allSchemas.get(requiredId)?.schema.version;
+
+        if (supersededBy.has(requiredId)) {
+          continue;
+        }
+
+        if (!this.allSchemas.has(requiredId)) {
+          errors.push({
+            type: 'missing_dependency',
+            id: requiredId,
+            requiredBy: id,
+            message: `Schema "${id}" requires "${entry}", which was not found`
+          });
+        } else if (!satisfiesRange(found, range)) {
+          errors.push({
+            type: 'version_mismatch',
+            id: requiredId,
+            requiredBy: id,
+            range,
+            found,
+            message: `Schema "${id}" requires "${requiredId}" ${range}, found version ${found}`
+          });
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Order included schemas so dependencies come before their dependents
+   *
+   * Roots are visited in the order given and requirements in declaration
+   * order, so the result is stable for a given input.
+   * @param {Set<string>} included - Included schema IDs
+   * @param {string[]} rootIds - Root schema IDs
+   * @returns {{order: string[], cycles: Array}} Ordered IDs and cycle errors
+   */
+  sortTopologically(included, rootIds) {
+    const order = [];
+    const cycles = [];
+    const state = new Map();
+    const stack = [];
+
+    const visit = (id) => {
+      if (state.get(id) === 'done') {
+        return;
+      }
+      if (state.get(id) === 'visiting') {
+        const cycle = [...stack.slice(stack.indexOf(id)), id];
+        cycles.push({
+          type: 'cyclic_dependency',
+          id,
+          cycle,
+          message: `Cyclic dependency detected: ${cycle.join(' -> ')}`
+        });
+        return;
+      }
+
+      state.set(id, 'visiting');
+      stack.push(id);
+
+      for (const requiredId of relationshipIds(this.allSchemas.get(id).schema.requires)) {
+        if (included.has(requiredId)) {
+          visit(requiredId);
+        }
+      }
+
+      stack.pop();
+      state.set(id, 'done');
+      order.push(id);
+    };
+
+    for (const id of [...rootIds, ...included]) {
+      if (included.has(id)) {
+        visit(id);
+      }
+    }
+
+    return { order, cycles };
+  }
+
+  /**
+   * Report pairs of selected schemas that conflict with each other
+   *
+   * A conflict with a version range only applies when the selected schema's
+   * version falls inside the range.
+   * @param {string[]} order - Selected schema IDs
+   * @returns {Array} Conflict errors, one per pair
+   */
+  findConflicts(order) {
+    const selected = new Set(order);
+    const reported = new Set();
+    const errors = [];
+
+    for (const id of order) {
+      for (const entry of this.allSchemas.get(id).schema.conflicts || []) {
+        const { id: conflictId, range } = parseRelationship(entry);
+        const pair = [id, conflictId].sort().join('\0');
+
+        if (!selected.has(conflictId) || reported.has(pair)) {
+          continue;
+        }
+
+        const { version } = this.allSchemas.get(conflictId).schema;
+        if (!satisfiesRange(version, range)) {
+          continue;
+        }
+
+        reported.add(pair);
+        errors.push({
+          type: 'conflict',
+          id,
+          conflictsWith: conflictId,
+          message: `Schemas "${id}" and "${conflictId}" cannot be used together: "${id}" declares a conflict with "${entry}" and version ${version} was selected`
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * List suggested schemas that are not part of the selection
+   * @param {string[]} order - Selected schema IDs
+   * @param {Map} supersededBy - Superseded schema IDs
+   * @returns {Array} Recommendations with the schemas suggesting them
+   */
+  findRecommendations(order, supersededBy) {
+    const selected = new Set(order);
+    const recommendations = new Map();
+
+    for (const id of order) {
+      for (const entry of this.allSchemas.get(id).schema.suggests || []) {
+        const { id: suggestedId, range } = parseRelationship(entry);
+        const found = this.allSchemas.get(suggestedId)?.schema.version;
+
+        if (selected.has(suggestedId) || supersededBy.has(suggestedId)) {
+          continue;
+        }
+
+        if (!recommendations.has(suggestedId)) {
+          recommendations.set(suggestedId, {
+            id: suggestedId,
+            range,
+            found,
+            suggestedBy: [],
+            available: this.allSchemas.has(suggestedId) && satisfiesRange(found, range)
+          });
+        }
+        recommendations.get(suggestedId).suggestedBy.push(id);
+      }
+    }
+
+    return [...recommendations.values()];
+  }
+}
+
+/**
+ * CLI interface
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length < 2) {
+    console.log('Usage: node resolver.js <schemas-directory> <schema-id>... [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --json       Output the resolution as JSON (same as --format=json)');
+    console.log('  --format=<format>  Output format (stylish, json)');
+    console.log('  --config=<path>    Use a specific configuration file');
+    process.exit(1);
+  }
+
+  const config = loadConfig({ configFile: getOption(args, '--config') });
+  const [schemasDir, ...rootIds] = getPositionals(args, ['--format', '--config']);
+  const format = args.includes('--json') ? 'json' : getOption(args, '--format') || 'stylish';
+
+  if (!['stylish', 'json'].includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected one of stylish, json)`);
+  }
+
+  if (!fs.existsSync(schemasDir)) {
+    console.error(`Error: Directory not found: ${schemasDir}`);
+    process.exit(1);
+  }
+
+  const { schemas } = loadSchemaLibrary(schemasDir, { config });
+  const resolution = new DependencyResolver(schemas).resolve(rootIds);
+
+  if (format === 'json') {
+    const schemaFiles = resolution.schemas.map(({ id, filePath }) => ({ id, filePath }));
+    console.log(JSON.stringify({ ...resolution, schemas: schemaFiles }, null, 2));
+  } else {
+    console.log(formatResolution(resolution, rootIds));
+  }
+
+  process.exit(resolution.valid ? 0 : 1);
+}
+
+/**
+ * Format a resolution as human-readable text
+ * @param {object} resolution - Resolution from DependencyResolver.resolve
+ * @param {string[]} rootIds - Root schema IDs
+ * @returns {string} Formatted resolution
+ */
+function formatResolution(resolution, rootIds) {
+  const lines = [];
+
+  lines.push(`\n=== Resolution for ${rootIds.join(', ')} ===`);
+  resolution.schemas.forEach(({ id, filePath }, index) => {
+    lines.push(`${index + 1}. ${id} (${filePath})`);
+  });
+
+  if (resolution.superseded.length > 0) {
+    lines.push('\n=== Superseded ===');
+    for (const { id, supersededBy } of resolution.superseded) {
+      lines.push(`${id} (superseded by ${supersededBy})`);
+    }
+  }
+
+  if (resolution.recommendations.length > 0) {
+    lines.push('\n=== Recommendations ===');
+    for (const { id, range, found, suggestedBy, available } of resolution.recommendations) {
+      let note = '';
+      if (!available) {
+        note = found ? `, needs ${range} but found version ${found}` : ', not in library';
+      }
+      lines.push(`💡 ${id} (suggested by ${suggestedBy.join(', ')}${note})`);
+    }
+  }
+
+  if (resolution.errors.length > 0) {
+    lines.push('\n=== Errors ===');
+    for (const error of resolution.errors) {
+      lines.push(`❌ ${error.type}: ${error.message}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Resolution failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { DependencyResolver, formatResolution, loadSchemaLibrary };
@@ -0,0 +1,205 @@
+const { DependencyResolver, formatResolution, loadSchemaLibrary } = require('./resolver');
+
+/**
+ * Build a schema library map from partial schemas
+ * @param {object[]} schemas - Schemas with at least an ID
+ * @returns {Map} Map of schema ID to { schema, filePath }
+ */
+function library(schemas) {
+  return new Map(schemas.map((schema) => [schema.id, { schema, filePath: `${schema.id}.yaml` }]));
+}
+
+describe('DependencyResolver', () => {
+  test('should return the requires closure in topological order', () => {
+    const resolver = new DependencyResolver(
+      library([
+        { id: 'react', requires: ['typescript', 'frontend-core'] },
+        { id: 'frontend-core', requires: ['typescript'] },
+        { id: 'typescript' },
+        { id: 'unrelated' }
+      ])
+    );
+
+    const resolution = resolver.resolve(['react']);
+
+    expect(resolution.valid).toBe(true);
+    expect(resolution.order).toEqual(['typescript', 'frontend-core', 'react']);
+    expect(resolution.schemas[0]).toMatchObject({ id: 'typescript', filePath: 'typescript.yaml' });
+  });
+
+  test('should drop superseded schemas, including their own requirements', () => {
+    const legacy = 'legacy-react';
+    const resolver = new DependencyResolver(
+      library([
+        { id: 'app', requires: [legacy, 'react'] },
+        { id: 'react', supersedes: [legacy] },
+        { id: legacy, requires: ['legacy-helpers'] },
+        { id: 'legacy-helpers' }
+      ])
+    );
+
+    const resolution = resolver.resolve(['app']);
+
+    expect(resolution.valid).toBe(true);
+    expect(resolution.order).toEqual(['react', 'app']);
+    expect(resolution.superseded).toEqual([{ id: legacy, supersededBy: 'react' }]);
+  });
+
+  test('should withdraw supersessions of schemas that were superseded themselves', () => {
+    const resolver = new DependencyResolver(
+      library([
+        { id: 'app', requires: ['router', 'router-v2', 'router-v3'] },
+        { id: 'router' },
+        { id: 'router-v2', supersedes: ['router'] },
+        { id: 'router-v3', supersedes: ['router-v2'] }
+      ])
+    );
+
+    const resolution = resolver.resolve(['app']);
+
+    expect(resolution.order).toEqual(['router', 'router-v3', 'app']);
+    expect(resolution.superseded).toEqual([{ id: 'router-v2', supersededBy: 'router-v3' }]);
+  });
+
+  test('should fail with an explanation when selected schemas conflict', () => {
+    const resolver = new DependencyResolver(
+      library([
+        { id: 'react', conflicts: ['vue'] },
+        { id: 'vue', conflicts: ['react'] },
+        { id: 'app', requires: ['vue'] }
+      ])
+    );
+
+    const resolution = resolver.resolve(['react', 'app']);
+
+    expect(resolution.valid).toBe(false);
+    expect(resolution.errors).toEqual([
+      expect.objectContaining({
+        type: 'conflict',
+        id: 'react',
+        conflictsWith: 'vue',
+        message: expect.stringContaining('"react" and "vue" cannot be used together')
+      })
+    ]);
+  });
+
+  test('should list unmet suggestions as recommendations', () => {
+    const resolver = new DependencyResolver(
+      library([
+        {
+          id: 'react',
+          requires: ['typescript'],
+          suggests: ['testing', 'typescript', 'a11y@^2.0.0']
+        },
+        { id: 'typescript', suggests: ['testing', 'linting'] },
+        { id: 'testing' },
+        { id: 'a11y', version: '1.4.0' }
+      ])
+    );
+
+    const resolution = resolver.resolve(['react']);
+
+    expect(resolution.valid).toBe(true);
+    expect(resolution.recommendations).toEqual([
+      { id: 'testing', range: null, suggestedBy: ['typescript', 'react'], available: true },
+      { id: 'linting', range: null, suggestedBy: ['typescript'], available: false },
+      {
+        id: 'a11y',
+        range: '^2.0.0',
+        found: '1.4.0',
+        suggestedBy: ['react'],
+        available: false
+      }
+    ]);
+    expect(formatResolution(resolution, ['react'])).toContain(
+      [
+        '💡 testing (suggested by typescript, react)',
+        '💡 linting (suggested by typescript, not in library)',
+        '💡 a11y (suggested by react, needs ^2.0.0 but found version 1.4.0)'
+      ].join('\n')
+    );
+  });
+
+  test('should check required versions and apply ranged conflicts only when matched', () => {
+    const resolver = new DependencyResolver(
+      library([
+        { id: 'react', version: '3.0.0', requires: ['typescript@^2.1.0'] },
+        { id: 'typescript', version: '1.4.0', conflicts: ['react@<3.0.0'] },
+        { id: 'vue', version: '1.0.0', requires: ['typescript@1.x'], conflicts: ['react@>=3'] }
+      ])
+    );
+
+    expect(resolver.resolve(['react']).errors).toEqual([
+      expect.objectContaining({
+        type: 'version_mismatch',
+        range: '^2.1.0',
+        found: '1.4.0',
+        message: 'Schema "react" requires "typescript" ^2.1.0, found version 1.4.0'
+      })
+    ]);
+    expect(resolver.resolve(['vue', 'react']).errors.map((error) => error.type)).toEqual([
+      'version_mismatch',
+      'conflict'
+    ]);
+  });
+
+  test('should report unknown roots, missing requirements and cycles', () => {
+    const resolver = new DependencyResolver(
+      library([
+        { id: 'a', requires: ['b', 'missing'] },
+        { id: 'b', requires: ['a'] }
+      ])
+    );
+
+    const resolution = resolver.resolve(['a', 'nope']);
+
+    expect(resolution.errors.map((error) => error.type).sort()).toEqual([
+      'cyclic_dependency',
+      'missing_dependency',
+      'unknown_schema'
+    ]);
+    expect(resolution.errors.find((e) => e.type === 'cyclic_dependency').cycle).toEqual([
+      'a',
+      'b',
+      'a'
+    ]);
+  });
+});
+
+describe('loadSchemaLibrary', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = global.createTempDir();
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(tempDir);
+  });
+
+  test('should load valid schemas and report files that fail to load', () => {
+    global.createTestFile(
+      tempDir,
+      'base.yaml',
+      `---
+id: base
+title: Base
+description: Base schema for the resolver library test
+version: 1.0.0
+category: core
+platforms:
+  claude-code:
+    compatible: true
+---
+
+# Base
+`
+    );
+    global.createTestFile(tempDir, 'broken.yaml', '---\nid: [unterminated\n---\n');
+
+    const { schemas, errors } = loadSchemaLibrary(tempDir);
+
+    expect([...schemas.keys()]).toEqual(['base']);
+    expect(errors).toEqual([expect.objectContaining({ type: 'parse_error' })]);
+  });
+});
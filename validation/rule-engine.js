@@ -0,0 +1,163 @@
+/**
+ * AI Context Schema Rule Engine
+ * Registers named validation rules and runs them with configurable severities
+ */
+
+const path = require('path');
+const { isValidRange, satisfiesRange } = require('./relationships');
+const { builtinRules } = require('./rules');
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+/**
+ * Registry of validation rules and their configured severities
+ */
+class RuleEngine {
+  /**
+   * @param {object} [options] - Engine options
+   * @param {object} [options.rules] - Rule settings keyed by rule ID
+   * @param {Array} [options.ruleModules] - Rule objects or module paths to load
+   * @param {boolean} [options.builtins] - Register the built-in rules (default true)
+   */
+  constructor(options = {}) {
+    this.rules = new Map();
+    this.settings = new Map();
+
+    if (options.builtins !== false) {
+      builtinRules.forEach((rule) => this.register(rule));
+    }
+
+    for (const ruleModule of options.ruleModules || []) {
+      this.load(ruleModule);
+    }
+
+    this.configure(options.rules || {});
+  }
+
+  /**
+   * Register a rule
+   * @param {object} rule - Rule definition
+   */
+  register(rule) {
+    if (!rule || typeof rule.id !== 'string' || rule.id.length === 0) {
+      throw new Error('Rule must have a non-empty string id');
+    }
+    if (typeof rule.check !== 'function') {
+      throw new Error(`Rule ${rule.id} must define a check function`);
+    }
+    if (this.rules.has(rule.id)) {
+      throw new Error(`Rule already registered: ${rule.id}`);
+    }
+
+    const defaultSeverity = rule.defaultSeverity || 'error';
+    if (!SEVERITIES.includes(defaultSeverity)) {
+      throw new Error(`Rule ${rule.id} has invalid default severity: ${defaultSeverity}`);
+    }
+
+    if (rule.specVersions !== undefined && !isValidRange(rule.specVersions)) {
+      throw new Error(`Rule ${rule.id} has invalid specVersions range: ${rule.specVersions}`);
+    }
+
+    this.rules.set(rule.id, { group: 'custom', ...rule, defaultSeverity });
+  }
+
+  /**
+   * Load rules from a module path or a rule object
+   *
+   * A module may export a single rule, an array of rules or `{ rules: [...] }`.
+   * @param {string|object|Array} ruleModule - Module path, rule or rule list
+   */
+  load(ruleModule) {
+    let exported = ruleModule;
+
+    if (typeof ruleModule === 'string') {
+      exported = require(path.resolve(ruleModule));
+    }
+
+    const rules = Array.isArray(exported) ? exported : exported?.rules || [exported];
+    rules.forEach((rule) => this.register(rule));
+  }
+
+  /**
+   * Apply rule settings
+   *
+   * Settings follow the `severity` or `[severity, options]` form, e.g.
+   * `{ missing_examples: 'error', insufficient_content: ['warning', { minLength: 100 }] }`.
+   * @param {object} ruleSettings - Rule settings keyed by rule ID
+   */
+  configure(ruleSettings) {
+    for (const [id, setting] of Object.entries(ruleSettings)) {
+      const [severity, options] = Array.isArray(setting) ? setting : [setting, undefined];
+
+      if (severity !== undefined && !SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid severity for rule ${id}: ${severity}`);
+      }
+
+      const current = this.settings.get(id) || {};
+      this.settings.set(id, {
+        severity: severity ?? current.severity,
+        options: { ...current.options, ...options }
+      });
+    }
+  }
+
+  /**
+   * List registered rules with their effective severity
+   * @returns {Array} Rule metadata ({ id, description, severity, group })
+   */
+  list() {
+    return [...this.rules.values()].map((rule) => ({
+      id: rule.id,
+      description: rule.description || rule.id,
+      severity: this.getSeverity(rule.id),
+      group: rule.group
+    }));
+  }
+
+  /**
+   * Get the effective severity of a rule
+   * @param {string} id - Rule ID
+   * @returns {string|undefined} Severity, or undefined for unknown rules
+   */
+  getSeverity(id) {
+    return this.settings.get(id)?.severity || this.rules.get(id)?.defaultSeverity;
+  }
+
+  /**
+   * Run all rules of a group against a schema
+   *
+   * Rules declaring a `specVersions` semver range only run for schemas whose
+   * resolved spec version (`context.spec.version`) is inside that range.
+   * @param {string} group - Rule group (business, platform, content, relationship, custom)
+   * @param {object} schema - Schema object
+   * @param {object} [context] - Extra context passed to each rule
+   * @returns {Array} Diagnostics with type and severity
+   */
+  run(group, schema, context = {}) {
+    const diagnostics = [];
+    const disabled = schema._disabledRules || new Set();
+
+    for (const rule of this.rules.values()) {
+      const severity = this.getSeverity(rule.id);
+
+      if (rule.group !== group || severity === 'off' || disabled.has(rule.id)) {
+        continue;
+      }
+      const specVersion = context.spec?.version;
+      if (rule.specVersions && specVersion && !satisfiesRange(specVersion, rule.specVersions)) {
+        continue;
+      }
+
+      const options = { ...rule.defaultOptions, ...this.settings.get(rule.id)?.options };
+      const findings = rule.check(schema, { ...context, options }) || [];
+
+      for (const finding of findings) {
+        diagnostics.push({ type: rule.id, severity, ...finding });
+      }
+    }
+
+    return diagnostics;
+  }
+}
+
+module.exports = { RuleEngine, SEVERITIES };
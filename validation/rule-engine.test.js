@@ -0,0 +1,109 @@
+const path = require('path');
+const { RuleEngine } = require('./rule-engine');
+const { SchemaValidator } = require('./schema-validator');
+
+describe('RuleEngine', () => {
+  const content = `---
+id: test-schema
+title: Test Schema
+description: A test schema
+version: 1.0.0
+category: core
+platforms:
+  claude-code:
+    compatible: true
+---
+
+# Test Schema
+This is a test schema without any code examples in it.`;
+
+  test('should report built-in rules with their default severity', () => {
+    const validator = new SchemaValidator();
+    const result = validator.validateSchema(validator.parseSchema(content), 'test.yaml');
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings.map((w) => w.type)).toContain('missing_examples');
+  });
+
+  test('should apply configured severities', () => {
+    const validator = new SchemaValidator({ rules: { missing_examples: 'error' } });
+    const result = validator.validateSchema(validator.parseSchema(content), 'test.yaml');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map((e) => e.type)).toEqual(['missing_examples']);
+  });
+
+  test('should skip rules turned off', () => {
+    const validator = new SchemaValidator({ rules: { missing_examples: 'off' } });
+    const result = validator.validateSchema(validator.parseSchema(content), 'test.yaml');
+
+    expect(result.warnings.map((w) => w.type)).not.toContain('missing_examples');
+  });
+
+  test('should pass configured options to rules', () => {
+    const validator = new SchemaValidator({
+      rules: { insufficient_content: ['warning', { minLength: 500 }] }
+    });
+    const result = validator.validateSchema(validator.parseSchema(content), 'test.yaml');
+
+    expect(result.warnings.map((w) => w.type)).toContain('insufficient_content');
+  });
+
+  test('should honour inline disable comments', () => {
+    const validator = new SchemaValidator({ rules: { missing_examples: 'error' } });
+    const disabled = content
+      .replace('id: test-schema', '# aics-disable missing_examples\nid: test-schema')
+      .concat('\n<!-- aics-disable missing_headers -->');
+    const schema = validator.parseSchema(disabled);
+
+    expect([...schema._disabledRules]).toEqual(['missing_examples', 'missing_headers']);
+    expect(validator.validateSchema(schema, 'test.yaml').valid).toBe(true);
+  });
+
+  test('should run custom rules registered through the constructor', () => {
+    const requireAuthor = {
+      id: 'org/require-author',
+      defaultSeverity: 'error',
+      check: (schema) => (schema.author ? [] : [{ path: 'author', message: 'Author is required' }])
+    };
+    const validator = new SchemaValidator({ ruleModules: [requireAuthor] });
+    const result = validator.validateSchema(validator.parseSchema(content), 'test.yaml');
+
+    expect(result.errors).toEqual([
+      expect.objectContaining({ type: 'org/require-author', severity: 'error', line: 2 })
+    ]);
+  });
+
+  test('should load custom rule modules from a path', () => {
+    const tempDir = global.createTempDir();
+    const modulePath = global.createTestFile(
+      tempDir,
+      'org-rules.js',
+      `module.exports = { rules: [{ id: 'org/always', defaultSeverity: 'warning',
+        check: () => [{ path: 'id', message: 'Always reported' }] }] };`
+    );
+
+    try {
+      const engine = new RuleEngine({ ruleModules: [path.relative(process.cwd(), modulePath)] });
+
+      expect(engine.getSeverity('org/always')).toBe('warning');
+      expect(engine.run('custom', { id: 'x' })).toEqual([
+        { type: 'org/always', severity: 'warning', path: 'id', message: 'Always reported' }
+      ]);
+    } finally {
+      global.cleanupTempDir(tempDir);
+    }
+  });
+
+  test('should reject invalid rules and severities', () => {
+    const engine = new RuleEngine();
+
+    expect(() => engine.register({ id: 'missing_examples', check: () => [] })).toThrow(
+      'Rule already registered: missing_examples'
+    );
+    expect(() => engine.register({ id: 'no-check' })).toThrow('must define a check function');
+    expect(() => engine.configure({ missing_examples: 'fatal' })).toThrow(
+      'Invalid severity for rule missing_examples: fatal'
+    );
+  });
+});
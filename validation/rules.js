@@ -0,0 +1,368 @@
+/**
+ * AI Context Schema Built-in Rules
+ * Business, platform, content and relationship checks run by the rule engine
+ *
+ * Each rule declares an `id` (reported as the diagnostic `type`), a
+ * `defaultSeverity`, a `group` and a `check(schema, context)` function that
+ * returns findings of the form `{ path, message }`. Rules that only apply to
+ * some spec versions declare a `specVersions` semver range.
+ */
+
+const {
+  isValidRange,
+  parseRelationship,
+  rangesOverlap,
+  relationshipIds,
+  satisfiesRange
+} = require('./relationships');
+
+/**
+ * Return the configuration of a platform when it is marked compatible
+ * @param {object} schema - Schema object
+ * @param {string} platform - Platform name
+ * @returns {object|null} Platform configuration or null
+ */
+function compatiblePlatform(schema, platform) {
+  const config = schema.platforms?.[platform];
+  return config?.compatible ? config : null;
+}
+
+const businessRules = [
+  {
+    id: 'invalid_id',
+    defaultSeverity: 'error',
+    group: 'business',
+    description: 'IDs must be kebab-case',
+    check(schema) {
+      if (!schema.id || /^[a-z0-9-]+$/.test(schema.id)) {
+        return [];
+      }
+      return [
+        {
+          path: 'id',
+          message: 'ID must be kebab-case (lowercase letters, numbers, and hyphens only)'
+        }
+      ];
+    }
+  },
+  {
+    id: 'invalid_version',
+    defaultSeverity: 'error',
+    group: 'business',
+    description: 'Versions must follow semantic versioning',
+    check(schema) {
+      if (
+        !schema.version ||
+        /^\d+\.\d+\.\d+(-[a-zA-Z0-9-]+)?(\+[a-zA-Z0-9-]+)?$/.test(schema.version)
+      ) {
+        return [];
+      }
+      return [
+        {
+          path: 'version',
+          message: 'Version must follow semantic versioning format (e.g., 1.0.0)'
+        }
+      ];
+    }
+  },
+  {
+    id: 'missing_last_updated',
+    defaultSeverity: 'warning',
+    group: 'business',
+    description: 'Schemas should record when they were last updated',
+    check(schema) {
+      if (schema.lastUpdated) {
+        return [];
+      }
+      return [{ path: 'lastUpdated', message: 'lastUpdated date is missing' }];
+    }
+  },
+  {
+    id: 'conflicting_relationships',
+    defaultSeverity: 'error',
+    group: 'business',
+    description: 'A schema cannot be both required and conflicted',
+    check(schema) {
+      const conflicts = (schema.conflicts || []).map(parseRelationship);
+      const intersection = (schema.requires || [])
+        .map(parseRelationship)
+        .filter((required) =>
+          conflicts.some(
+            (conflict) =>
+              conflict.id === required.id && rangesOverlap(conflict.range, required.range)
+          )
+        )
+        .map(({ id }) => id);
+
+      if (intersection.length === 0) {
+        return [];
+      }
+      return [
+        {
+          path: 'requires/conflicts',
+          message: `Schemas cannot be both required and conflicted: ${intersection.join(', ')}`
+        }
+      ];
+    }
+  },
+  {
+    id: 'invalid_version_range',
+    defaultSeverity: 'error',
+    group: 'business',
+    description: 'Relationship version ranges must be valid semver ranges',
+    check(schema) {
+      const findings = [];
+
+      for (const field of ['requires', 'suggests', 'conflicts']) {
+        (schema[field] || []).forEach((entry, index) => {
+          if (!isValidRange(parseRelationship(entry).range)) {
+            findings.push({
+              path: `${field}.${index}`,
+              message: `Invalid version range in ${field}: ${entry}`
+            });
+          }
+        });
+      }
+
+      return findings;
+    }
+  },
+  {
+    id: 'deprecated_spec_version',
+    defaultSeverity: 'warning',
+    group: 'business',
+    description: 'Schemas should not target a deprecated spec version',
+    check(schema, { validator, spec }) {
+      if (!spec?.deprecated) {
+        return [];
+      }
+      return [
+        {
+          path: spec.declared?.path || 'specVersion',
+          message: `Spec version ${spec.version} is deprecated, migrate to ${validator.defaultSpecVersion}`
+        }
+      ];
+    }
+  }
+];
+
+const platformRules = [
+  {
+    id: 'missing_namespace',
+    defaultSeverity: 'warning',
+    group: 'platform',
+    description: 'Claude Code commands should declare a namespace',
+    check(schema) {
+      const config = compatiblePlatform(schema, 'claude-code');
+      if (!config?.command || config.namespace) {
+        return [];
+      }
+      return [
+        {
+          path: 'platforms.claude-code.namespace',
+          message: 'Namespace recommended when command is enabled'
+        }
+      ];
+    }
+  },
+  {
+    id: 'missing_globs',
+    defaultSeverity: 'error',
+    group: 'platform',
+    description: 'Auto-attached Cursor rules need globs',
+    check(schema) {
+      const config = compatiblePlatform(schema, 'cursor');
+      if (config?.activation !== 'auto-attached' || config.globs) {
+        return [];
+      }
+      return [
+        { path: 'platforms.cursor.globs', message: 'Globs required for auto-attached activation' }
+      ];
+    }
+  },
+  {
+    id: 'character_limit_exceeded',
+    defaultSeverity: 'warning',
+    group: 'platform',
+    description: 'Windsurf character limits must fit the platform maximum',
+    defaultOptions: { maxCharacterLimit: 6000 },
+    check(schema, { options }) {
+      const config = compatiblePlatform(schema, 'windsurf');
+      if (!config?.characterLimit || config.characterLimit <= options.maxCharacterLimit) {
+        return [];
+      }
+      return [
+        {
+          path: 'platforms.windsurf.characterLimit',
+          message: `Character limit exceeds Windsurf maximum (${options.maxCharacterLimit})`
+        }
+      ];
+    }
+  },
+  {
+    id: 'invalid_priority',
+    defaultSeverity: 'error',
+    group: 'platform',
+    description: 'GitHub Copilot priority must be between 1 and 10',
+    check(schema) {
+      const config = compatiblePlatform(schema, 'github-copilot');
+      if (!config?.priority || (config.priority >= 1 && config.priority <= 10)) {
+        return [];
+      }
+      return [
+        { path: 'platforms.github-copilot.priority', message: 'Priority must be between 1 and 10' }
+      ];
+    }
+  }
+];
+
+const contentRules = [
+  {
+    id: 'insufficient_content',
+    defaultSeverity: 'warning',
+    group: 'content',
+    description: 'Content must be long enough to be useful',
+    defaultOptions: { minLength: 50 },
+    check(schema, { options }) {
+      if ((schema._content || '').length >= options.minLength) {
+        return [];
+      }
+      return [{ path: 'content', message: 'Content appears too short to be useful' }];
+    }
+  },
+  {
+    id: 'missing_headers',
+    defaultSeverity: 'warning',
+    group: 'content',
+    description: 'Content should be organized with markdown headers',
+    check(schema) {
+      if ((schema._content || '').includes('#')) {
+        return [];
+      }
+      return [
+        { path: 'content', message: 'Content should include markdown headers for organization' }
+      ];
+    }
+  },
+  {
+    id: 'missing_examples',
+    defaultSeverity: 'warning',
+    group: 'content',
+    description: 'Content should include fenced code examples',
+    check(schema) {
+      if ((schema._content || '').includes('```')) {
+        return [];
+      }
+      return [{ path: 'content', message: 'Content should include code examples' }];
+    }
+  },
+  {
+    id: 'windsurf_size_warning',
+    defaultSeverity: 'warning',
+    group: 'content',
+    description: 'Windsurf-compatible content should fit the Windsurf size limit',
+    defaultOptions: { limit: 6000, overhead: 200 },
+    check(schema, { options }) {
+      const content = schema._content || '';
+      const estimatedChars = content.length + (schema.title?.length || 0) + options.overhead;
+
+      if (estimatedChars <= options.limit || !compatiblePlatform(schema, 'windsurf')) {
+        return [];
+      }
+      return [
+        {
+          path: 'content',
+          message: `Content may be too large for Windsurf (estimated ${estimatedChars} chars, limit ${options.limit})`
+        }
+      ];
+    }
+  }
+];
+
+const relationshipRules = [
+  {
+    id: 'cyclic_dependency',
+    defaultSeverity: 'error',
+    group: 'relationship',
+    description: 'Schemas must not depend on themselves through requires',
+    check(schema, { validator, allSchemas }) {
+      const cycle = validator.findDependencyCycles(allSchemas).get(schema.id);
+      if (!cycle) {
+        return [];
+      }
+      return [
+        {
+          path: `requires.${relationshipIds(schema.requires).indexOf(cycle[1])}`,
+          message: `Cyclic dependency detected: ${cycle.join(' -> ')}`,
+          cycle
+        }
+      ];
+    }
+  },
+  {
+    id: 'missing_dependency',
+    defaultSeverity: 'error',
+    group: 'relationship',
+    description: 'Required schemas must exist in the library',
+    check(schema, { allSchemas }) {
+      return (schema.requires || [])
+        .filter((entry) => !allSchemas.has(parseRelationship(entry).id))
+        .map((entry) => ({ path: 'requires', message: `Required schema not found: ${entry}` }));
+    }
+  },
+  {
+    id: 'version_mismatch',
+    defaultSeverity: 'error',
+    group: 'relationship',
+    description: 'Required and suggested schemas must match the requested version range',
+    check(schema, { allSchemas }) {
+      const findings = [];
+      const labels = { requires: 'Required', suggests: 'Suggested' };
+
+      for (const [field, label] of Object.entries(labels)) {
+        (schema[field] || []).forEach((entry, index) => {
+          const { id, range } = parseRelationship(entry);
+          const found = allSchemas.get(id)?.schema.version;
+
+          // Invalid ranges are reported as invalid_version_range instead
+          if (found && isValidRange(range) && !satisfiesRange(found, range)) {
+            findings.push({
+              path: `${field}.${index}`,
+              message: `${label} schema ${id} must match ${range}, found version ${found}`,
+              range,
+              found
+            });
+          }
+        });
+      }
+
+      return findings;
+    }
+  },
+  {
+    id: 'missing_suggestion',
+    defaultSeverity: 'warning',
+    group: 'relationship',
+    description: 'Suggested schemas should exist in the library',
+    check(schema, { allSchemas }) {
+      return (schema.suggests || [])
+        .filter((entry) => !allSchemas.has(parseRelationship(entry).id))
+        .map((entry) => ({ path: 'suggests', message: `Suggested schema not found: ${entry}` }));
+    }
+  },
+  {
+    id: 'missing_superseded',
+    defaultSeverity: 'warning',
+    group: 'relationship',
+    description: 'Superseded schemas should exist in the library',
+    check(schema, { allSchemas }) {
+      return (schema.supersedes || [])
+        .filter((id) => !allSchemas.has(id))
+        .map((id) => ({ path: 'supersedes', message: `Superseded schema not found: ${id}` }));
+    }
+  }
+];
+
+const builtinRules = [...businessRules, ...platformRules, ...contentRules, ...relationshipRules];
+
+module.exports = { builtinRules };
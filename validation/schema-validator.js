@@ -6,22 +6,40 @@
  */
 
 const fs = require('fs');
-const path = require('path');
 const yaml = require('js-yaml');
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
-
-// Load the JSON Schema definition
-const schemaDefinition = require('../schemas/v2.1.0/context-schema.json');
+const { getOption, getOptions, getPositionals } = require('./cli-options');
+const { findSchemaFiles, loadConfig } = require('./config');
+const { findDependencyCycles } = require('./dependency-graph');
+const { applyFixes, createFixDiff } = require('./fixer');
+const { createValidationReport, FORMATS, formatReport, writeReport } = require('./reporters');
+const { RuleEngine } = require('./rule-engine');
+const { buildSourceMap } = require('./source-map');
+const {
+  getDeclaredSpecVersion,
+  getLatestSpecVersion,
+  listSpecVersions,
+  loadSpecDefinition,
+  SCHEMAS_DIR
+} = require('./spec-versions');
 
 /**
  *
  */
 class SchemaValidator {
   /**
-   *
+   * @param {object} [options] - Validator options
+   * @param {object} [options.config] - Resolved project configuration (discovered when omitted)
+   * @param {string} [options.configFile] - Explicit configuration file path
+   * @param {object} [options.rules] - Rule severities and options keyed by rule ID
+   * @param {Array} [options.ruleModules] - Custom rule objects or module paths
+   * @param {string} [options.specVersion] - Validate every file against this spec version
+   * @param {string} [options.schemasDir] - Directory holding the spec definitions
    */
-  constructor() {
+  constructor(options = {}) {
+    this.config = options.config || loadConfig({ configFile: options.configFile });
+
     this.ajv = new Ajv({
       allErrors: true,
       verbose: true,
@@ -29,8 +47,29 @@ class SchemaValidator {
     });
     addFormats(this.ajv);
 
-    this.validator = this.ajv.compile(schemaDefinition);
-    this.dependencies = new Map();
+    this.schemasDir = options.schemasDir || SCHEMAS_DIR;
+    this.specVersions = listSpecVersions(this.schemasDir);
+    this.defaultSpecVersion = getLatestSpecVersion(this.schemasDir);
+    this.specVersion = options.specVersion?.replace(/^v/, '') || null;
+    this.specs = new Map();
+
+    if (this.specVersion && !this.specVersions.includes(this.specVersion)) {
+      throw new Error(
+        `Unknown spec version: ${this.specVersion} (available: ${this.specVersions.join(', ')})`
+      );
+    }
+
+    this.validator = this.getSpec(this.specVersion || this.defaultSpecVersion).validate;
+    this.cycleCache = new WeakMap();
+    this.rules = new RuleEngine({
+      ruleModules: [...this.config.ruleModules, ...(options.ruleModules || [])]
+    });
+    this.rules.configure({
+      character_limit_exceeded: [undefined, { maxCharacterLimit: this.config.limits.windsurf }],
+      windsurf_size_warning: [undefined, { limit: this.config.limits.windsurf }]
+    });
+    this.rules.configure(this.config.rules);
+    this.rules.configure(options.rules || {});
   }
 
   /**
@@ -52,13 +91,57 @@ class SchemaValidator {
           {
             type: 'parse_error',
             message: `Failed to parse file: ${error.message}`,
-            path: null
+            path: null,
+            line: error.line || 1,
+            column: error.column || 1,
+            endLine: error.line || 1
           }
         ]
       };
     }
   }
 
+  /**
+   * Fix mechanically repairable problems in a schema file
+   *
+   * Only the YAML frontmatter is rewritten; comments, key order and the
+   * markdown content are preserved.
+   * @param {string} filePath - Path to the schema file
+   * @param {object} [options] - Fix options
+   * @param {boolean} [options.dryRun] - Return a diff without writing the file
+   * @param {string} [options.today] - Date used for lastUpdated (YYYY-MM-DD)
+   * @returns {Promise<object>} Applied fixes, rewritten output and unified diff
+   */
+  async fix(filePath, options = {}) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const result = await this.validateFile(filePath);
+    const fixResult = { filePath, changed: false, applied: [], output: content, diff: '' };
+
+    if (!result.schema) {
+      return fixResult;
+    }
+
+    const { output, applied } = applyFixes(
+      content,
+      result.schema,
+      [...result.errors, ...result.warnings],
+      options
+    );
+
+    if (output !== content) {
+      fixResult.changed = true;
+      fixResult.applied = applied;
+      fixResult.output = output;
+      fixResult.diff = createFixDiff(filePath, content, output);
+
+      if (!options.dryRun) {
+        fs.writeFileSync(filePath, output, 'utf8');
+      }
+    }
+
+    return fixResult;
+  }
+
   /**
    * Validate multiple schema files
    * @param {string[]} filePaths - Array of file paths
@@ -84,12 +167,14 @@ class SchemaValidator {
     // Second pass: validate relationships
     for (const result of results) {
       if (result.valid && result.schema) {
-        const relationshipErrors = this.validateRelationships(result.schema, allSchemas);
-
-        if (relationshipErrors.length > 0) {
-          result.errors.push(...relationshipErrors);
-          result.valid = relationshipErrors.every((e) => e.severity !== 'error');
-        }
+        const relationshipErrors = this.locateDiagnostics(
+          this.validateRelationships(result.schema, allSchemas),
+          result.schema
+        );
+
+        result.errors.push(...relationshipErrors.filter((e) => e.severity === 'error'));
+        result.warnings.push(...relationshipErrors.filter((e) => e.severity === 'warning'));
+        result.valid = result.errors.length === 0;
       }
     }
 
@@ -115,19 +200,65 @@ class SchemaValidator {
 
     const [, frontmatter, markdownContent] = match;
 
+    const frontmatterOffset = content.match(/^---\s*\n/)[0].length;
+    const frontmatterLine = content.slice(0, frontmatterOffset).split('\n').length;
+
     let schema;
     try {
       schema = yaml.load(frontmatter);
     } catch (error) {
-      throw new Error(`Invalid YAML frontmatter: ${error.message}`);
+      const parseError = new Error(`Invalid YAML frontmatter: ${error.message}`);
+      if (error.mark) {
+        parseError.line = frontmatterLine + error.mark.line;
+        parseError.column = error.mark.column + 1;
+      }
+      throw parseError;
     }
 
     // Add the markdown content to the schema for validation
     schema._content = markdownContent.trim();
 
+    Object.defineProperty(schema, '_disabledRules', {
+      value: this.findDisabledRules(frontmatter, markdownContent),
+      enumerable: false
+    });
+
+    // Keep source positions out of enumerable output such as --json
+    const contentOffset = content.length - markdownContent.length + markdownContent.search(/\S|$/);
+    Object.defineProperty(schema, '_sourceMap', {
+      value: buildSourceMap(content, frontmatter, frontmatterOffset, contentOffset),
+      enumerable: false
+    });
+
     return schema;
   }
 
+  /**
+   * Collect rule IDs disabled inline
+   *
+   * Rules are disabled with a `# aics-disable rule-a, rule-b` comment in the
+   * frontmatter or an `<!-- aics-disable rule-a -->` comment in the content.
+   * @param {string} frontmatter - YAML frontmatter text
+   * @param {string} markdownContent - Markdown content
+   * @returns {Set<string>} Disabled rule IDs
+   */
+  findDisabledRules(frontmatter, markdownContent) {
+    const disabled = new Set();
+    const directives = [
+      ...frontmatter.matchAll(/^\s*#\s*aics-disable\s+(.+)$/gm),
+      ...markdownContent.matchAll(/<!--\s*aics-disable\s+(.+?)\s*-->/g)
+    ];
+
+    for (const [, ruleList] of directives) {
+      ruleList
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .forEach((id) => disabled.add(id));
+    }
+
+    return disabled;
+  }
+
   /**
    * Validate a parsed schema against the JSON Schema definition
    * @param {object} schema - Parsed schema object
@@ -143,11 +274,20 @@ class SchemaValidator {
       warnings: []
     };
 
-    // JSON Schema validation
-    const isValid = this.validator(schema);
-    if (!isValid) {
+    const spec = this.resolveSpec(schema);
+
+    // JSON Schema validation against the targeted spec version
+    if (!spec.validate) {
+      result.valid = false;
+      result.errors.push({
+        type: 'unknown_spec_version',
+        severity: 'error',
+        path: spec.declared.path,
+        message: `Unknown spec version in ${spec.declared.path}: ${spec.declared.value} (available: ${this.specVersions.join(', ')})`
+      });
+    } else if (!spec.validate(schema)) {
       result.valid = false;
-      result.errors.push(...this.formatAjvErrors(this.validator.errors));
+      result.errors.push(...this.formatAjvErrors(spec.validate.errors));
     }
 
     // Business logic validation
@@ -160,6 +300,9 @@ class SchemaValidator {
     result.errors.push(...contentErrors.filter((e) => e.severity === 'error'));
     result.warnings.push(...contentErrors.filter((e) => e.severity === 'warning'));
 
+    this.locateDiagnostics(result.errors, schema);
+    this.locateDiagnostics(result.warnings, schema);
+
     if (result.errors.length > 0) {
       result.valid = false;
     }
@@ -167,6 +310,65 @@ class SchemaValidator {
     return result;
   }
 
+  /**
+   * Get the compiled definition of a spec version
+   *
+   * Each version is loaded and compiled once, on first use.
+   * @param {string} version - Spec version
+   * @returns {object|null} Spec ({ version, deprecated, validate }), or null if unknown
+   */
+  getSpec(version) {
+    if (!this.specVersions.includes(version)) {
+      return null;
+    }
+
+    if (!this.specs.has(version)) {
+      const definition = loadSpecDefinition(version, this.schemasDir);
+      this.specs.set(version, {
+        version,
+        deprecated: definition.deprecated === true,
+        validate: this.ajv.compile(definition)
+      });
+    }
+
+    return this.specs.get(version);
+  }
+
+  /**
+   * Determine the spec a schema is validated against
+   *
+   * The `specVersion` option wins, then the file's `specVersion` or `$schema`
+   * key, then the latest published spec.
+   * @param {object} schema - Parsed schema object
+   * @returns {object} Spec with `version` and `declared`, plus `deprecated` and
+   *   `validate` when the version is known
+   */
+  resolveSpec(schema) {
+    const declared = this.specVersion ? null : getDeclaredSpecVersion(schema);
+    const version = this.specVersion || (declared ? declared.version : this.defaultSpecVersion);
+
+    return { version, declared, ...this.getSpec(version) };
+  }
+
+  /**
+   * Attach line, column and endLine to diagnostics using the schema source map
+   * @param {Array} diagnostics - Error or warning objects
+   * @param {object} schema - Parsed schema object
+   * @returns {Array} The same diagnostics with source positions
+   */
+  locateDiagnostics(diagnostics, schema) {
+    const sourceMap = schema._sourceMap;
+
+    for (const diagnostic of diagnostics) {
+      const location = sourceMap
+        ? sourceMap.locate(diagnostic.path)
+        : { line: null, column: null, endLine: null };
+      Object.assign(diagnostic, location);
+    }
+
+    return diagnostics;
+  }
+
   /**
    * Format AJV validation errors
    * @param {Array} ajvErrors - AJV error objects
@@ -189,114 +391,13 @@ class SchemaValidator {
    * @returns {Array} Business rule validation errors
    */
   validateBusinessRules(schema) {
-    const errors = [];
+    const context = { validator: this, spec: this.resolveSpec(schema) };
 
-    // Check for dependency cycles
-    if (this.hasCyclicDependencies(schema)) {
-      errors.push({
-        type: 'cyclic_dependency',
-        severity: 'error',
-        path: 'requires',
-        message: 'Cyclic dependency detected in requires field'
-      });
-    }
-
-    // Validate platform configurations
-    for (const [platform, config] of Object.entries(schema.platforms || {})) {
-      const platformErrors = this.validatePlatformConfig(platform, config);
-      errors.push(...platformErrors);
-    }
-
-    // Check ID format and uniqueness
-    if (schema.id && !/^[a-z0-9-]+$/.test(schema.id)) {
-      errors.push({
-        type: 'invalid_id',
-        severity: 'error',
-        path: 'id',
-        message: 'ID must be kebab-case (lowercase letters, numbers, and hyphens only)'
-      });
-    }
-
-    // Version format validation
-    if (
-      schema.version &&
-      !/^\d+\.\d+\.\d+(-[a-zA-Z0-9-]+)?(\+[a-zA-Z0-9-]+)?$/.test(schema.version)
-    ) {
-      errors.push({
-        type: 'invalid_version',
-        severity: 'error',
-        path: 'version',
-        message: 'Version must follow semantic versioning format (e.g., 1.0.0)'
-      });
-    }
-
-    // Check for conflicting relationships
-    const conflicts = this.findRelationshipConflicts(schema);
-    errors.push(...conflicts);
-
-    return errors;
-  }
-
-  /**
-   * Validate platform-specific configuration
-   * @param {string} platform - Platform name
-   * @param {object} config - Platform configuration
-   * @returns {Array} Platform validation errors
-   */
-  validatePlatformConfig(platform, config) {
-    const errors = [];
-
-    if (!config.compatible) {
-      return errors; // Skip validation for incompatible platforms
-    }
-
-    switch (platform) {
-      case 'claude-code':
-        if (config.command && !config.namespace) {
-          errors.push({
-            type: 'missing_namespace',
-            severity: 'warning',
-            path: `platforms.${platform}.namespace`,
-            message: 'Namespace recommended when command is enabled'
-          });
-        }
-        break;
-
-      case 'cursor':
-        if (config.activation === 'auto-attached' && !config.globs) {
-          errors.push({
-            type: 'missing_globs',
-            severity: 'error',
-            path: `platforms.${platform}.globs`,
-            message: 'Globs required for auto-attached activation'
-          });
-        }
-        break;
-
-      case 'windsurf':
-        if (config.characterLimit && config.characterLimit > 6000) {
-          errors.push({
-            type: 'character_limit_exceeded',
-            severity: 'warning',
-            path: `platforms.${platform}.characterLimit`,
-            message: 'Character limit exceeds Windsurf maximum (6000)'
-          });
-        }
-        break;
-
-      case 'github-copilot':
-        if (config.priority && (config.priority < 1 || config.priority > 10)) {
-          errors.push({
-            type: 'invalid_priority',
-            severity: 'error',
-            path: `platforms.${platform}.priority`,
-            message: 'Priority must be between 1 and 10'
-          });
-        }
-        break;
-    }
-
-    return errors;
+    return [
+      ...this.rules.run('business', schema, context),
+      ...this.rules.run('platform', schema, context),
+      ...this.rules.run('custom', schema, context)
+    ];
   }
 
   /**
@@ -305,112 +406,22 @@ class SchemaValidator {
    * @returns {Array} Content validation errors
    */
   validateContent(schema) {
-    const errors = [];
-    const content = schema._content || '';
-
-    // Check for minimum content length
-    if (content.length < 50) {
-      errors.push({
-        type: 'insufficient_content',
-        severity: 'warning',
-        path: 'content',
-        message: 'Content appears too short to be useful'
-      });
-    }
-
-    // Check for basic markdown structure
-    if (!content.includes('#')) {
-      errors.push({
-        type: 'missing_headers',
-        severity: 'warning',
-        path: 'content',
-        message: 'Content should include markdown headers for organization'
-      });
-    }
-
-    // Check for code examples
-    if (!content.includes('```')) {
-      errors.push({
-        type: 'missing_examples',
-        severity: 'warning',
-        path: 'content',
-        message: 'Content should include code examples'
-      });
-    }
-
-    // Estimate character count for Windsurf compatibility
-    const estimatedChars = content.length + (schema.title?.length || 0) + 200;
-    if (estimatedChars > 6000) {
-      const windsurfConfig = schema.platforms?.windsurf;
-      if (windsurfConfig?.compatible) {
-        errors.push({
-          type: 'windsurf_size_warning',
-          severity: 'warning',
-          path: 'content',
-          message: `Content may be too large for Windsurf (estimated ${estimatedChars} chars, limit 6000)`
-        });
-      }
-    }
-
-    return errors;
+    return this.rules.run('content', schema, { validator: this, spec: this.resolveSpec(schema) });
   }
 
   /**
-   * Check for cyclic dependencies
-   * @param {object} schema - Schema object
-   * @returns {boolean} True if cyclic dependencies exist
-   */
-  hasCyclicDependencies(schema) {
-    const visited = new Set();
-    const recursionStack = new Set();
-
-    const hasCycle = (schemaId, requires = []) => {
-      if (recursionStack.has(schemaId)) {
-        return true;
-      }
-      if (visited.has(schemaId)) {
-        return false;
-      }
-
-      visited.add(schemaId);
-      recursionStack.add(schemaId);
-
-      for (const dependency of requires) {
-        if (hasCycle(dependency, this.dependencies.get(dependency) || [])) {
-          return true;
-        }
-      }
-
-      recursionStack.delete(schemaId);
-      return false;
-    };
-
-    this.dependencies.set(schema.id, schema.requires || []);
-    return hasCycle(schema.id, schema.requires || []);
-  }
-
-  /**
-   * Find relationship conflicts
-   * @param {object} schema - Schema object
-   * @returns {Array} Relationship conflict errors
+   * Find dependency cycles across a schema library
+   *
+   * Results are cached per library map so every schema's rule run shares one
+   * graph analysis.
+   * @param {Map} allSchemas - Map of all schemas by ID
+   * @returns {Map<string, string[]>} Cycle path keyed by each schema involved
    */
-  findRelationshipConflicts(schema) {
-    const errors = [];
-    const requires = new Set(schema.requires || []);
-    const conflicts = new Set(schema.conflicts || []);
-
-    // Check for schemas that are both required and conflicted
-    const intersection = [...requires].filter((id) => conflicts.has(id));
-    if (intersection.length > 0) {
-      errors.push({
-        type: 'conflicting_relationships',
-        severity: 'error',
-        path: 'requires/conflicts',
-        message: `Schemas cannot be both required and conflicted: ${intersection.join(', ')}`
-      });
+  findDependencyCycles(allSchemas) {
+    if (!this.cycleCache.has(allSchemas)) {
+      this.cycleCache.set(allSchemas, findDependencyCycles(allSchemas));
     }
-
-    return errors;
+    return this.cycleCache.get(allSchemas);
   }
 
   /**
@@ -420,45 +431,11 @@ class SchemaValidator {
    * @returns {Array} Relationship validation errors
    */
   validateRelationships(schema, allSchemas) {
-    const errors = [];
-
-    // Check if required dependencies exist
-    for (const requiredId of schema.requires || []) {
-      if (!allSchemas.has(requiredId)) {
-        errors.push({
-          type: 'missing_dependency',
-          severity: 'error',
-          path: 'requires',
-          message: `Required schema not found: ${requiredId}`
-        });
-      }
-    }
-
-    // Check if suggested dependencies exist (warning only)
-    for (const suggestedId of schema.suggests || []) {
-      if (!allSchemas.has(suggestedId)) {
-        errors.push({
-          type: 'missing_suggestion',
-          severity: 'warning',
-          path: 'suggests',
-          message: `Suggested schema not found: ${suggestedId}`
-        });
-      }
-    }
-
-    // Check if superseded schemas exist
-    for (const supersededId of schema.supersedes || []) {
-      if (!allSchemas.has(supersededId)) {
-        errors.push({
-          type: 'missing_superseded',
-          severity: 'warning',
-          path: 'supersedes',
-          message: `Superseded schema not found: ${supersededId}`
-        });
-      }
-    }
-
-    return errors;
+    return this.rules.run('relationship', schema, {
+      validator: this,
+      spec: this.resolveSpec(schema),
+      allSchemas
+    });
   }
 
   /**
@@ -502,109 +479,176 @@ async function main() {
     console.log('');
     console.log('Options:');
     console.log('  --verbose    Show detailed output');
-    console.log('  --json       Output results as JSON');
+    console.log('  --json       Output results as JSON (same as --format=json)');
     console.log('  --warnings   Show warnings in addition to errors');
+    console.log(`  --format=<format>          Output format (${FORMATS.join(', ')})`);
+    console.log('  --output <file>            Write the report to a file');
+    console.log('  --rule=<id>:<severity>     Set a rule severity (error, warning, off)');
+    console.log('  --rule-module=<path>       Load custom rules from a module');
+    console.log('  --config=<path>            Use a specific configuration file');
+    console.log('  --fix        Repair fixable problems in place');
+    console.log('  --dry-run    With --fix, print a diff instead of writing files');
+    console.log('  --spec-version=<version>   Validate against a specific spec version');
     process.exit(1);
   }
 
-  const validator = new SchemaValidator();
+  const config = loadConfig({ configFile: getOption(args, '--config') });
+
   const options = {
     verbose: args.includes('--verbose'),
-    json: args.includes('--json'),
-    warnings: args.includes('--warnings')
+    format: args.includes('--json') ? 'json' : getOption(args, '--format') || config.format,
+    output: getOption(args, '--output'),
+    warnings: args.includes('--warnings'),
+    fix: args.includes('--fix'),
+    dryRun: args.includes('--dry-run'),
+    rules: parseRuleArgs(args),
+    ruleModules: getOptions(args, '--rule-module'),
+    specVersion: getOption(args, '--spec-version')
   };
 
-  const target = args[0];
-  let filePaths = [];
-
-  // Determine if target is file or directory
-  if (fs.statSync(target).isDirectory()) {
-    // Find all .yaml and .yml files recursively
-    const findSchemaFiles = (dir) => {
-      const files = fs.readdirSync(dir);
-      let schemaFiles = [];
-
-      for (const file of files) {
-        const fullPath = path.join(dir, file);
-        if (fs.statSync(fullPath).isDirectory()) {
-          schemaFiles.push(...findSchemaFiles(fullPath));
-        } else if (file.endsWith('.yaml') || file.endsWith('.yml')) {
-          schemaFiles.push(fullPath);
-        }
-      }
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format} (expected one of ${FORMATS.join(', ')})`);
+  }
 
-      return schemaFiles;
-    };
+  const validator = new SchemaValidator({
+    config,
+    rules: options.rules,
+    ruleModules: options.ruleModules,
+    specVersion: options.specVersion
+  });
 
-    filePaths = findSchemaFiles(target);
-  } else {
-    filePaths = [target];
-  }
+  const [target] = getPositionals(args, [
+    '--output',
+    '--format',
+    '--config',
+    '--spec-version',
+    '--rule',
+    '--rule-module'
+  ]);
+  const filePaths = findSchemaFiles(target, config);
 
   if (filePaths.length === 0) {
     console.log('No schema files found');
     process.exit(1);
   }
 
-  console.log(`Validating ${filePaths.length} schema file(s)...`);
+  if (options.fix) {
+    await fixFiles(validator, filePaths, options);
+  }
+
+  if (options.format === 'stylish') {
+    console.log(`Validating ${filePaths.length} schema file(s)...`);
+  }
 
   const results = await validator.validateFiles(filePaths);
 
-  if (options.json) {
-    console.log(JSON.stringify(results, null, 2));
-  } else {
-    printResults(results, options);
-  }
+  const output =
+    options.format === 'stylish'
+      ? formatResults(results, options)
+      : formatReport(createValidationReport(results, validator.rules.list()), options.format);
+  writeReport(output, options.output);
 
   // Exit with error code if validation failed
   process.exit(results.summary.invalid > 0 ? 1 : 0);
 }
 
 /**
- * Print validation results to console
+ * Apply fixes to schema files and report what changed
+ * @param {SchemaValidator} validator - Validator instance
+ * @param {string[]} filePaths - Schema file paths
+ * @param {object} options - CLI options
+ */
+async function fixFiles(validator, filePaths, options) {
+  // Keep stdout for the report when it is machine-readable
+  const log = options.format === 'stylish' ? console.log : console.error;
+
+  for (const filePath of filePaths) {
+    const fixResult = await validator.fix(filePath, { dryRun: options.dryRun });
+
+    if (!fixResult.changed) {
+      continue;
+    }
+
+    if (options.dryRun) {
+      log(fixResult.diff);
+    } else {
+      log(`🔧 ${filePath}`);
+      for (const { description } of fixResult.applied) {
+        log(`  ${description}`);
+      }
+    }
+  }
+}
+
+/**
+ * Parse `--rule=<id>:<severity>` arguments into rule settings
+ * @param {string[]} args - CLI arguments
+ * @returns {object} Rule severities keyed by rule ID
+ */
+function parseRuleArgs(args) {
+  const rules = {};
+
+  for (const setting of getOptions(args, '--rule')) {
+    const [id, severity] = setting.split(':');
+    rules[id] = severity;
+  }
+
+  return rules;
+}
+
+/**
+ * Format validation results as human-readable text
  * @param {object} results - Validation results
  * @param {object} options - Output options
+ * @returns {string} Formatted results
  */
-function printResults(results, options) {
+function formatResults(results, options) {
+  const lines = [];
   const { summary } = results;
 
-  console.log('\n=== Validation Summary ===');
-  console.log(`Total files: ${summary.total}`);
-  console.log(`Valid: ${summary.valid}`);
-  console.log(`Invalid: ${summary.invalid}`);
-  console.log(`Errors: ${summary.errors}`);
-  console.log(`Warnings: ${summary.warnings}`);
+  lines.push('\n=== Validation Summary ===');
+  lines.push(`Total files: ${summary.total}`);
+  lines.push(`Valid: ${summary.valid}`);
+  lines.push(`Invalid: ${summary.invalid}`);
+  lines.push(`Errors: ${summary.errors}`);
+  lines.push(`Warnings: ${summary.warnings}`);
 
   if (summary.invalid > 0 || options.verbose) {
-    console.log('\n=== Detailed Results ===');
+    lines.push('\n=== Detailed Results ===');
 
     for (const result of results.results) {
       if (!result.valid || options.verbose) {
-        console.log(`\n📄 ${result.filePath}`);
-        console.log(`Status: ${result.valid ? '✅ Valid' : '❌ Invalid'}`);
+        lines.push(`\n📄 ${result.filePath}`);
+        lines.push(`Status: ${result.valid ? '✅ Valid' : '❌ Invalid'}`);
 
         if (result.schema) {
-          console.log(`ID: ${result.schema.id}`);
-          console.log(`Title: ${result.schema.title}`);
-          console.log(`Version: ${result.schema.version}`);
+          lines.push(`ID: ${result.schema.id}`);
+          lines.push(`Title: ${result.schema.title}`);
+          lines.push(`Version: ${result.schema.version}`);
         }
 
         if (result.errors.length > 0) {
-          console.log('\nErrors:');
+          lines.push('\nErrors:');
           for (const error of result.errors) {
-            console.log(`  ❌ ${error.type}: ${error.message}`);
+            lines.push(`  ❌ ${error.type}: ${error.message}`);
             if (error.path) {
-              console.log(`     Path: ${error.path}`);
+              lines.push(`     Path: ${error.path}`);
+            }
+            if (error.line) {
+              lines.push(`     At: ${result.filePath}:${error.line}:${error.column}`);
             }
           }
         }
 
         if (options.warnings && result.warnings && result.warnings.length > 0) {
-          console.log('\nWarnings:');
+          lines.push('\nWarnings:');
           for (const warning of result.warnings) {
-            console.log(`  ⚠️  ${warning.type}: ${warning.message}`);
+            lines.push(`  ⚠️  ${warning.type}: ${warning.message}`);
             if (warning.path) {
-              console.log(`     Path: ${warning.path}`);
+              lines.push(`     Path: ${warning.path}`);
+            }
+            if (warning.line) {
+              lines.push(`     At: ${result.filePath}:${warning.line}:${warning.column}`);
             }
           }
         }
@@ -613,18 +657,20 @@ function printResults(results, options) {
   }
 
   if (Object.keys(summary.errorTypes).length > 0) {
-    console.log('\n=== Error Types ===');
+    lines.push('\n=== Error Types ===');
     for (const [type, count] of Object.entries(summary.errorTypes)) {
-      console.log(`${type}: ${count}`);
+      lines.push(`${type}: ${count}`);
     }
   }
 
   if (options.warnings && Object.keys(summary.warningTypes).length > 0) {
-    console.log('\n=== Warning Types ===');
+    lines.push('\n=== Warning Types ===');
     for (const [type, count] of Object.entries(summary.warningTypes)) {
-      console.log(`${type}: ${count}`);
+      lines.push(`${type}: ${count}`);
     }
   }
+
+  return lines.join('\n');
 }
 
 // Run CLI if this file is executed directly
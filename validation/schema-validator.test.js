@@ -1,3 +1,5 @@
+const { spawnSync } = require('child_process');
+const path = require('path');
 const { SchemaValidator } = require('./schema-validator');
 
 describe('SchemaValidator', () => {
@@ -52,4 +54,106 @@ invalid: yaml: content:
       'Invalid format: YAML frontmatter not found'
     );
   });
+
+  test('should accept version ranges in relationship fields', () => {
+    const schema = global.createTestSchema({
+      category: 'core',
+      requires: ['typescript-base@^2.1.0'],
+      suggests: ['testing-patterns@>=1.0.0 <2.0.0'],
+      conflicts: ['legacy-react@<3.0.0']
+    });
+
+    expect(validator.validateSchema(schema, 'test-schema').valid).toBe(true);
+    expect(validator.validateSchema({ ...schema, requires: ['bad@'] }, 'test-schema').valid).toBe(
+      false
+    );
+  });
+
+  test('should report version mismatches with the range and found version', () => {
+    const schema = global.createTestSchema({
+      requires: ['typescript-base@^2.1.0', 'react-base@1.x'],
+      suggests: ['testing-patterns@^2.0.0'],
+      conflicts: ['legacy-react@<3.0.0', 'vue-patterns@1.x']
+    });
+    const allSchemas = new Map(
+      [
+        ['typescript-base', '1.4.0'],
+        ['react-base', '1.2.0'],
+        ['testing-patterns', '1.0.0'],
+        ['legacy-react', '3.1.0'],
+        ['vue-patterns', '1.5.0']
+      ].map(([id, version]) => [id, { schema: global.createTestSchema({ id, version }) }])
+    );
+
+    const diagnostics = validator.validateRelationships(schema, allSchemas);
+
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        type: 'version_mismatch',
+        severity: 'error',
+        path: 'requires.0',
+        message: 'Required schema typescript-base must match ^2.1.0, found version 1.4.0'
+      }),
+      expect.objectContaining({
+        type: 'version_mismatch',
+        severity: 'error',
+        path: 'suggests.0',
+        message: 'Suggested schema testing-patterns must match ^2.0.0, found version 1.0.0'
+      })
+    ]);
+  });
+
+  test('should report invalid version ranges once', () => {
+    const schema = global.createTestSchema({ requires: ['typescript-base@not a range'] });
+    const allSchemas = new Map([
+      ['typescript-base', { schema: global.createTestSchema({ id: 'typescript-base' }) }]
+    ]);
+
+    expect(validator.validateBusinessRules(schema)).toContainEqual(
+      expect.objectContaining({ type: 'invalid_version_range', path: 'requires.0' })
+    );
+    expect(validator.validateRelationships(schema, allSchemas)).toEqual([]);
+  });
+});
+
+describe('schema-validator CLI', () => {
+  test('should read --rule and --rule-module values given as separate arguments', () => {
+    const tempDir = global.createTempDir();
+    const schemaPath = global.createTestFile(
+      tempDir,
+      'test.yaml',
+      '---\nid: test-schema\ntitle: Test Schema\ndescription: A test schema\nversion: 1.0.0\n' +
+        'category: test\nplatforms:\n  claude-code:\n    compatible: true\n---\n\n# Test Schema\n'
+    );
+    const modulePath = global.createTestFile(
+      tempDir,
+      'org-rules.js',
+      `module.exports = { rules: [{ id: 'org/always', defaultSeverity: 'warning',
+        check: () => [{ path: 'id', message: 'Always reported' }] }] };`
+    );
+
+    try {
+      const { status, stdout, stderr } = spawnSync(
+        process.execPath,
+        [
+          path.join(__dirname, 'schema-validator.js'),
+          '--rule',
+          'missing_examples:error',
+          '--rule-module',
+          modulePath,
+          '--format',
+          'json',
+          schemaPath
+        ],
+        { encoding: 'utf8' }
+      );
+
+      expect(stderr).toBe('');
+      expect(status).toBe(1);
+      expect(stdout).toContain('Content should include code examples');
+      expect(stdout).toContain('Always reported');
+    } finally {
+      global.cleanupTempDir(tempDir);
+    }
+  });
 });
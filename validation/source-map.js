@@ -0,0 +1,184 @@
+/**
+ * AI Context Schema Source Map
+ * Maps schema paths back to line and column positions in the source file
+ */
+
+const { isMap, isPair, isScalar, isSeq, parseDocument } = require('yaml');
+
+/**
+ * Offset ranges for the frontmatter nodes and markdown content of a schema file
+ */
+class SourceMap {
+  /**
+   * @param {string} source - Full file content
+   * @param {number} frontmatterOffset - Offset where the YAML frontmatter starts
+   * @param {number} contentOffset - Offset where the markdown content starts
+   */
+  constructor(source, frontmatterOffset, contentOffset) {
+    this.source = source;
+    this.frontmatterOffset = frontmatterOffset;
+    this.contentOffset = contentOffset;
+    this.ranges = new Map();
+    this.lineStarts = [0];
+
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') {
+        this.lineStarts.push(i + 1);
+      }
+    }
+  }
+
+  /**
+   * Record the frontmatter range of a node path
+   * @param {string[]} segments - Path segments from the document root
+   * @param {number} start - Start offset within the frontmatter
+   * @param {number} end - End offset within the frontmatter
+   */
+  add(segments, start, end) {
+    this.ranges.set(segments.join('/'), {
+      start: this.frontmatterOffset + start,
+      end: this.frontmatterOffset + end
+    });
+  }
+
+  /**
+   * Convert a file offset into a 1-based line and column
+   * @param {number} offset - Offset in the source file
+   * @returns {{line: number, column: number}} Position
+   */
+  positionAt(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+  }
+
+  /**
+   * Resolve a diagnostic path to a source location
+   *
+   * Accepts AJV instance paths (`/platforms/cursor`), dotted paths
+   * (`platforms.cursor.globs`) and the special `content` path. Paths that
+   * point at missing nodes resolve to their closest existing parent.
+   * @param {string|null} diagnosticPath - Path reported by a diagnostic
+   * @returns {{line: number, column: number, endLine: number}} Location
+   */
+  locate(diagnosticPath) {
+    const range = this.findRange(diagnosticPath);
+    const start = this.positionAt(range.start);
+
+    // Exclude trailing whitespace so the range ends on its last visible line
+    let end = Math.max(range.start, range.end - 1);
+    while (end > range.start && /\s/.test(this.source[end])) {
+      end--;
+    }
+
+    return {
+      line: start.line,
+      column: start.column,
+      endLine: this.positionAt(end).line
+    };
+  }
+
+  /**
+   * Find the offset range for a diagnostic path
+   * @param {string|null} diagnosticPath - Path reported by a diagnostic
+   * @returns {{start: number, end: number}} Offset range
+   */
+  findRange(diagnosticPath) {
+    if (diagnosticPath === 'content') {
+      return { start: this.contentOffset, end: this.source.length };
+    }
+
+    const segments = splitPath(diagnosticPath);
+
+    while (segments.length > 0) {
+      const range = this.ranges.get(segments.join('/'));
+      if (range) {
+        return range;
+      }
+      segments.pop();
+    }
+
+    return this.ranges.get('') || { start: 0, end: 0 };
+  }
+}
+
+/**
+ * Split a diagnostic path into key segments
+ * @param {string|null} diagnosticPath - AJV pointer or dotted path
+ * @returns {string[]} Path segments
+ */
+function splitPath(diagnosticPath) {
+  if (!diagnosticPath) {
+    return [];
+  }
+
+  if (diagnosticPath.startsWith('/')) {
+    return diagnosticPath
+      .slice(1)
+      .split('/')
+      .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  return diagnosticPath.split(/[./]/).filter(Boolean);
+}
+
+/**
+ * Walk a YAML node and record the range of every key and item
+ * @param {object} node - YAML AST node
+ * @param {string[]} segments - Path segments of the node
+ * @param {SourceMap} sourceMap - Map to populate
+ */
+function walkNode(node, segments, sourceMap) {
+  if (isMap(node)) {
+    for (const pair of node.items) {
+      if (!isPair(pair) || !isScalar(pair.key) || !pair.key.range) {
+        continue;
+      }
+
+      const keySegments = [...segments, String(pair.key.value)];
+      const end = pair.value?.range ? pair.value.range[1] : pair.key.range[1];
+      sourceMap.add(keySegments, pair.key.range[0], end);
+      walkNode(pair.value, keySegments, sourceMap);
+    }
+  } else if (isSeq(node)) {
+    node.items.forEach((item, index) => {
+      if (!item?.range) {
+        return;
+      }
+
+      const itemSegments = [...segments, String(index)];
+      sourceMap.add(itemSegments, item.range[0], item.range[1]);
+      walkNode(item, itemSegments, sourceMap);
+    });
+  }
+}
+
+/**
+ * Build a source map for a schema file
+ * @param {string} source - Full file content
+ * @param {string} frontmatter - YAML frontmatter text
+ * @param {number} frontmatterOffset - Offset where the frontmatter starts
+ * @param {number} contentOffset - Offset where the markdown content starts
+ * @returns {SourceMap} Source map for the file
+ */
+function buildSourceMap(source, frontmatter, frontmatterOffset, contentOffset) {
+  const sourceMap = new SourceMap(source, frontmatterOffset, contentOffset);
+  const document = parseDocument(frontmatter);
+
+  sourceMap.add([], 0, frontmatter.length);
+  walkNode(document.contents, [], sourceMap);
+
+  return sourceMap;
+}
+
+module.exports = { buildSourceMap, SourceMap };
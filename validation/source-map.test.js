@@ -0,0 +1,94 @@
+const { SchemaValidator } = require('./schema-validator');
+
+describe('SourceMap', () => {
+  let validator;
+
+  const content = `---
+id: test-schema
+title: Test Schema
+description: A test schema
+version: 1.0.0
+category: test
+platforms:
+  cursor:
+    compatible: true
+    activation: auto-attached
+  github-copilot:
+    compatible: true
+    priority: 12
+---
+
+# Test Schema
+This is a test schema.`;
+
+  beforeEach(() => {
+    validator = new SchemaValidator();
+  });
+
+  test('should locate AJV instance paths', () => {
+    const schema = validator.parseSchema(content);
+
+    expect(schema._sourceMap.locate('/category')).toEqual({ line: 6, column: 1, endLine: 6 });
+  });
+
+  test('should locate dotted paths and fall back to the closest parent', () => {
+    const schema = validator.parseSchema(content);
+
+    expect(schema._sourceMap.locate('platforms.github-copilot.priority')).toEqual({
+      line: 13,
+      column: 5,
+      endLine: 13
+    });
+    expect(schema._sourceMap.locate('platforms.cursor.globs')).toEqual({
+      line: 8,
+      column: 3,
+      endLine: 10
+    });
+  });
+
+  test('should locate the markdown content', () => {
+    const schema = validator.parseSchema(content);
+
+    expect(schema._sourceMap.locate('content')).toEqual({ line: 16, column: 1, endLine: 17 });
+  });
+
+  test('should not expose the source map as an enumerable property', () => {
+    const schema = validator.parseSchema(content);
+
+    expect(Object.keys(schema)).not.toContain('_sourceMap');
+  });
+
+  test('should attach positions to every error and warning', () => {
+    const schema = validator.parseSchema(content);
+    const result = validator.validateSchema(schema, 'test.yaml');
+    const diagnostics = [...result.errors, ...result.warnings];
+
+    expect(diagnostics.length).toBeGreaterThan(0);
+    for (const diagnostic of diagnostics) {
+      expect(diagnostic.line).toEqual(expect.any(Number));
+      expect(diagnostic.column).toEqual(expect.any(Number));
+      expect(diagnostic.endLine).toBeGreaterThanOrEqual(diagnostic.line);
+    }
+
+    const priorityError = result.errors.find((e) => e.type === 'invalid_priority');
+    expect(priorityError).toMatchObject({ line: 13, column: 5 });
+  });
+
+  test('should report the line of YAML syntax errors', async () => {
+    const tempDir = global.createTempDir();
+    const filePath = global.createTestFile(
+      tempDir,
+      'broken.yaml',
+      '---\nid: broken\ntitle: [unclosed\n---\n\n# Broken'
+    );
+
+    try {
+      const result = await validator.validateFile(filePath);
+
+      expect(result.errors[0].type).toBe('parse_error');
+      expect(result.errors[0].line).toBeGreaterThanOrEqual(3);
+    } finally {
+      global.cleanupTempDir(tempDir);
+    }
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * AI Context Schema Specification Versions
+ * Discovers the published spec versions under `schemas/` and the version a context file targets
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+
+const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+const DEFINITION_FILE = 'context-schema.json';
+
+/**
+ * List the spec versions that ship a JSON Schema definition
+ * @param {string} [schemasDir] - Directory holding one `v<version>` folder per spec
+ * @returns {string[]} Versions in ascending semver order, without the `v` prefix
+ */
+function listSpecVersions(schemasDir = SCHEMAS_DIR) {
+  return fs
+    .readdirSync(schemasDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && /^v\d+\.\d+\.\d+$/.test(entry.name))
+    .map((entry) => entry.name.slice(1))
+    .filter((version) => fs.existsSync(path.join(schemasDir, `v${version}`, DEFINITION_FILE)))
+    .sort(semver.compare);
+}
+
+/**
+ * Get the newest spec version
+ * @param {string} [schemasDir] - Directory holding the spec folders
+ * @returns {string} Latest spec version
+ */
+function getLatestSpecVersion(schemasDir = SCHEMAS_DIR) {
+  const versions = listSpecVersions(schemasDir);
+  return versions[versions.length - 1];
+}
+
+/**
+ * Load the JSON Schema definition of a spec version
+ * @param {string} version - Spec version
+ * @param {string} [schemasDir] - Directory holding the spec folders
+ * @returns {object} JSON Schema definition
+ */
+function loadSpecDefinition(version, schemasDir = SCHEMAS_DIR) {
+  const definitionPath = path.join(schemasDir, `v${version}`, DEFINITION_FILE);
+  return JSON.parse(fs.readFileSync(definitionPath, 'utf8'));
+}
+
+/**
+ * Extract a spec version from a `specVersion` value or `$schema` reference
+ *
+ * Accepts bare versions (`2.1.0`, `v2.1.0`) and URLs or paths containing a
+ * version segment such as `.../schemas/v2.1.0/context-schema.json`.
+ * @param {*} value - Declared value
+ * @returns {string|null} Spec version, or null when none is found
+ */
+function parseSpecVersion(value) {
+  const match = typeof value === 'string' && value.match(/(?:^|[/@v])(\d+\.\d+\.\d+)(?=$|[/#])/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the spec version a context file declares
+ *
+ * `specVersion` takes precedence over `$schema`.
+ * @param {object} schema - Parsed schema object
+ * @returns {{version: (string|null), path: string, value: *}|null} Declaration, or null if absent
+ */
+function getDeclaredSpecVersion(schema) {
+  for (const key of ['specVersion', '$schema']) {
+    if (schema[key] !== undefined) {
+      return { version: parseSpecVersion(schema[key]), path: key, value: schema[key] };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  getDeclaredSpecVersion,
+  getLatestSpecVersion,
+  listSpecVersions,
+  loadSpecDefinition,
+  parseSpecVersion,
+  SCHEMAS_DIR
+};
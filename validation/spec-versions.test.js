@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { SchemaValidator } = require('./schema-validator');
+const { listSpecVersions, parseSpecVersion, SCHEMAS_DIR } = require('./spec-versions');
+
+const FILE_PATH = 'spec-test.yaml';
+
+describe('Spec versions', () => {
+  let schemasDir;
+
+  const content = (declaration) => `---
+${declaration}
+id: spec-test
+title: Spec Test
+description: Schema used to exercise spec version selection
+version: 1.0.0
+category: core
+platforms:
+  claude-code:
+    compatible: true
+---
+
+# Spec Test
+`;
+
+  const writeSpec = (version, definition) => {
+    fs.mkdirSync(path.join(schemasDir, `v${version}`));
+    global.createTestFile(
+      path.join(schemasDir, `v${version}`),
+      'context-schema.json',
+      JSON.stringify(definition)
+    );
+  };
+
+  beforeEach(() => {
+    schemasDir = global.createTempDir();
+    const current = JSON.parse(
+      fs.readFileSync(path.join(SCHEMAS_DIR, 'v2.1.0', 'context-schema.json'), 'utf8')
+    );
+
+    writeSpec('2.0.0', { ...current, deprecated: true });
+    writeSpec('2.1.0', current);
+    writeSpec('10.0.0', { ...current, required: [...current.required, 'lastUpdated'] });
+    fs.mkdirSync(path.join(schemasDir, 'drafts'));
+  });
+
+  afterEach(() => {
+    global.cleanupTempDir(schemasDir);
+  });
+
+  test('should list spec versions in semver order', () => {
+    expect(listSpecVersions(schemasDir)).toEqual(['2.0.0', '2.1.0', '10.0.0']);
+    expect(listSpecVersions()).toContain('2.1.0');
+  });
+
+  test('should parse versions from specVersion values and $schema references', () => {
+    expect(parseSpecVersion('2.1.0')).toBe('2.1.0');
+    expect(parseSpecVersion('v2.1.0')).toBe('2.1.0');
+    expect(parseSpecVersion('https://example.com/schemas/v2.0.0/context-schema.json')).toBe(
+      '2.0.0'
+    );
+    expect(parseSpecVersion('../schemas/v2.1.0/context-schema.json#')).toBe('2.1.0');
+    expect(parseSpecVersion('latest')).toBeNull();
+  });
+
+  test('should validate each file against the spec version it declares', () => {
+    const validator = new SchemaValidator({ schemasDir });
+    const validate = (declaration) =>
+      validator.validateSchema(validator.parseSchema(content(declaration)), FILE_PATH);
+
+    expect(validate('specVersion: 2.1.0').valid).toBe(true);
+    expect(validate('$schema: ../schemas/v2.1.0/context-schema.json').valid).toBe(true);
+    expect(validate('# latest').errors).toContainEqual(
+      expect.objectContaining({ message: expect.stringContaining('lastUpdated') })
+    );
+    expect(validator.specs.size).toBe(2);
+  });
+
+  test('should warn when a file targets a deprecated spec', () => {
+    const validator = new SchemaValidator({ schemasDir });
+    const result = validator.validateSchema(
+      validator.parseSchema(content('specVersion: 2.0.0')),
+      FILE_PATH
+    );
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toContainEqual(
+      expect.objectContaining({
+        type: 'deprecated_spec_version',
+        path: 'specVersion',
+        line: 2,
+        message: 'Spec version 2.0.0 is deprecated, migrate to 10.0.0'
+      })
+    );
+  });
+
+  test('should report unknown spec versions', () => {
+    const validator = new SchemaValidator({ schemasDir });
+    const result = validator.validateSchema(
+      validator.parseSchema(content('specVersion: 3.0.0')),
+      FILE_PATH
+    );
+
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        type: 'unknown_spec_version',
+        message: 'Unknown spec version in specVersion: 3.0.0 (available: 2.0.0, 2.1.0, 10.0.0)'
+      })
+    ]);
+  });
+
+  test('should let the specVersion option override declarations', () => {
+    const validator = new SchemaValidator({ schemasDir, specVersion: 'v2.1.0' });
+    const result = validator.validateSchema(
+      validator.parseSchema(content('specVersion: 3.0.0')),
+      FILE_PATH
+    );
+
+    expect(result.valid).toBe(true);
+    expect(() => new SchemaValidator({ schemasDir, specVersion: '9.9.9' })).toThrow(
+      'Unknown spec version: 9.9.9'
+    );
+  });
+
+  test('should only run version-specific rules for matching specs', () => {
+    const validator = new SchemaValidator({
+      schemasDir,
+      ruleModules: [
+        {
+          id: 'legacy_only',
+          specVersions: '<2.1.0',
+          check: () => [{ path: 'id', message: 'legacy rule ran' }]
+        }
+      ]
+    });
+    const typesFor = (declaration) =>
+      validator
+        .validateSchema(validator.parseSchema(content(declaration)), FILE_PATH)
+        .errors.map((error) => error.type);
+
+    expect(typesFor('specVersion: 2.0.0')).toContain('legacy_only');
+    expect(typesFor('specVersion: 2.1.0')).not.toContain('legacy_only');
+  });
+});